@@ -4,709 +4,1244 @@
  * Deep Research to Kindle (DRK)
  *
  * Fluxo:
- *   Gemini Deep Research → Google Docs → EPUB → Send to Kindle
+ *   Gemini Deep Research → EPUB → Send to Kindle
+ *   (ou Gemini → Google Docs → EPUB com --epub-engine docs)
  *
  * Usage:
- *   node drk.mjs "Your research query"
- *   node drk.mjs --model flash "query"       Usar modelo Flash
- *   node drk.mjs --send-only <gemini-url>    Exportar pesquisa existente
- *   node drk.mjs --login-only                Abrir browser para login
+ *   drk research "Your research query"
+ *   drk research --model flash "query"      Usar modelo Flash
+ *   drk export <gemini-url>                 Exportar pesquisa existente
+ *   drk send <arquivo.epub | id>            Enviar um EPUB pronto ao Kindle
+ *   drk queue <arquivo> [--resume]          Rodar uma fila de pesquisas
+ *   drk resume <job-id | last>              Retomar um job interrompido
+ *   drk followup <job | url> "pergunta"     Pergunta de acompanhamento na mesma conversa
+ *   drk library list | show <id> | search <termos>   Consultar a biblioteca
+ *   drk templates [nome]                    Templates de query e suas variáveis
+ *   drk config show                         Configuração efetiva e origem de cada valor
+ *   drk login                               Abrir browser para login
+ *   drk doctor                              Verificar se os seletores ainda funcionam
+ *   drk completion bash | zsh               Script de autocompletar
+ *   drk <comando> --help                    Ajuda de cada comando
  */
 
-import { chromium } from "playwright";
-import { existsSync, readdirSync, statSync } from "fs";
-import { resolve, dirname, extname } from "path";
+import { existsSync } from "fs";
+import { createInterface } from "readline/promises";
+import { resolve, dirname, extname, basename } from "path";
 import { fileURLToPath } from "url";
-import { homedir } from "os";
+import { TOTAL_STEPS, SEPARATOR, log, logSub, logBanner } from "./lib/log.mjs";
+import { launchPersistent, pause } from "./lib/browser.mjs";
+import { detectLoginWall, isLoginRequired } from "./lib/session.mjs";
+import { navigateToGemini, RESEARCH_ERRORS } from "./lib/gemini.mjs";
+import { createPipeline, failedDeliveries, jobResult } from "./lib/pipeline.mjs";
+import { loadQueue, initQueueState, saveQueueState, queueStatePath } from "./lib/queue.mjs";
+import { createScheduleStore, nextRun, renderQuery } from "./lib/schedule.mjs";
+import { createApiServer, httpError } from "./lib/server.mjs";
+import { emit, onEvent, ndjsonWriter } from "./lib/events.mjs";
+import { loadConfig, describeConfig, EPUB_ENGINES, LOG_FORMATS, CONFIG_PATH, PROJECT_CONFIG_NAME } from "./lib/config.mjs";
+import { MODEL_ALIASES, resolveModel } from "./lib/models.mjs";
+import { allTemplates, expandTemplate, parseVars, templateVariables } from "./lib/templates.mjs";
+import { DELIVERY_BACKENDS, createDeliveryBackend, resolveDestinations, sendToKindleUrl } from "./lib/delivery.mjs";
+import { SELECTORS_VERSION, probeKeys, probeSelectors } from "./lib/selectors.mjs";
+import { UI_LOCALES, UI_LOCALE_CODES, setUiLocale } from "./lib/ui-locales.mjs";
+import { t, setLanguage, detectLanguage } from "./lib/i18n.mjs";
+import { parseCommandLine, formatHelp, completionScript, COMPLETION_SHELLS } from "./lib/cli.mjs";
 
 // ─── Config ────────────────────────────────────────────────────────────────────
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const PROFILE_DIR = resolve(homedir(), ".drk-profile");
-const DOWNLOADS_DIR = resolve(homedir(), "Downloads");
-const GEMINI_URL = "https://gemini.google.com/app";
-const SEND_TO_KINDLE_URL = "https://www.amazon.com.br/sendtokindle";
-
-const POLL_INTERVAL_MS = 30_000;
-const MAX_POLL_TIME_MS = 15 * 60_000;
-
-const TOTAL_STEPS = 7;
-
-// ─── Models ────────────────────────────────────────────────────────────────────
+// Effective settings (lib/config.mjs) and where each came from; set in main()
+let config = {};
+let configSources = {};
+
+// The research pipeline (lib/pipeline.mjs) with its job store
+// (<dataDir>/jobs) and library (<dataDir>/library), and the schedules
+// (<dataDir>/schedules), set in main()
+let pipeline;
+let jobs;
+let library;
+let schedules;
+
+// Exit codes for research Gemini would not finish, so scripts and cron can
+// tell a usage limit (try again later) from a failure; 1 is any other error
+const EXIT_CODES = {
+    [RESEARCH_ERRORS.failed]: 3,
+    [RESEARCH_ERRORS["quota-exceeded"]]: 4,
+    [RESEARCH_ERRORS["needs-input"]]: 5,
+    [RESEARCH_ERRORS.timeout]: 6,
+};
+
+function exitCodeFor(err) {
+    return EXIT_CODES[err?.code] || 1;
+}
 
-const MODELS = [
-    { key: "1", label: "⚡ Rápido (Flash)", geminiName: "Rápido", testId: "bard-mode-option-rápido" },
-    { key: "2", label: "🧠 Raciocínio (Thinking)", geminiName: "Raciocínio", testId: "bard-mode-option-raciocínio" },
-    { key: "3", label: "🚀 Pro", geminiName: "Pro", testId: "bard-mode-option-pro" },
-];
+// ─── Utilities ─────────────────────────────────────────────────────────────────
 
-// ─── CLI Logging ───────────────────────────────────────────────────────────────
+/**
+ * Format rows as left-aligned text columns, header and rule included.
+ */
+function formatTable(header, rows) {
+    const widths = header.map((h, col) => Math.max(h.length, ...rows.map((r) => r[col].length)));
+    const line = (cells) => cells.map((c, col) => c.padEnd(widths[col])).join("  ").trimEnd();
+    return [line(header), widths.map((w) => "─".repeat(w)).join("  "), ...rows.map(line)];
+}
 
-const SEPARATOR = "━".repeat(50);
+// ─── Batch Queue ───────────────────────────────────────────────────────────────
 
-function ts() {
-    return new Date().toLocaleTimeString("pt-BR");
-}
+/**
+ * Run the queue's unfinished items, `concurrency` at a time (one per tab),
+ * saving the state after each. Returns whether it stopped at Gemini's usage
+ * limit.
+ */
+async function runQueue(browser, state, { epubEngine, skipKindle, delivery, destinations }) {
+    const total = state.items.length;
+    let quotaExceeded = false;
+    const pending = [];
+    for (const [i, item] of state.items.entries()) {
+        if (item.status === "done") {
+            log(t("queue.itemDone", { n: i + 1, total, query: item.query.substring(0, 60) }));
+        } else {
+            pending.push(i);
+        }
+    }
 
-function log(msg) {
-    console.log(`[DRK ${ts()}] ${msg}`);
-}
+    await pipeline.runInTabs(browser, pending, async (i, page, stop) => {
+        const item = state.items[i];
+        const model = resolveModel(item.model || config.model);
+        console.log();
+        log(SEPARATOR);
+        log(t("queue.item", { n: i + 1, total, model: model.label }));
+        log(`   "${item.query.substring(0, 80)}"`);
+        log(SEPARATOR);
 
-function logStep(step, msg) {
-    console.log(`[DRK ${ts()}] [${step}/${TOTAL_STEPS}] ${msg}`);
+        const startTime = Date.now();
+        const job = item.jobId && existsSync(jobs.pathOf(item.jobId))
+            ? jobs.load(item.jobId)
+            : jobs.create({
+                query: item.query,
+                model: model.key,
+                epubEngine,
+                formats: config.formats,
+                planInstructions: config.planInstructions,
+                skipKindle: skipKindle || item.noKindle,
+                delivery,
+                destinations,
+            });
+        item.jobId = job.id;
+        try {
+            item.epubPath = await pipeline.runResearch(page, job);
+            item.status = "done";
+            delete item.error;
+        } catch (err) {
+            item.status = "failed";
+            item.error = err.message;
+            log(t("queue.itemError", { n: i + 1, error: err.message }));
+            pipeline.failJob(job, err);
+        }
+        item.durationMs = Date.now() - startTime;
+        item.finishedAt = new Date().toISOString();
+        saveQueueState(state);
+        emit("result", jobResult(job));
+
+        // Every later item would hit the same login wall or usage limit
+        if (job.status === "login-required") {
+            log(t("queue.stoppedForLogin"));
+            stop();
+        } else if (job.status === "quota-exceeded") {
+            log(t("queue.stoppedForQuota"));
+            quotaExceeded = true;
+            stop();
+        }
+    });
+    return quotaExceeded;
 }
 
-function logSub(msg) {
-    console.log(`[DRK ${ts()}]        ${msg}`);
-}
+function logQueueSummary(state) {
+    const rows = state.items.map((item, i) => [
+        String(i + 1),
+        t(item.status === "done" ? "queue.statusDone" : item.status === "failed" ? "queue.statusFailed" : "queue.statusPending"),
+        resolveModel(item.model || config.model).geminiName,
+        item.durationMs ? `${Math.round(item.durationMs / 60_000)} min` : "-",
+        item.query.length > 50 ? `${item.query.substring(0, 47)}...` : item.query,
+    ]);
 
-function logBanner() {
     console.log();
     log(SEPARATOR);
-    log("📚 Deep Research to Kindle");
-    log("   Gemini → Google Docs → EPUB → Kindle");
+    log(t("queue.summary"));
+    for (const line of formatTable(t("queue.header").split("|"), rows)) log(line);
+    for (const [i, item] of state.items.entries()) {
+        if (item.status === "failed") logSub(`#${i + 1}: ${item.error}`);
+    }
     log(SEPARATOR);
 }
 
-// ─── Model Resolution ──────────────────────────────────────────────────────────
+// ─── Library Commands ──────────────────────────────────────────────────────────
 
-const DEFAULT_MODEL = MODELS[1]; // Raciocínio (Thinking) is the default
+const KINDLE_STATUS_LABELS = {
+    sent: "✅ enviado",
+    skipped: "⏭️  pulado",
+    pending: "⏳ pendente",
+    failed: "❌ falhou",
+    "login-required": "🔑 login necessário",
+};
 
-function resolveModel(modelArg) {
-    if (!modelArg) return DEFAULT_MODEL;
-    const lower = modelArg.toLowerCase();
-    // Match by key, name, or alias
-    const aliases = {
-        "1": MODELS[0], "flash": MODELS[0], "rapido": MODELS[0], "rápido": MODELS[0],
-        "2": MODELS[1], "thinking": MODELS[1], "raciocinio": MODELS[1], "raciocínio": MODELS[1],
-        "3": MODELS[2], "pro": MODELS[2],
-    };
-    return aliases[lower] || DEFAULT_MODEL;
+function formatDate(iso) {
+    return iso ? new Date(iso).toLocaleString("pt-BR") : "-";
 }
 
-// ─── Utilities ─────────────────────────────────────────────────────────────────
+function truncate(text, max) {
+    return text.length > max ? `${text.substring(0, max - 3)}...` : text;
+}
 
-function sleep(ms) {
-    return new Promise((r) => setTimeout(r, ms));
+function libraryList() {
+    const entries = library.list();
+    if (entries.length === 0) {
+        console.log(`Biblioteca vazia (${library.dir}).`);
+        return;
+    }
+    const rows = entries.map((e) => [
+        e.id,
+        e.createdAt ? new Date(e.createdAt).toLocaleDateString("pt-BR") : "-",
+        e.model || "-",
+        KINDLE_STATUS_LABELS[e.kindle.status] || e.kindle.status,
+        String(e.wordCount),
+        truncate(e.title, 60),
+    ]);
+    for (const line of formatTable(["ID", "Data", "Modelo", "Kindle", "Palavras", "Título"], rows)) {
+        console.log(line);
+    }
+    console.log(`\n${entries.length} relatório(s) em ${library.dir}`);
 }
 
+// ─── Templates ─────────────────────────────────────────────────────────────────
+
 /**
- * Find the most recent .epub file in Downloads that appeared after `afterTime`.
+ * The query for `research` and `schedule add`: the words given or, with a
+ * template (--template or the `template` setting), the template filled in
+ * with --var and the words, if any, as its `topic`.
  */
-function findRecentEpub(afterTime) {
-    try {
-        const files = readdirSync(DOWNLOADS_DIR)
-            .filter((f) => extname(f).toLowerCase() === ".epub")
-            .map((f) => {
-                const fullPath = resolve(DOWNLOADS_DIR, f);
-                const stat = statSync(fullPath);
-                return { path: fullPath, name: f, mtime: stat.mtimeMs };
-            })
-            .filter((f) => f.mtime > afterTime)
-            .sort((a, b) => b.mtime - a.mtime);
-
-        return files.length > 0 ? files[0] : null;
-    } catch {
-        return null;
+function queryFromInput(words, options) {
+    const text = words.join(" ").trim();
+    const vars = parseVars(options.var);
+    if (!config.template) {
+        if (Object.keys(vars).length > 0) throw new Error("--var só vale com --template.");
+        if (!text) throw new Error("Informe a query (ou use --template).");
+        return { query: text, template: null, vars: {} };
     }
+    if (text) vars.topic = text;
+    return { query: expandTemplate(config.template, vars, config.templates), template: config.template, vars };
 }
 
-// ─── Browser Helpers ───────────────────────────────────────────────────────────
-
-async function launchBrowser(profilePath = PROFILE_DIR) {
-    logStep(1, "🚀 Lançando navegador...");
-    logSub(`Perfil: ${profilePath}`);
-
-    const context = await chromium.launchPersistentContext(profilePath, {
-        headless: false,
-        viewport: { width: 1280, height: 900 },
-        args: ["--disable-blink-features=AutomationControlled"],
-        acceptDownloads: true,
-    });
-    const page = context.pages()[0] || (await context.newPage());
-
-    logSub("✅ Navegador pronto.");
-    return { context, page };
+function templatesList() {
+    const rows = Object.entries(allTemplates(config.templates)).map(([name, template]) => [
+        name,
+        templateVariables(template.prompt).map((v) => (v.default === null ? v.name : `${v.name}=${v.default}`)).join(", ") || "-",
+        truncate(template.description || template.prompt, 50),
+    ]);
+    for (const line of formatTable(["Nome", "Variáveis", "Descrição"], rows)) {
+        console.log(line);
+    }
+    console.log("\nUso: drk research --template <nome> --var topic=\"...\" (detalhes: drk templates <nome>)");
 }
 
-async function navigateToGemini(page, url = GEMINI_URL) {
-    logStep(2, "🌐 Navegando para o Gemini...");
-    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30_000 });
-    await page.waitForTimeout(3000);
-    logSub("✅ Gemini carregado.");
+function templatesShow(name) {
+    const template = allTemplates(config.templates)[name];
+    if (!template) throw new Error(`Template desconhecido: "${name}" (veja drk templates).`);
+    if (template.description) console.log(`${template.description}\n`);
+    console.log(template.prompt);
+    console.log(`\nVariáveis: ${templateVariables(template.prompt).map((v) => (v.default === null ? v.name : `${v.name} (padrão: ${v.default})`)).join(", ") || "nenhuma"}`);
 }
 
-// ─── Model Selection ───────────────────────────────────────────────────────────
-
-async function selectModel(page, model) {
-    logStep(3, `🔧 Selecionando modelo: ${model.geminiName}...`);
+function libraryShow(id) {
+    const entry = library.get(id);
+    if (!entry) throw new Error(`Relatório não encontrado: ${id}`);
+
+    const kindle = KINDLE_STATUS_LABELS[entry.kindle.status] || entry.kindle.status;
+    const perDestination = Object.entries(entry.kindle.destinations || {})
+        .map(([name, status]) => `${name}: ${KINDLE_STATUS_LABELS[status] || status}`)
+        .join(", ");
+    console.log(`
+📚 ${entry.title}
+
+   ID:         ${entry.id}
+   Query:      ${entry.query || "-"}
+   Modelo:     ${entry.model || "-"}
+   Criado:     ${formatDate(entry.createdAt)}
+   Concluído:  ${formatDate(entry.completedAt)}
+   Palavras:   ${entry.wordCount}
+   Kindle:     ${kindle}${entry.kindle.at ? ` (${formatDate(entry.kindle.at)})` : ""}${perDestination ? ` — ${perDestination}` : ""}
+   Gemini:     ${entry.geminiUrl || "-"}
+   Docs:       ${entry.docsUrl || "-"}
+   EPUB:       ${entry.epubPath || "-"}${Object.entries(entry.outputs || {}).map(([format, path]) => `\n   ${`${format}:`.padEnd(11)} ${path}`).join("")}
+   Pasta:      ${resolve(library.dir, entry.id)}
+`);
+}
 
-    try {
-        const dropdownIcon = page.locator('mat-icon.dropdown-icon[fonticon="keyboard_arrow_down"]').first();
-        await dropdownIcon.waitFor({ state: "visible", timeout: 10_000 });
-        await dropdownIcon.click();
-        await page.waitForTimeout(1500);
-        logSub("Menu de modelos aberto.");
-
-        const modelOption = page.locator(`button[data-test-id="${model.testId}"]`).first();
-        await modelOption.waitFor({ state: "visible", timeout: 5_000 });
-        await modelOption.click();
-        await page.waitForTimeout(1000);
-
-        logSub(`✅ Modelo ${model.geminiName} selecionado.`);
-    } catch (err) {
-        logSub(`⚠️  Erro ao selecionar modelo: ${err.message}`);
-        logSub("Continuando com modelo padrão...");
+function librarySearch(terms) {
+    if (terms.length === 0) throw new Error("Informe os termos da busca.");
+    const results = library.search(terms);
+    if (results.length === 0) {
+        console.log(`Nenhum relatório encontrado para: ${terms.join(" ")}`);
+        return;
+    }
+    for (const { entry, hits, snippet } of results) {
+        console.log(`${entry.id}  ${truncate(entry.title, 70)}  (${hits} ocorrência(s))`);
+        console.log(`    ${snippet}\n`);
     }
 }
 
-// ─── Deep Research Flow ────────────────────────────────────────────────────────
+// ─── Config Command ────────────────────────────────────────────────────────────
 
-async function enableDeepResearch(page) {
-    logSub("🔬 Ativando Deep Research...");
-    try {
-        const toolsBtn = page.getByRole("button", { name: /Ferramentas/i });
-        await toolsBtn.waitFor({ state: "visible", timeout: 10_000 });
-        await toolsBtn.click();
-        await page.waitForTimeout(1500);
-
-        const drBtn = page.locator("text=/Deep Research/i");
-        await drBtn.waitFor({ state: "visible", timeout: 5_000 });
-        await drBtn.click();
-        await page.waitForTimeout(2000);
-        logSub("✅ Deep Research ativado.");
-    } catch (err) {
-        logSub("⚠️ Botão de Deep Research não encontrado. Continuando pesquisa normal...");
+function configShow() {
+    const rows = describeConfig({ config, sources: configSources });
+    for (const line of formatTable(["Chave", "Valor", "Origem"], rows)) {
+        console.log(line);
     }
+    console.log(`\nArquivos: ${CONFIG_PATH}, ${PROJECT_CONFIG_NAME} (diretório atual ou acima)`);
 }
 
-async function submitQuery(page, query) {
-    logStep(4, `📝 Enviando query: "${query.substring(0, 60)}..."`);
+// ─── Research Commands ─────────────────────────────────────────────────────────
 
-    const input = page
-        .locator('rich-textarea div[contenteditable="true"], textarea, div[role="textbox"]')
-        .first();
-    await input.waitFor({ state: "visible", timeout: 15_000 });
-    await input.click();
-    await input.fill(query);
-    await page.waitForTimeout(1000);
-
-    logSub("Pressionando Enter...");
-    await page.keyboard.press("Enter");
-    await page.waitForTimeout(2000);
-    logSub("✅ Query enviada.");
+/** `--to a,b --to c` → ["a", "b", "c"] */
+function destinationNamesOf(options) {
+    return (options.to || []).flatMap((value) => value.split(",")).map((name) => name.trim()).filter(Boolean);
 }
 
-async function confirmResearchStart(page) {
-    logSub('🔍 Procurando botão "Iniciar investigação"...');
-
-    const possibleButtons = [
-        /Iniciar investigação/i,
-        /Start investigation/i,
-        /Iniciar pesquisa/i,
-        /Start research/i,
-        /Looks good/i,
-        /Confirmar/i,
-    ];
-
-    const startTime = Date.now();
-    const maxWait = 60_000;
-
-    while (Date.now() - startTime < maxWait) {
-        try {
-            for (const label of possibleButtons) {
-                const btn = page.getByRole("button", { name: label }).first();
-                if (await btn.isVisible()) {
-                    logSub(`Botão encontrado: "${label}"`);
-                    await btn.click();
-                    logSub("✅ Pesquisa iniciada (plano confirmado).");
-                    await page.waitForTimeout(5000);
-                    return;
-                }
-            }
+/**
+ * Resolve (and build the backends for) the delivery destinations up front, so
+ * a bad config fails now rather than after a long research.
+ */
+function checkDestinations(options, { skipKindle = false } = {}) {
+    try {
+        const destinations = resolveDestinations(config, destinationNamesOf(options), { delivery: options.delivery });
+        if (!skipKindle) destinations.forEach((destination) => createDeliveryBackend(destination));
+        return destinations;
+    } catch (err) {
+        log(`❌ ${err.message}`);
+        logSub(t("delivery.fixConfig"));
+        process.exit(1);
+    }
+}
 
-            const looseBtn = page
-                .locator('button:has-text("Iniciar"), button:has-text("Start")')
-                .first();
-            if (await looseBtn.isVisible()) {
-                const text = await looseBtn.innerText();
-                if (text.includes("investiga") || text.includes("pesquisa")) {
-                    logSub(`Botão encontrado (loose): "${text}"`);
-                    await looseBtn.click();
-                    await page.waitForTimeout(5000);
-                    return;
-                }
+/**
+ * Ask on the terminal what to do with a research plan (--review-plan):
+ * accept it, send Gemini a change, or abort.
+ */
+async function askAboutPlan() {
+    const rl = createInterface({ input: process.stdin, output: config.logFormat === "ndjson" ? process.stderr : process.stdout });
+    try {
+        for (; ;) {
+            const answer = (await rl.question(t("plan.prompt"))).trim().toLowerCase();
+            if (answer === "" || answer === "a") return { action: "accept" };
+            if (answer === "x") return { action: "abort" };
+            if (answer === "e") {
+                const message = (await rl.question(t("plan.editPrompt"))).trim();
+                if (message) return { action: "edit", message };
             }
-        } catch {
-            // Ignore and keep polling
         }
-        await page.waitForTimeout(2000);
+    } finally {
+        rl.close();
     }
-    logSub("⚠️  Nenhum botão de confirmação encontrado após 60s.");
 }
 
-async function pollForCompletion(page) {
-    logSub("⏳ Aguardando conclusão da pesquisa...");
-    const startTime = Date.now();
-
-    // Phase 1: Detect start
-    logSub("Fase 1: Detectando início da pesquisa...");
-    let researchStarted = false;
-    const phase1Deadline = Date.now() + 120_000;
+/**
+ * Launch the browser, run the job to the end and report. When the job fails
+ * (it stays resumable), exits with 1 or the research's EXIT_CODES entry. `onPlan` reviews the research plan
+ * (see lib/pipeline.mjs `runResearch`).
+ */
+async function runJob(job, { onPlan } = {}) {
+    log(t("job.id", { id: job.id }));
+    console.log();
 
-    while (Date.now() < phase1Deadline) {
-        const chipStatus = await page.evaluate(() => {
-            const chip = document.querySelector("deep-research-entry-chip-content");
-            return chip ? chip.innerText.trim() : "";
-        }).catch(() => "");
+    let browser = null;
+    try {
+        browser = await pipeline.launchBrowser(config.profileDir, { traceName: job.id });
+        const epubPath = await pipeline.runResearch(browser.page, job, { onPlan });
 
-        if (chipStatus) {
-            logSub(`Status detectado: "${chipStatus}"`);
-            researchStarted = true;
-            if (/Conclu[íi]do|Completed/i.test(chipStatus)) {
-                logSub("✅ Pesquisa já concluída!");
-                break;
-            }
-            break;
+        console.log();
+        log(SEPARATOR);
+        log(t("job.done"));
+        log(t("job.epub", { path: epubPath }));
+        if (!job.skipKindle) {
+            log(t("job.sentTo", { names: Object.keys(job.deliveries || {}).join(", ") }));
         }
-
-        const indicators = page.locator("text=/Pesquisando|Researching|Analisando|Analyzing/i");
-        if (await indicators.isVisible().catch(() => false)) {
-            logSub("Atividade de pesquisa detectada.");
-            researchStarted = true;
-            break;
+        log(SEPARATOR);
+    } catch (err) {
+        log(t("job.error", { error: err.message }));
+        if (browser) {
+            try { await browser.page.screenshot({ path: 'error.png' }); } catch (e) { }
         }
-        await sleep(5_000);
+        pipeline.failJob(job, err);
+        console.error(err);
+        // Not process.exit(): the browser must close first (and save the trace)
+        process.exitCode = exitCodeFor(err);
+    } finally {
+        if (browser) await browser.close();
+        emit("result", jobResult(job));
     }
+}
 
-    if (!researchStarted) {
-        logSub("⚠️  Não detectou início. Continuando polling...");
+async function researchCommand({ args, options }) {
+    const skipKindle = options["no-kindle"] === true;
+    const reviewPlan = options["review-plan"] === true;
+    if (reviewPlan && !process.stdin.isTTY) {
+        throw new Error("--review-plan precisa de um terminal interativo (use --plan-instructions em scripts).");
     }
+    const { query, template, vars } = queryFromInput(args.query, options);
+    logBanner();
+    checkDestinations(options, { skipKindle });
+
+    // Model selection (default: Raciocínio, override with --model)
+    const model = resolveModel(config.model);
+    log(t("job.model", { model: model.label }));
+    if (template) log(t("job.template", { name: template }));
+    await runJob(jobs.create({
+        query,
+        template,
+        vars,
+        model: model.key,
+        epubEngine: config.epubEngine,
+        formats: config.formats,
+        planInstructions: config.planInstructions,
+        skipKindle,
+        delivery: options.delivery,
+        destinations: destinationNamesOf(options),
+    }), { onPlan: reviewPlan ? askAboutPlan : undefined });
+}
 
-    // Phase 2: Wait for completion
-    logSub("Fase 2: Aguardando conclusão...");
-    const minWaitUntil = Date.now() + 60_000;
+async function exportCommand({ args, options }) {
+    const geminiUrl = args["gemini-url"];
+    if (!/^https:\/\/gemini\.google\.com\//.test(geminiUrl)) {
+        throw new Error(`Forneça a URL de uma pesquisa Gemini existente (recebido: ${geminiUrl}).`);
+    }
+    const skipKindle = options["no-kindle"] === true;
+    logBanner();
+    checkDestinations(options, { skipKindle });
+
+    // Existing research: start right after the research step
+    await runJob(jobs.create({
+        geminiUrl,
+        step: 4,
+        epubEngine: config.epubEngine,
+        formats: config.formats,
+        skipKindle,
+        delivery: options.delivery,
+        destinations: destinationNamesOf(options),
+    }));
+}
 
-    while (Date.now() - startTime < MAX_POLL_TIME_MS) {
-        const elapsed = Math.round((Date.now() - startTime) / 1000);
+async function followupCommand({ args, options }) {
+    const question = args.pergunta.join(" ").trim();
+    if (!question) throw new Error("Informe a pergunta de acompanhamento.");
+    const fields = pipeline.followupFields(args["job-ou-url"], question);
+    const skipKindle = options["no-kindle"] === true;
+    logBanner();
+    checkDestinations(options, { skipKindle });
+
+    if (fields.followupOf) logSub(t("job.followupOf", { id: fields.followupOf, count: fields.followups.length }));
+    await runJob(jobs.create({
+        ...fields,
+        formats: config.formats,
+        skipKindle,
+        delivery: options.delivery,
+        destinations: destinationNamesOf(options),
+    }));
+}
 
-        const chipStatus = await page.evaluate(() => {
-            const chip = document.querySelector("deep-research-entry-chip-content");
-            return chip ? chip.innerText.trim() : "";
-        }).catch(() => "");
+async function resumeCommand({ args, options }) {
+    const jobId = args["job-id"] === "last" ? jobs.latestId() : args["job-id"];
+    const job = jobs.load(jobId || "(nenhum)");
 
-        if (/Conclu[íi]do|Completed/i.test(chipStatus)) {
-            await sleep(5_000);
-            logSub(`✅ Pesquisa concluída! Status: "${chipStatus}" (${elapsed}s)`);
-            return true;
-        }
+    if (options["no-kindle"]) job.skipKindle = true;
+    if (options.delivery) job.delivery = options.delivery;
+    if (options.to) job.destinations = destinationNamesOf(options);
 
-        if (chipStatus && !/Conclu[íi]do|Completed/i.test(chipStatus)) {
-            logSub(`⏳ Polling... (${elapsed}s) — Status: "${chipStatus}"`);
-            await sleep(POLL_INTERVAL_MS);
-            continue;
-        }
+    logBanner();
+    if (job.step >= TOTAL_STEPS) {
+        log(t("job.alreadyDone", { id: job.id }));
+        logSub(t("job.epubPath", { path: job.epubPath }));
+        emit("result", jobResult(job));
+        return;
+    }
+    if (!job.skipKindle) {
+        checkDestinations({ ...options, to: job.destinations, delivery: job.delivery });
+    }
+    log(t("job.resuming", { id: job.id, step: job.step + 1, total: TOTAL_STEPS }));
+    if (job.query) logSub(t("job.query", { query: job.query.substring(0, 60) }));
+    if (job.geminiUrl) logSub(t("job.gemini", { url: job.geminiUrl }));
+    await runJob(job);
+}
 
-        if (Date.now() < minWaitUntil) {
-            logSub(`⏳ Polling... (${elapsed}s)`);
-            await sleep(10_000);
-            continue;
-        }
+async function queueCommand({ args, options }) {
+    const queueFile = resolve(process.cwd(), args.arquivo);
+    const skipKindle = options["no-kindle"] === true;
+    logBanner();
+    checkDestinations(options, { skipKindle });
 
-        const reportLength = await page.evaluate(() => {
-            const container = document.querySelector('.container[scrollable="true"]');
-            return container ? (container.innerText || "").trim().length : 0;
-        }).catch(() => 0);
+    let state;
+    try {
+        state = initQueueState(queueFile, loadQueue(queueFile), { resume: options.resume === true });
+    } catch (err) {
+        log(t("queue.invalid", { error: err.message }));
+        process.exit(1);
+    }
+    const remaining = state.items.filter((item) => item.status !== "done").length;
+    log(t("queue.file", { file: queueFile }));
+    logSub(t("queue.counts", { items: state.items.length, remaining }));
+    logSub(t("queue.state", { path: queueStatePath(queueFile) }));
+    console.log();
 
-        if (reportLength > 500) {
-            logSub(`✅ Pesquisa concluída! Relatório com ${reportLength} caracteres. (${elapsed}s)`);
-            return true;
-        }
+    const browser = await pipeline.launchBrowser(config.profileDir, { traceName: `queue-${Date.now()}` });
+    let quotaExceeded;
+    try {
+        quotaExceeded = await runQueue(browser, state, {
+            epubEngine: config.epubEngine,
+            skipKindle,
+            delivery: options.delivery,
+            destinations: destinationNamesOf(options),
+        });
+    } finally {
+        await browser.close();
+    }
 
-        logSub(`⏳ Polling... (${elapsed}s)`);
-        await sleep(POLL_INTERVAL_MS);
+    logQueueSummary(state);
+    if (state.items.some((item) => item.status !== "done")) {
+        log(t("queue.howToRetry", { file: args.arquivo }));
+        process.exit(quotaExceeded ? EXIT_CODES[RESEARCH_ERRORS["quota-exceeded"]] : 1);
     }
+}
+
+/**
+ * Send an EPUB that already exists — a file, or a library entry by id — to
+ * the delivery destinations. No research, and no browser unless a
+ * destination needs one.
+ */
+async function sendCommand({ args, options }) {
+    let file = resolve(process.cwd(), args.arquivo);
+    let entry = null;
+    if (!existsSync(file)) {
+        entry = library.get(args.arquivo);
+        if (!entry || !entry.epubPath) throw new Error(`Arquivo ou relatório não encontrado: ${args.arquivo}`);
+        file = entry.epubPath;
+    }
+
+    logBanner();
+    const destinations = checkDestinations(options);
+    log(t("send.sending", { file }));
+    const deliveries = await pipeline.deliverToDestinations(null, file, {
+        title: entry ? entry.title : basename(file, extname(file)),
+        destinations,
+    });
 
-    logSub("⚠️  Tempo máximo de polling atingido.");
-    return false;
+    const failed = failedDeliveries(deliveries);
+    if (entry) library.setKindleStatus(entry.id, failed.length > 0 ? "failed" : "sent", deliveries);
+    emit("result", { ok: failed.length === 0, libraryId: entry ? entry.id : null, epubPath: file, deliveries });
+    if (failed.length > 0) {
+        log(t("delivery.failed", { names: failed.join(", ") }));
+        process.exit(1);
+    }
+    log(t("send.done", { names: Object.keys(deliveries).join(", ") }));
 }
 
-// ─── Export to Google Docs ─────────────────────────────────────────────────────
+async function loginCommand({ options }) {
+    logBanner();
+    const destinations = checkDestinations(options, { skipKindle: true });
+
+    // With --to, log into that destination's account and Amazon region
+    const destination = options.to ? destinations[0] : null;
+    let profilePath = config.profileDir;
+    if (destination && destination.profile && configSources.profileDir !== "--profile") profilePath = destination.profile;
+
+    // Logging in needs a window, whatever --headless says
+    const { context, page } = await pipeline.launchBrowser(profilePath, { traceName: "login", headless: false });
+    log(t("login.open"));
+    logSub(t("browser.profile", { path: profilePath }));
+    logSub(t("login.instructions"));
+    logSub(t("login.ctrlC"));
+    await navigateToGemini(page, config.geminiUrl).catch((err) => {
+        if (!isLoginRequired(err)) throw err;
+    });
 
-async function exportToGoogleDocs(page) {
-    logStep(5, "📤 Exportando para o Google Docs...");
+    const kindlePage = await context.newPage();
+    const region = destination ? destination.region : config.region;
+    await kindlePage.goto(sendToKindleUrl(region), { waitUntil: "domcontentloaded", timeout: 30000 }).catch(() => { });
 
-    // Click "Compartilhar e exportar" button
-    logSub('Clicando "Compartilhar e exportar"...');
-    const exportBtn = page.locator('button[data-test-id="export-menu-button"]').first();
-    await exportBtn.waitFor({ state: "visible", timeout: 10_000 });
-    await exportBtn.click();
-    await page.waitForTimeout(1500);
-    logSub("✅ Menu aberto.");
+    const claudePage = await context.newPage();
+    await claudePage.goto("https://claude.ai", { waitUntil: "domcontentloaded", timeout: 30000 }).catch(() => { });
 
-    // Click "Exportar para o Google Docs"
-    logSub('Clicando "Exportar para o Google Docs"...');
-    const docsBtn = page.locator('button[data-test-id="export-to-docs-button"]').first();
-    await docsBtn.waitFor({ state: "visible", timeout: 5_000 });
-    await docsBtn.click();
-    logSub("✅ Exportação iniciada.");
+    await new Promise(() => { });
+}
 
-    // Wait for Google Docs to open in a new tab
-    logSub("Aguardando Google Docs abrir...");
+// ─── Schedule Commands ─────────────────────────────────────────────────────────
+
+// How often `drk daemon` looks for due schedules
+const DAEMON_INTERVAL_MS = 60_000;
+
+function scheduleAdd({ args, options }) {
+    // Catch unknown destinations now rather than at the first run
+    checkDestinations(options, { skipKindle: options["no-kindle"] === true });
+    const schedule = schedules.add(args.nome, {
+        cron: options.cron,
+        query: queryFromInput(args.query, options).query,
+        model: options.model ? resolveModel(options.model).key : undefined,
+        epubEngine: options["epub-engine"],
+        formats: options.format ? config.formats : undefined,
+        skipKindle: options["no-kindle"] === true,
+        delivery: options.delivery,
+        destinations: destinationNamesOf(options),
+    });
+    console.log(`✅ Agendamento "${schedule.name}" salvo (${schedule.cron}).`);
+    console.log(`   Query:   ${renderQuery(schedule.query, { createdAt: schedule.createdAt })}`);
+    console.log(`   Próxima: ${formatDate(nextRun(schedule.cron)?.toISOString())}`);
+    console.log("   Para rodar: drk run-due (no cron do sistema) ou drk daemon");
+}
 
-    // The export creates a Google Doc and may show a toast/notification with a link,
-    // or open a new tab. We wait for a new page to appear.
-    let docsPage = null;
-    const maxWait = 30_000;
-    const startTime = Date.now();
+function scheduleList() {
+    const all = schedules.list();
+    if (all.length === 0) {
+        console.log(`Nenhum agendamento (${schedules.dir}). Crie com: drk schedule add <nome> --cron "<expr>" <query>`);
+        return;
+    }
+    const rows = all.map((s) => [
+        s.name,
+        s.cron,
+        formatDate(nextRun(s.cron)?.toISOString()),
+        s.lastRunAt ? `${formatDate(s.lastRunAt)} (${s.lastJobId})` : "-",
+        truncate(s.query, 50),
+    ]);
+    for (const line of formatTable(["Nome", "Cron", "Próxima", "Última", "Query"], rows)) {
+        console.log(line);
+    }
+    console.log(`\n${all.length} agendamento(s) em ${schedules.dir}`);
+}
 
-    while (Date.now() - startTime < maxWait) {
-        const pages = page.context().pages();
-        for (const p of pages) {
-            const url = p.url();
-            if (url.includes("docs.google.com/document")) {
-                docsPage = p;
-                break;
-            }
-        }
-        if (docsPage) break;
+function scheduleRemove({ args }) {
+    schedules.remove(args.nome);
+    console.log(`🗑️  Agendamento "${args.nome}" removido.`);
+}
 
-        // Also check for a toast notification with a link to the Doc
-        try {
-            const docsLink = page.locator('a[href*="docs.google.com/document"]').first();
-            if (await docsLink.isVisible({ timeout: 1000 }).catch(() => false)) {
-                const href = await docsLink.getAttribute("href");
-                logSub(`Link encontrado: ${href}`);
-                // Open in same tab context
-                docsPage = await page.context().newPage();
-                await docsPage.goto(href, { waitUntil: "domcontentloaded", timeout: 30_000 });
-                break;
+/**
+ * Run every schedule due at `now` as a new job in a single browser,
+ * `concurrency` at a time. Returns how many ran, how many failed (failed
+ * jobs stay resumable with `drk resume`) and whether Gemini's usage limit
+ * stopped the rest.
+ */
+async function runDueSchedules(now = new Date()) {
+    const due = schedules.due(now);
+    if (due.length === 0) return { ran: 0, failed: 0, quotaExceeded: false };
+
+    log(t("schedule.due", { count: due.length, names: due.map((s) => s.name).join(", ") }));
+    const browser = await pipeline.launchBrowser(config.profileDir, { traceName: `schedule-${Date.now()}` });
+    let failed = 0;
+    let quotaExceeded = false;
+    try {
+        await pipeline.runInTabs(browser, due, async (schedule, page, stop) => {
+            const model = resolveModel(schedule.model || config.model);
+            const job = jobs.create({
+                query: renderQuery(schedule.query, { now, lastRunAt: schedule.lastRunAt, createdAt: schedule.createdAt }),
+                model: model.key,
+                epubEngine: schedule.epubEngine || config.epubEngine,
+                formats: schedule.formats || config.formats,
+                planInstructions: config.planInstructions,
+                skipKindle: schedule.skipKindle,
+                delivery: schedule.delivery,
+                destinations: schedule.destinations,
+                schedule: schedule.name,
+            });
+            // Marked before running, so a crash does not repeat the run at the next check
+            schedules.update(schedule, { lastRunAt: now.toISOString(), lastJobId: job.id });
+
+            console.log();
+            log(SEPARATOR);
+            log(t("schedule.running", { name: schedule.name, model: model.label }));
+            log(`   "${job.query.substring(0, 80)}"`);
+            log(SEPARATOR);
+            try {
+                await pipeline.runResearch(page, job);
+                log(t("schedule.done", { name: schedule.name, path: job.epubPath }));
+            } catch (err) {
+                failed++;
+                log(t("schedule.failed", { name: schedule.name, error: err.message }));
+                pipeline.failJob(job, err);
+                // Every later schedule would hit the same login wall or usage limit
+                if (job.status === "login-required" || job.status === "quota-exceeded") stop();
+                if (job.status === "quota-exceeded") quotaExceeded = true;
+            } finally {
+                emit("result", { ...jobResult(job), schedule: schedule.name });
             }
-        } catch {
-            // ignore
-        }
+        });
+    } finally {
+        await browser.close();
+    }
+    return { ran: due.length, failed, quotaExceeded };
+}
 
-        await sleep(2000);
+async function runDueCommand() {
+    logBanner();
+    const { ran, failed, quotaExceeded } = await runDueSchedules();
+    if (ran === 0) {
+        log(t("schedule.nothingDue"));
+        return;
     }
+    if (failed > 0) process.exit(quotaExceeded ? EXIT_CODES[RESEARCH_ERRORS["quota-exceeded"]] : 1);
+}
 
-    if (!docsPage) {
-        // Fallback: check for snackbar/toast with "Abrir documento"
-        logSub('Procurando botão "Abrir documento" no toast...');
+async function daemonCommand() {
+    logBanner();
+    log(t("schedule.daemonStarted", { count: schedules.list().length, dir: schedules.dir }));
+    logSub(t("login.ctrlC"));
+    for (; ;) {
         try {
-            const openDocBtn = page.locator('text=/Abrir documento|Open document|Abrir no Docs|Open in Docs/i').first();
-            await openDocBtn.waitFor({ state: "visible", timeout: 10_000 });
-
-            // Get the link or click to open new tab
-            const [newPage] = await Promise.all([
-                page.context().waitForEvent("page", { timeout: 15_000 }),
-                openDocBtn.click(),
-            ]);
-            docsPage = newPage;
+            const { ran } = await runDueSchedules();
+            if (ran > 0) log(t("schedule.daemonWaiting"));
         } catch (err) {
-            throw new Error(`Google Docs não abriu após exportação: ${err.message}`);
+            // A bad schedule file or a browser crash must not stop the daemon
+            log(t("schedule.daemonError", { error: err.message }));
         }
+        await new Promise((r) => setTimeout(r, DAEMON_INTERVAL_MS - (Date.now() % DAEMON_INTERVAL_MS)));
     }
-
-    await docsPage.waitForLoadState("domcontentloaded");
-    await docsPage.waitForTimeout(3000);
-    logSub(`✅ Google Docs aberto: ${docsPage.url().substring(0, 60)}...`);
-
-    return docsPage;
 }
 
-// ─── Download EPUB from Google Docs ────────────────────────────────────────────
-
-async function downloadEpubFromDocs(docsPage) {
-    logStep(6, "📥 Baixando EPUB do Google Docs...");
-
-    // Click File menu (Arquivo)
-    logSub('Abrindo menu "Arquivo"...');
-    const fileMenu = docsPage.locator('#docs-file-menu').first();
-    await fileMenu.waitFor({ state: "visible", timeout: 10_000 });
-    await fileMenu.click();
-    await docsPage.waitForTimeout(1500);
-    logSub("✅ Menu Arquivo aberto.");
+// ─── Serve Command ─────────────────────────────────────────────────────────────
 
-    // Click "Download" / "Baixar" / "Fazer download" submenu
-    logSub('Clicando "Baixar"...');
-
-    // Google Docs uses specific menu item IDs — try multiple approaches
-    let downloadClicked = false;
-    const downloadSelectors = [
-        ':scope [id*="download"]',
-        ':scope .goog-menuitem:has-text("download")',
-    ];
+/**
+ * Research and deliveries requested over HTTP, run one at a time in a single
+ * browser that is launched for the first task and kept open.
+ */
+function createTaskRunner() {
+    const tasks = [];       // { kind: "research" | "send", job }, running one first
+    const live = new Map(); // job id → { researchState, chipStatus, elapsedSec } of the running poll
+    let browser = null;
+    let draining = false;
+
+    onEvent((event) => {
+        if (event.type === "poll" && event.jobId) {
+            live.set(event.jobId, { researchState: event.state, chipStatus: event.chipStatus, elapsedSec: event.elapsedSec });
+        }
+    });
 
-    // First try: look for menu item by ID
-    for (const sel of downloadSelectors) {
-        try {
-            const item = docsPage.locator(sel).first();
-            if (await item.isVisible({ timeout: 2_000 }).catch(() => false)) {
-                await item.click();
-                downloadClicked = true;
-                break;
-            }
-        } catch {
-            // try next
+    async function runTask({ kind, job }) {
+        if (browser && browser.page.isClosed()) browser = null;
+        browser ??= await pipeline.launchBrowser(config.profileDir, { traceName: `serve-${Date.now()}` });
+        if (kind === "research") {
+            await pipeline.runResearch(browser.page, job);
+        } else {
+            await pipeline.resendJob(browser.page, job);
         }
     }
 
-    // Second try: look for text-based match
-    if (!downloadClicked) {
-        const downloadItem = docsPage.getByText(/Fazer download|Baixar|Download/i).first();
-        await downloadItem.waitFor({ state: "visible", timeout: 5_000 });
-        await downloadItem.click();
-        downloadClicked = true;
+    async function drain() {
+        if (draining) return;
+        draining = true;
+        while (tasks.length > 0) {
+            const task = tasks[0];
+            try {
+                await runTask(task);
+            } catch (err) {
+                log(t("job.error", { error: err.message }));
+                pipeline.failJob(task.job, err);
+            }
+            tasks.shift();
+            live.delete(task.job.id);
+        }
+        draining = false;
     }
 
-    await docsPage.waitForTimeout(1500);
-    logSub("✅ Submenu download aberto.");
-
-    // Click EPUB option
-    logSub('Selecionando EPUB...');
-    const epubOption = docsPage.getByText(/EPUB/i).first();
-    await epubOption.waitFor({ state: "visible", timeout: 5_000 });
-
-    // Wait for download event
-    const downloadPromise = docsPage.waitForEvent("download", { timeout: 30_000 });
-    await epubOption.click();
-
-    logSub("Aguardando download...");
-    const download = await downloadPromise;
-
-    // Save to Downloads
-    const suggestedName = download.suggestedFilename();
-    const savePath = resolve(DOWNLOADS_DIR, suggestedName);
-    await download.saveAs(savePath);
-
-    logSub(`✅ EPUB baixado: ${suggestedName}`);
-    logSub(`   Caminho: ${savePath}`);
-
-    return savePath;
+    return {
+        enqueue(kind, job) {
+            tasks.push({ kind, job });
+            drain();
+        },
+
+        /** The in-memory job while queued or running (it is ahead of its file), or null. */
+        jobOf(id) {
+            const task = tasks.find((queued) => queued.job.id === id);
+            return task ? task.job : null;
+        },
+
+        progress(id) {
+            const position = tasks.findIndex((queued) => queued.job.id === id);
+            if (position < 0) return null;
+            if (position > 0) return { state: "queued", position: position - 1 };
+            return { state: "running", task: tasks[0].kind, currentStep: Math.min(tasks[0].job.step + 1, TOTAL_STEPS), ...live.get(id) };
+        },
+
+        async close() {
+            if (browser) await browser.close();
+        },
+    };
 }
 
-// ─── Send to Kindle ────────────────────────────────────────────────────────────
-
-async function sendToKindle(page, epubPath) {
-    logStep(7, "📧 Enviando EPUB para o Kindle...");
-
-    // Navigate to Send to Kindle
-    logSub(`Navegando para ${SEND_TO_KINDLE_URL}...`);
-    await page.goto(SEND_TO_KINDLE_URL, { waitUntil: "domcontentloaded", timeout: 30_000 });
-    await page.waitForTimeout(3000);
-    logSub("✅ Página carregada.");
-
-    // Upload file using the "Select files from device" button
-    logSub("Fazendo upload do EPUB...");
-
-    // The button triggers a file chooser
-    const uploadBtn = page.locator('#s2k-dnd-add-your-files-button, button:has-text("Selecionar arquivos"), button:has-text("Select files")').first();
-    await uploadBtn.waitFor({ state: "visible", timeout: 10_000 });
-
-    const [fileChooser] = await Promise.all([
-        page.waitForEvent("filechooser", { timeout: 15_000 }),
-        uploadBtn.click(),
-    ]);
-    await fileChooser.setFiles(epubPath);
-    logSub("✅ Arquivo selecionado.");
-
-    // Wait for the file to be processed/uploaded
-    logSub("Aguardando processamento...");
-    await page.waitForTimeout(5000);
-
-    // Click Send button
-    logSub('Clicando "Enviar"...');
-    const sendBtn = page.locator('#s2k-r2s-send-button, button:has-text("Enviar"), button:has-text("Send")').first();
-    await sendBtn.waitFor({ state: "visible", timeout: 15_000 });
-    await sendBtn.click();
-
-    logSub("Aguardando confirmação...");
-    await page.waitForTimeout(5000);
+/** `"a,b"` or `["a", "b"]` from a request body → destination names. */
+function destinationNamesOfRequest(to) {
+    if (to === undefined || to === null) return [];
+    if (typeof to === "string") return destinationNamesOf({ to: [to] });
+    if (Array.isArray(to) && to.every((name) => typeof name === "string")) return destinationNamesOf({ to });
+    throw httpError(400, "\"to\" deve ser uma lista de destinos.");
+}
 
-    // Check for success
+/** Resolve destinations like the CLI does, as a 400 for the client when they are bad. */
+function checkRequestDestinations(names, { skipKindle = false } = {}) {
     try {
-        const success = page.locator('text=/enviado|sent|sucesso|success|entregue|delivered/i').first();
-        await success.waitFor({ state: "visible", timeout: 15_000 });
-        logSub("✅ EPUB enviado ao Kindle com sucesso!");
-    } catch {
-        logSub("⚠️  Confirmação não detectada, mas comando executado.");
+        const destinations = resolveDestinations(config, names);
+        if (!skipKindle) destinations.forEach((destination) => createDeliveryBackend(destination));
+    } catch (err) {
+        throw httpError(400, err.message);
     }
 }
 
-// ─── Main ──────────────────────────────────────────────────────────────────────
-
-async function main() {
-    const args = process.argv.slice(2);
-
-    // Parse --profile
-    let profilePath = undefined;
-    const profileIndex = args.indexOf("--profile");
-    if (profileIndex !== -1 && args[profileIndex + 1]) {
-        profilePath = resolve(process.cwd(), args[profileIndex + 1]);
-        args.splice(profileIndex, 2);
-    }
+async function serveCommand() {
+    logBanner();
+    const runner = createTaskRunner();
+    const jobView = (job) => ({ ...job, totalSteps: TOTAL_STEPS, progress: runner.progress(job.id) });
+
+    const server = createApiServer({
+        listJobs: () => jobs.list().map((job) => jobView(runner.jobOf(job.id) || job)),
+
+        getJob: (id) => {
+            const job = runner.jobOf(id) || (existsSync(jobs.pathOf(id)) ? jobs.load(id) : null);
+            return job && jobView(job);
+        },
+
+        submit: ({ query, model, noKindle, to }) => {
+            if (typeof query !== "string" || !query.trim()) throw httpError(400, "Informe a \"query\".");
+            let resolved;
+            try {
+                resolved = resolveModel(model || config.model);
+            } catch (err) {
+                throw httpError(400, err.message);
+            }
+            const destinations = destinationNamesOfRequest(to);
+            checkRequestDestinations(destinations, { skipKindle: noKindle === true });
+
+            const job = jobs.create({
+                query: query.trim(),
+                model: resolved.key,
+                epubEngine: config.epubEngine,
+                formats: config.formats,
+                planInstructions: config.planInstructions,
+                skipKindle: noKindle === true,
+                destinations,
+            });
+            log(t("serve.queued", { id: job.id, query: job.query.substring(0, 60) }));
+            runner.enqueue("research", job);
+            return jobView(job);
+        },
+
+        resend: (id, { to }) => {
+            if (runner.jobOf(id)) throw httpError(409, `O job ${id} ainda está na fila.`);
+            const job = jobs.load(id);
+            if (!job.epubPath) throw httpError(409, `O job ${id} ainda não tem EPUB.`);
+            if (to !== undefined) job.destinations = destinationNamesOfRequest(to);
+            checkRequestDestinations(job.destinations);
+            log(t("serve.resending", { id }));
+            runner.enqueue("send", job);
+            return jobView(job);
+        },
+    }, { token: config.serve.token, host: config.serve.host });
+
+    const { host, port } = config.serve;
+    await new Promise((resolveListen, rejectListen) => {
+        server.once("error", rejectListen);
+        server.listen(port, host, resolveListen);
+    });
+    log(t("serve.listening", { url: `http://${host}:${port}/` }));
+    if (host === "0.0.0.0" || host === "::") logSub(t("serve.lanHint", { port }));
+    if (!config.serve.token && host !== "127.0.0.1" && host !== "localhost") logSub(t("serve.noToken"));
+    logSub(t("login.ctrlC"));
+
+    process.once("SIGINT", async () => {
+        server.close();
+        await runner.close();
+        process.exit(0);
+    });
+}
 
-    // Parse --model
-    let modelArg = undefined;
-    const modelIndex = args.indexOf("--model");
-    if (modelIndex !== -1 && args[modelIndex + 1]) {
-        modelArg = args[modelIndex + 1];
-        args.splice(modelIndex, 2);
-    }
+// ─── Doctor Command ────────────────────────────────────────────────────────────
 
-    const loginOnly = args.includes("--login-only");
-    const sendOnly = args.includes("--send-only");
-    const skipKindle = args.includes("--no-kindle");
-    const query = args.filter((a) => !a.startsWith("--")).join(" ");
+/**
+ * Load each page in the saved profile and report which registry selectors
+ * (lib/selectors.mjs) still resolve. The conversation and Docs pages only
+ * exist for a given research, so they are checked when their URL is passed.
+ */
+async function doctorCommand({ options }) {
+    const targets = [
+        { probe: "gemini", label: "Gemini", url: config.geminiUrl },
+        { probe: "conversation", label: "Conversa", url: options.conversation, hint: "--conversation <url de uma pesquisa concluída>" },
+        { probe: "docs", label: "Google Docs", url: options.doc, hint: "--doc <url de um documento>" },
+        { probe: "kindle", label: "Send to Kindle", url: sendToKindleUrl(config.region) },
+    ];
+    const model = resolveModel(config.model);
 
-    // --- Help ---
-    if (!loginOnly && !sendOnly && !query) {
-        console.log(`
-📚 Deep Research to Kindle (DRK)
+    log(t("doctor.checking", { version: SELECTORS_VERSION }));
+    logSub(t("browser.profile", { path: config.profileDir }));
+    logSub(t("doctor.uiLocale", { locale: config.uiLocale === "auto" ? t("doctor.autoLocale") : UI_LOCALES[config.uiLocale].name }));
+    const tracePath = config.trace ? pipeline.tracePathFor(`doctor-${Date.now()}`) : null;
+    const { page, close } = await launchPersistent(config.profileDir, { headless: config.headless, tracePath });
 
-Fluxo: Gemini → Google Docs → EPUB → Send to Kindle
+    let missing = 0;
+    let loggedOut = 0;
+    let fallbacks = 0;
+    try {
+        for (const target of targets) {
+            console.log();
+            if (!target.url) {
+                log(t("doctor.skipped", { page: target.label, hint: target.hint }));
+                continue;
+            }
+            log(t("doctor.page", { page: target.label, url: target.url }));
+            await page.goto(target.url, { waitUntil: "domcontentloaded", timeout: 30_000 });
+            await pause(page, 5000);
+
+            const site = await detectLoginWall(page);
+            if (site) {
+                loggedOut++;
+                logSub(t("doctor.loginRequired", { site }));
+                continue;
+            }
 
-Uso:
-  node drk.mjs "Sua query de pesquisa"            Pesquisa completa (modelo: Raciocínio)
-  node drk.mjs --model flash "query"               Usar modelo Flash
-  node drk.mjs --model pro "query"                 Usar modelo Pro
-  node drk.mjs --send-only <gemini-url>            Exportar pesquisa existente para Kindle
-  node drk.mjs --login-only                        Abrir browser para login
+            const results = await probeSelectors(page, probeKeys(target.probe), { model: model.id });
+            const rows = results.map(({ key, description, selector, index }) => {
+                if (index < 0) missing++;
+                if (index > 0) fallbacks++;
+                const status = index < 0 ? "❌" : index === 0 ? "✅" : `↪️  #${index + 1}`;
+                return [status, key, description, selector || "-"];
+            });
+            for (const line of formatTable(t("doctor.header").split("|"), rows)) {
+                console.log(`  ${line}`);
+            }
+        }
+    } finally {
+        await close();
+        if (tracePath) log(t("browser.traceSaved", { path: tracePath }));
+    }
 
-Modelos:
-  flash | rapido     ⚡ Rápido (Flash)
-  thinking | raciocinio   🧠 Raciocínio (Thinking) [PADRÃO]
-  pro                🚀 Pro
-
-Opções:
-  --model <nome>    Escolher modelo (padrão: raciocínio)
-  --login-only      Apenas login manual (Google + Amazon)
-  --no-kindle       Exportar e baixar EPUB, sem enviar ao Kindle
-  --send-only       Abrir pesquisa existente e enviar (pula a pesquisa)
-  --profile         Caminho para perfil customizado
-
-Exemplos:
-  node drk.mjs "Quais os avanços recentes em edição genética CRISPR?"
-  node drk.mjs --model pro "História da arquitetura medieval"
-  node drk.mjs --send-only https://gemini.google.com/app/1de4d1cd9d823b42
-`);
-        process.exit(0);
+    console.log();
+    if (loggedOut > 0) {
+        log(t("doctor.loggedOut", { count: loggedOut }));
+        process.exitCode = 1;
+    }
+    if (missing > 0) {
+        log(t("doctor.missing", { count: missing }));
+        logSub(t("doctor.loginHint"));
+        process.exitCode = 1;
+    } else if (fallbacks > 0) {
+        log(t("doctor.fallbacks", { count: fallbacks }));
+    } else if (loggedOut === 0) {
+        log(t("doctor.ok"));
     }
+}
 
-    logBanner();
+// ─── Command Table ─────────────────────────────────────────────────────────────
 
-    // --- Login-only ---
-    if (loginOnly) {
-        const { context, page } = await launchBrowser(profilePath);
-        log("🔑 Modo login — browser aberto.");
-        logSub(`Perfil: ${profilePath || PROFILE_DIR}`);
-        logSub("Faça login no Google (Gemini, Docs, Gmail), Amazon e Claude.");
-        logSub("Pressione Ctrl+C quando terminar.");
-        await navigateToGemini(page);
+const PROGRAM = {
+    name: "drk",
+    title: "📚 Deep Research to Kindle (DRK)\n\nFluxo: Gemini → EPUB → Send to Kindle (ou via Google Docs com --epub-engine docs)",
+    epilog: `Modelos:
+  flash | rapido          ⚡ Rápido (Flash)
+  thinking | raciocinio   🧠 Raciocínio (Thinking) [PADRÃO]
+  pro                     🚀 Pro
+
+Configuração: padrões → ~/.config/drk/config.json → .drkrc → DRK_* → flags (drk config show)
+Sem "npm link", use "node drk.mjs" no lugar de "drk". Uma query entre aspas sem
+comando equivale a "drk research".`,
+};
+
+const BROWSER_OPTIONS = {
+    profile: { type: "string", value: "<dir>", complete: "dir", description: "Perfil do navegador (padrão: ~/.drk-profile)" },
+    "ui-locale": { type: "string", value: "<idioma>", choices: ["auto", ...UI_LOCALE_CODES], description: "Idioma da interface do Gemini/Docs/Amazon (padrão: auto, pelo <html lang>)" },
+    headless: { type: "boolean", description: "Sem janela (servidor, cron), com um perfil já logado via drk login" },
+    trace: { type: "boolean", description: "Gravar um trace do Playwright em <dataDir>/traces" },
+};
+
+const DELIVERY_OPTIONS = {
+    delivery: { type: "string", value: "<d>", choices: DELIVERY_BACKENDS, description: "Entrega: web (Send to Kindle) ou smtp (e-mail)" },
+    to: { type: "string", value: "<destinos>", multiple: true, description: "Destinos da config, separados por vírgula (padrão: defaultDestinations)" },
+};
+
+const OUTPUT_OPTIONS = {
+    "log-format": { type: "string", value: "<f>", choices: LOG_FORMATS, description: "text (padrão) ou ndjson: eventos JSON, um por linha, no stdout (logs vão para o stderr)" },
+    json: { type: "boolean", description: "O mesmo que --log-format ndjson" },
+};
+
+const PIPELINE_OPTIONS = {
+    "epub-engine": { type: "string", value: "<e>", choices: EPUB_ENGINES, description: "Gerador de EPUB: native (padrão) ou docs (Google Docs)" },
+    format: { type: "string", value: "<f,...>", description: "Formatos além do EPUB: md, html, pdf (tela e-ink de 6\"), azw3-ready (ex.: epub,md,pdf)" },
+    "no-kindle": { type: "boolean", description: "Gerar o EPUB sem enviar ao Kindle" },
+    ...DELIVERY_OPTIONS,
+    ...BROWSER_OPTIONS,
+    ...OUTPUT_OPTIONS,
+};
+
+const MODEL_OPTION = {
+    model: { type: "string", value: "<nome>", choices: Object.keys(MODEL_ALIASES), description: "Modelo: flash, thinking (padrão) ou pro" },
+};
+
+const TEMPLATE_OPTIONS = {
+    template: { type: "string", value: "<nome>", description: "Montar a query com um template (drk templates lista os disponíveis)" },
+    var: { type: "string", value: "<nome=valor>", multiple: true, description: "Variável do template; o texto da query, se houver, vira topic" },
+};
+
+const PLAN_OPTIONS = {
+    "review-plan": { type: "boolean", description: "Mostrar o plano de pesquisa do Gemini e aceitar, ajustar ou abortar antes de começar" },
+    "plan-instructions": { type: "string", value: "<texto>", description: "Orientação enviada ao Gemini para ajustar todo plano de pesquisa" },
+};
+
+const CONCURRENCY_OPTION = {
+    concurrency: { type: "string", value: "<n>", description: "Pesquisas em paralelo, cada uma numa aba (padrão: 1)" },
+};
+
+const COMMANDS = {
+    research: {
+        summary: "Pesquisa completa: Gemini Deep Research → EPUB → Kindle",
+        args: [{ name: "query", variadic: true, optional: true }],
+        options: { ...MODEL_OPTION, ...TEMPLATE_OPTIONS, ...PLAN_OPTIONS, ...PIPELINE_OPTIONS },
+        examples: [
+            'research "Quais os avanços recentes em edição genética CRISPR?"',
+            'research --model pro "História da arquitetura medieval"',
+            'research --review-plan "Impacto econômico da energia solar no Nordeste"',
+            'research --template literature-review --var topic="CRISPR base editing"',
+            'research --to kindle-casa,kindle-trabalho "Economia circular"',
+            "research -- \"-5 °C: como o frio afeta baterias\"",
+        ],
+        run: researchCommand,
+    },
+    export: {
+        summary: "Exportar uma pesquisa Gemini existente (pula a pesquisa)",
+        args: [{ name: "gemini-url" }],
+        options: PIPELINE_OPTIONS,
+        examples: ["export https://gemini.google.com/app/1de4d1cd9d823b42"],
+        run: exportCommand,
+    },
+    send: {
+        summary: "Enviar um EPUB (arquivo ou id da biblioteca) ao Kindle",
+        args: [{ name: "arquivo", complete: "file" }],
+        options: { ...DELIVERY_OPTIONS, ...BROWSER_OPTIONS, ...OUTPUT_OPTIONS },
+        examples: ["send relatorio.epub --to kindle-casa", "send 20261018-153012-ab12"],
+        run: sendCommand,
+    },
+    followup: {
+        summary: "Fazer uma pergunta de acompanhamento na conversa e gerar o EPUB atualizado",
+        description: "Reabrir a conversa de um job (id ou \"last\") ou URL do Gemini, enviar a pergunta, esperar a resposta e gerar um novo EPUB com o relatório e as respostas como capítulos finais.",
+        args: [{ name: "job-ou-url" }, { name: "pergunta", variadic: true }],
+        options: { format: PIPELINE_OPTIONS.format, "no-kindle": PIPELINE_OPTIONS["no-kindle"], ...DELIVERY_OPTIONS, ...BROWSER_OPTIONS, ...OUTPUT_OPTIONS },
+        examples: [
+            'followup last "Aprofunde a seção sobre o ciclo do café"',
+            'followup https://gemini.google.com/app/1de4d1cd9d823b42 "Compare os dois estados que mais produzem"',
+        ],
+        run: followupCommand,
+    },
+    resume: {
+        summary: "Retomar um job do primeiro passo não concluído",
+        description: "Retomar um job salvo em ~/.drk/jobs (\"last\" = o mais recente) do primeiro passo não concluído.",
+        args: [{ name: "job-id" }],
+        options: { "no-kindle": PIPELINE_OPTIONS["no-kindle"], ...DELIVERY_OPTIONS, ...BROWSER_OPTIONS, ...OUTPUT_OPTIONS },
+        examples: ["resume last", "resume 20261018-153012-ab12"],
+        run: resumeCommand,
+    },
+    queue: {
+        summary: "Rodar uma fila de pesquisas (.txt, .json, .yaml)",
+        args: [{ name: "arquivo", complete: "file" }],
+        options: {
+            resume: { type: "boolean", description: "Pular itens já concluídos e repetir os que falharam" },
+            ...MODEL_OPTION,
+            "plan-instructions": PLAN_OPTIONS["plan-instructions"],
+            ...CONCURRENCY_OPTION,
+            ...PIPELINE_OPTIONS,
+        },
+        examples: ["queue leituras-da-semana.txt", "queue leituras-da-semana.txt --resume", "queue leituras-da-semana.txt --concurrency 3"],
+        run: queueCommand,
+    },
+    login: {
+        summary: "Abrir o navegador para login manual (Google, Amazon)",
+        options: {
+            ...BROWSER_OPTIONS,
+            to: { type: "string", value: "<destino>", description: "Entrar na conta e região Amazon deste destino" },
+        },
+        run: async ({ options }) => loginCommand({ options: { ...options, to: options.to && [options.to] } }),
+    },
+    doctor: {
+        summary: "Verificar se os seletores das páginas ainda funcionam",
+        description: "Abrir Gemini, Google Docs e Send to Kindle no perfil salvo e conferir quais seletores ainda encontram seus elementos.",
+        options: {
+            conversation: { type: "string", value: "<url>", description: "Conversa do Gemini com pesquisa concluída (verifica relatório e exportação)" },
+            doc: { type: "string", value: "<url>", description: "Documento do Google Docs (verifica o menu de download)" },
+            ...BROWSER_OPTIONS,
+        },
+        examples: ["doctor", "doctor --conversation https://gemini.google.com/app/1de4d1cd9d823b42"],
+        run: doctorCommand,
+    },
+    templates: {
+        summary: "Listar os templates de query (ou mostrar um)",
+        description: "Listar os templates de query — os embutidos e os do setting \"templates\" — com suas variáveis, ou mostrar o texto de um.",
+        args: [{ name: "nome", optional: true }],
+        examples: ["templates", "templates literature-review"],
+        run: ({ args }) => (args.nome ? templatesShow(args.nome) : templatesList()),
+    },
+    library: {
+        summary: "Consultar a biblioteca de relatórios",
+        defaultSubcommand: "list",
+        subcommands: {
+            list: { summary: "Listar relatórios salvos", run: () => libraryList() },
+            show: { summary: "Detalhes de um relatório (aceita prefixo do id)", args: [{ name: "id" }], run: ({ args }) => libraryShow(args.id) },
+            search: { summary: "Busca no texto dos relatórios", args: [{ name: "termos", variadic: true }], run: ({ args }) => librarySearch(args.termos) },
+        },
+    },
+    schedule: {
+        summary: "Pesquisas recorrentes (cron)",
+        defaultSubcommand: "list",
+        subcommands: {
+            add: {
+                summary: "Agendar uma pesquisa recorrente",
+                description: "Agendar uma pesquisa recorrente. A query aceita {{date}}, {{week}}, {{month}}, {{year}} e {{lastRunDate}}, preenchidos a cada execução.",
+                args: [{ name: "nome" }, { name: "query", variadic: true, optional: true }],
+                options: {
+                    cron: { type: "string", value: "<expr>", description: "Quando rodar: \"min hora dia mês dia-da-semana\" ou @daily, @weekly…" },
+                    ...MODEL_OPTION,
+                    ...TEMPLATE_OPTIONS,
+                    "epub-engine": PIPELINE_OPTIONS["epub-engine"],
+                    format: PIPELINE_OPTIONS.format,
+                    "no-kindle": PIPELINE_OPTIONS["no-kindle"],
+                    ...DELIVERY_OPTIONS,
+                },
+                examples: [
+                    'schedule add ia-semanal --cron "0 7 * * mon" "Novidades em IA na semana {{week}}"',
+                    'schedule add baterias --cron @monthly --to kindle-casa "Avanços em baterias desde {{lastRunDate}}"',
+                    'schedule add ia --cron @weekly --template news-briefing --var period="7 dias" "inteligência artificial"',
+                ],
+                run: (input) => {
+                    if (!input.options.cron) throw new Error("Informe quando rodar com --cron \"<expr>\".");
+                    scheduleAdd(input);
+                },
+            },
+            list: { summary: "Listar agendamentos e a próxima execução", run: () => scheduleList() },
+            remove: { summary: "Remover um agendamento", args: [{ name: "nome" }], run: scheduleRemove },
+        },
+    },
+    serve: {
+        summary: "API HTTP local e página web para pedir pesquisas",
+        description: "Servir uma API REST local e uma página web (para o celular, na rede local) para pedir pesquisas, acompanhar jobs, baixar o EPUB e reenviar ao Kindle. As pesquisas rodam uma por vez num só navegador.",
+        options: {
+            host: { type: "string", value: "<host>", description: "Endereço de escuta (padrão: 127.0.0.1; 0.0.0.0 para a rede local)" },
+            port: { type: "string", value: "<porta>", description: "Porta (padrão: 8787)" },
+            ...BROWSER_OPTIONS,
+        },
+        examples: ["serve", "serve --host 0.0.0.0 --headless"],
+        run: serveCommand,
+    },
+    "run-due": {
+        summary: "Rodar uma vez os agendamentos vencidos (para o cron do sistema)",
+        options: { ...CONCURRENCY_OPTION, ...BROWSER_OPTIONS, ...OUTPUT_OPTIONS },
+        examples: ["run-due --headless"],
+        run: runDueCommand,
+    },
+    daemon: {
+        summary: "Ficar rodando e executar os agendamentos na hora",
+        options: { ...CONCURRENCY_OPTION, ...BROWSER_OPTIONS },
+        examples: ["daemon --headless"],
+        run: daemonCommand,
+    },
+    config: {
+        summary: "Configuração efetiva",
+        defaultSubcommand: "show",
+        subcommands: {
+            show: { summary: "Valores efetivos e a origem de cada um", run: () => configShow() },
+        },
+    },
+    completion: {
+        summary: "Script de autocompletar para o shell",
+        args: [{ name: "shell", choices: COMPLETION_SHELLS }],
+        examples: [
+            "completion bash > ~/.local/share/bash-completion/completions/drk",
+            "completion zsh > \"${fpath[1]}/_drk\"",
+        ],
+        standalone: true,
+        run: ({ args }) => process.stdout.write(completionScript(args.shell, PROGRAM, COMMANDS)),
+    },
+    help: {
+        summary: "Ajuda geral ou de um comando",
+        args: [{ name: "comando", optional: true, variadic: true }],
+        standalone: true,
+        run: ({ args }) => {
+            parseCommandLine(COMMANDS, [...args.comando, "--help"]);
+            console.log(formatHelp(PROGRAM, COMMANDS, args.comando));
+        },
+    },
+};
+
+// Flags of the old single-command CLI, pointing at their replacement
+const LEGACY_FLAGS = {
+    "--send-only": "drk export <gemini-url>",
+    "--login-only": "drk login",
+    "--queue": "drk queue <arquivo> [--resume]",
+    "--resume": "drk resume <job-id | last>",
+};
 
-        const kindlePage = await context.newPage();
-        await kindlePage.goto(SEND_TO_KINDLE_URL, { waitUntil: "domcontentloaded", timeout: 30000 }).catch(() => { });
+// ─── Main ──────────────────────────────────────────────────────────────────────
 
-        const claudePage = await context.newPage();
-        await claudePage.goto("https://claude.ai", { waitUntil: "domcontentloaded", timeout: 30000 }).catch(() => { });
+async function main() {
+    const argv = process.argv.slice(2);
 
-        await new Promise(() => { });
+    let parsed;
+    try {
+        parsed = parseCommandLine(COMMANDS, argv, { defaultCommand: "research" });
+    } catch (err) {
+        console.log(`❌ ${err.message}`);
+        const legacy = Object.keys(LEGACY_FLAGS).find((flag) => argv.includes(flag));
+        if (legacy) console.log(`   ${legacy} foi substituído por: ${LEGACY_FLAGS[legacy]}`);
+        console.log(`   Ajuda: ${PROGRAM.name} --help`);
+        process.exit(1);
     }
 
-    // --- Send-only mode (existing research) ---
-    if (sendOnly) {
-        const geminiUrl = query;
-        if (!geminiUrl || !geminiUrl.includes("gemini.google.com")) {
-            log("❌ Forneça a URL de uma pesquisa Gemini existente.");
-            process.exit(1);
-        }
+    const { path, command, args, options, help } = parsed;
+    if (help) {
+        console.log(formatHelp(PROGRAM, COMMANDS, path));
+        return;
+    }
 
-        const { context, page } = await launchBrowser(profilePath);
+    if (!command.standalone) {
+        // Flags that override config settings (the last configuration layer)
+        const flags = {
+            profileDir: { value: options.profile, flag: "--profile" },
+            model: { value: options.model, flag: "--model" },
+            epubEngine: { value: options["epub-engine"], flag: "--epub-engine" },
+            formats: { value: options.format, flag: "--format" },
+            concurrency: { value: options.concurrency, flag: "--concurrency" },
+            planInstructions: { value: options["plan-instructions"], flag: "--plan-instructions" },
+            template: { value: options.template, flag: "--template" },
+            delivery: { value: options.delivery, flag: "--delivery" },
+            uiLocale: { value: options["ui-locale"], flag: "--ui-locale" },
+            headless: { value: options.headless, flag: "--headless" },
+            trace: { value: options.trace, flag: "--trace" },
+            "serve.host": { value: options.host, flag: "--host" },
+            "serve.port": { value: options.port, flag: "--port" },
+            logFormat: options.json ? { value: "ndjson", flag: "--json" } : { value: options["log-format"], flag: "--log-format" },
+        };
         try {
-            logStep(2, "🌐 Navegando para a pesquisa existente...");
-            logSub(`URL: ${geminiUrl}`);
-            await page.goto(geminiUrl, { waitUntil: "domcontentloaded", timeout: 30_000 });
-            await page.waitForTimeout(5000);
-            logSub("✅ Página carregada.");
-
-            const docsPage = await exportToGoogleDocs(page);
-            const epubPath = await downloadEpubFromDocs(docsPage);
-
-            // Close the Docs tab
-            await docsPage.close();
-
-            if (!skipKindle) {
-                await sendToKindle(page, epubPath);
-            } else {
-                log("⏭️  Envio ao Kindle pulado (--no-kindle).");
-            }
-
-            console.log();
-            log(SEPARATOR);
-            log("🎉 Concluído!");
-            log(`   EPUB: ${epubPath}`);
-            log(SEPARATOR);
+            ({ config, sources: configSources } = loadConfig({ flags }));
         } catch (err) {
-            log(`❌ Erro: ${err.message}`);
-            console.error(err);
+            console.log(`❌ ${err.message}`);
             process.exit(1);
-        } finally {
-            await context.close();
         }
-        return;
+        setLanguage(config.lang || detectLanguage(process.env));
+        setUiLocale(config.uiLocale === "auto" ? null : config.uiLocale);
+        if (config.logFormat === "ndjson") {
+            // stdout carries only the events; everything printed for people goes to stderr
+            console.log = console.error;
+            onEvent(ndjsonWriter(process.stdout));
+        }
+        pipeline = createPipeline(config);
+        ({ jobs, library } = pipeline);
+        schedules = createScheduleStore(resolve(config.dataDir, "schedules"));
     }
 
-    // --- Model selection (default: Raciocínio, override with --model) ---
-    const model = resolveModel(modelArg);
-    log(`Modelo: ${model.label}`);
-    console.log();
-
-    // --- Full automation flow ---
-    const { context, page } = await launchBrowser(profilePath);
-
     try {
-        await navigateToGemini(page);
-        await selectModel(page, model);
-        await enableDeepResearch(page);
-        await submitQuery(page, query);
-        await confirmResearchStart(page);
-        await pollForCompletion(page);
-
-        // Export to Google Docs
-        const docsPage = await exportToGoogleDocs(page);
-
-        // Download EPUB
-        const epubPath = await downloadEpubFromDocs(docsPage);
-
-        // Close the Docs tab
-        await docsPage.close();
-
-        // Send to Kindle
-        if (!skipKindle) {
-            await sendToKindle(page, epubPath);
-        } else {
-            logStep(7, "⏭️  Envio ao Kindle pulado (--no-kindle).");
-        }
-
-        console.log();
-        log(SEPARATOR);
-        log("🎉 Concluído!");
-        log(`   EPUB: ${epubPath}`);
-        if (!skipKindle) {
-            log("   Enviado ao Kindle via Send to Kindle.");
-        }
-        log(SEPARATOR);
+        await command.run({ args, options });
     } catch (err) {
-        log(`❌ Erro: ${err.message}`);
-        if (typeof page !== 'undefined' && page) {
-            try { await page.screenshot({ path: 'error.png' }); } catch (e) { }
-        }
-        console.error(err);
-        process.exit(1);
-    } finally {
-        await context.close();
+        emit("error", { message: err.message, code: err.code || null });
+        console.log(`❌ ${err.message}`);
+        process.exit(exitCodeFor(err));
     }
 }
 
@@ -0,0 +1,250 @@
+/**
+ * Programmatic API: the drk pipeline as a library.
+ *
+ *   import { runResearch, exportConversation, deliver } from "deep-research-to-kindle";
+ *
+ *   const result = await runResearch({ query: "Baterias de sódio", model: "pro", send: false });
+ *   // { ok: true, jobId, status: "done", epubPath, geminiUrl, deliveries, ... }
+ *   await deliver(result.epubPath, "ana");
+ *
+ * Settings come from the same layers as the CLI (config file, .drkrc and
+ * DRK_* variables), with the `config` option as the last one, keyed like
+ * `drk config` (`{ headless: true, "smtp.host": "smtp.example.com" }`).
+ *
+ * Each call launches its own browser on the configured profile (log in once
+ * with `drk login`) and closes it before returning; the profile can only be
+ * open in one browser at a time, so do not overlap calls. Research runs are
+ * jobs like the CLI's: when one fails, the error carries `result` (with the
+ * `jobId`) and `drk resume <jobId>` picks up where it stopped.
+ *
+ * Every call takes:
+ *
+ *   signal    AbortSignal; aborting closes the browser and rejects with
+ *             `signal.reason` (a research job stays resumable)
+ *   onEvent   listener for the progress events of lib/events.mjs
+ *   log       `(line) => void` for the log lines (default: none)
+ *
+ * The building blocks (Gemini flows, EPUB writer, delivery backends) are
+ * re-exported at the end for custom pipelines.
+ */
+
+import { existsSync } from "fs";
+import { basename, extname, resolve } from "path";
+import { loadConfig } from "./config.mjs";
+import { setLanguage, detectLanguage } from "./i18n.mjs";
+import { setUiLocale } from "./ui-locales.mjs";
+import { setLogOutput } from "./log.mjs";
+import { emit, onEvent as addListener } from "./events.mjs";
+import { resolveModel } from "./models.mjs";
+import { expandTemplate } from "./templates.mjs";
+import { createDeliveryBackend, resolveDestinations } from "./delivery.mjs";
+import { createPipeline, failedDeliveries, jobResult } from "./pipeline.mjs";
+
+// ─── Setup ─────────────────────────────────────────────────────────────────────
+
+/** Effective settings with `overrides` as the last layer. */
+function configWith(overrides = {}) {
+    const flags = Object.fromEntries(Object.entries(overrides).map(([key, value]) => [key, { value, flag: "api" }]));
+    const { config } = loadConfig({ flags });
+    setLanguage(config.lang || detectLanguage(process.env));
+    setUiLocale(config.uiLocale === "auto" ? null : config.uiLocale);
+    return config;
+}
+
+/**
+ * Run `fn(pipeline)` with the call's listener and log output in place, and
+ * rejecting with the abort reason when `signal` stopped it.
+ */
+async function withCall({ config: overrides, signal, onEvent, log = null }, fn) {
+    signal?.throwIfAborted();
+    const pipeline = createPipeline(configWith(overrides));
+    const stopListening = onEvent ? addListener(onEvent) : () => { };
+    setLogOutput(log || (() => { }));
+    try {
+        return await fn(pipeline);
+    } catch (err) {
+        if (signal?.aborted) throw signal.reason;
+        throw err;
+    } finally {
+        setLogOutput(null);
+        stopListening();
+    }
+}
+
+/**
+ * Launch the browser, run `fn(page)` and close it, also as soon as `signal`
+ * is aborted (which makes the pending page operation fail).
+ */
+async function withBrowser(pipeline, traceName, signal, fn) {
+    const browser = await pipeline.launchBrowser(pipeline.config.profileDir, { traceName });
+    let closing = null;
+    const close = () => (closing ??= browser.close().catch(() => { }));
+    signal?.addEventListener("abort", close, { once: true });
+    try {
+        signal?.throwIfAborted();
+        return await fn(browser.page);
+    } finally {
+        signal?.removeEventListener("abort", close);
+        await close();
+    }
+}
+
+/** `"a,b"`, `["a", "b"]` or nothing → destination names. */
+function destinationNames(to) {
+    if (to === undefined || to === null) return [];
+    const list = Array.isArray(to) ? to : [to];
+    return list.flatMap((value) => String(value).split(",")).map((name) => name.trim()).filter(Boolean);
+}
+
+/** Create the job, run it in its own browser and return its result. */
+async function runJob(fields, { model, epubEngine, formats, delivery, planInstructions, send = true, to, onPlan, signal, config: overrides, ...options }) {
+    // Like the CLI flags: validated with the settings
+    overrides = { model, epubEngine, formats, delivery, planInstructions, ...overrides };
+    return withCall({ signal, config: overrides, ...options }, async (pipeline) => {
+        const { config, jobs } = pipeline;
+        if (fields.template) {
+            const vars = fields.query ? { ...fields.vars, topic: fields.query } : fields.vars;
+            fields = { ...fields, query: expandTemplate(fields.template, vars, config.templates), vars };
+        }
+        const destinations = destinationNames(to);
+        // Bad destinations fail now rather than after a long research
+        const resolved = resolveDestinations(config, destinations, { delivery });
+        if (send) resolved.forEach((destination) => createDeliveryBackend(destination));
+
+        const job = jobs.create({
+            ...fields,
+            model: fields.query ? resolveModel(config.model).key : undefined,
+            epubEngine: config.epubEngine,
+            formats: config.formats,
+            planInstructions: fields.query ? config.planInstructions : null,
+            skipKindle: !send,
+            delivery,
+            destinations,
+        });
+        try {
+            await withBrowser(pipeline, job.id, signal, (page) => pipeline.runResearch(page, job, { signal, onPlan }));
+        } catch (err) {
+            pipeline.failJob(job, err);
+            err.result = jobResult(job);
+            throw err;
+        } finally {
+            emit("result", jobResult(job));
+        }
+        return jobResult(job);
+    });
+}
+
+// ─── Public API ────────────────────────────────────────────────────────────────
+
+/**
+ * Run a Deep Research in Gemini, turn the report into an EPUB (kept in the
+ * library) and, with `send`, deliver it.
+ *
+ * @param {object} request
+ * @param {string} [request.query] Required without `template`; with one, its `topic` variable.
+ * @param {string} [request.template] Prompt template (`drk templates`) to build the query from.
+ * @param {{ [name: string]: string }} [request.vars] The template's variables.
+ * @param {string} [request.model] Model id or alias (`drk models`); default from the config.
+ * @param {"native" | "docs"} [request.epubEngine]
+ * @param {string[]} [request.formats] Besides the EPUB: "md", "html", "pdf", "azw3-ready".
+ * @param {boolean} [request.send=true] Deliver the EPUB (to `to`, else the default destinations).
+ * @param {string | string[]} [request.to] Destination names from the config.
+ * @param {"web" | "smtp"} [request.delivery] Backend of the implicit default destination.
+ * @param {string} [request.planInstructions] Guidance sent to Gemini to adjust its research plan.
+ * @param {(plan: { steps: string[] }) => Promise<{ action: "accept" | "edit" | "abort", message?: string }>} [request.onPlan]
+ *        Review the proposed research plan before the run starts ("edit" sends `message` to Gemini).
+ * @param {AbortSignal} [request.signal]
+ * @param {object} [request.config] Setting overrides.
+ * @param {(event: object) => void} [request.onEvent]
+ * @param {(line: string) => void} [request.log]
+ * @returns {Promise<object>} The job result: `{ ok, jobId, status, epubPath, outputs, geminiUrl, deliveries, ... }`.
+ */
+export function runResearch({ query, template, vars = {}, ...options } = {}) {
+    if (template) return runJob({ query: query?.trim(), template, vars }, options);
+    if (typeof query !== "string" || !query.trim()) {
+        return Promise.reject(new Error("Informe a query da pesquisa."));
+    }
+    return runJob({ query: query.trim() }, options);
+}
+
+/**
+ * Turn an existing Gemini Deep Research conversation into an EPUB (and, with
+ * `send`, deliver it). Takes the options of `runResearch` except `query`,
+ * `model` and the plan options.
+ *
+ * @param {string} url `https://gemini.google.com/app/...`
+ * @param {object} [options]
+ * @returns {Promise<object>} The job result.
+ */
+export function exportConversation(url, { model, ...options } = {}) {
+    if (!/^https:\/\/gemini\.google\.com\//.test(url || "")) {
+        return Promise.reject(new Error(`Forneça a URL de uma pesquisa Gemini existente (recebido: ${url}).`));
+    }
+    // Existing research: start right after the research step
+    return runJob({ geminiUrl: url, step: 4 }, options);
+}
+
+/**
+ * Deliver an EPUB (or any file the backend accepts) without research. Every
+ * destination is tried; the result says which ones failed instead of
+ * rejecting.
+ *
+ * @param {string} file
+ * @param {string | string[] | object} [target] Destination name(s) from the
+ *        config, or a destination object like the config's `destinations`
+ *        entries (`{ delivery: "smtp", kindleEmail }`, missing keys from the
+ *        config). Default: the default destinations.
+ * @param {object} [options]
+ * @param {string} [options.title] Default: the file name.
+ * @param {AbortSignal} [options.signal]
+ * @param {object} [options.config]
+ * @param {(event: object) => void} [options.onEvent]
+ * @param {(line: string) => void} [options.log]
+ * @returns {Promise<{ ok: boolean, epubPath: string, deliveries: { [name: string]: string } }>}
+ */
+export function deliver(file, target, { title, ...options } = {}) {
+    const epubPath = resolve(file || "");
+    if (!file || !existsSync(epubPath)) {
+        return Promise.reject(new Error(`Arquivo não encontrado: ${file}`));
+    }
+    return withCall(options, async (pipeline) => {
+        let destinations;
+        if (target && typeof target === "object" && !Array.isArray(target)) {
+            const name = target.name || "api";
+            destinations = resolveDestinations({ ...pipeline.config, destinations: { [name]: target } }, [name]);
+        } else {
+            destinations = resolveDestinations(pipeline.config, destinationNames(target));
+        }
+        destinations.forEach((destination) => createDeliveryBackend(destination));
+
+        const deliveries = await pipeline.deliverToDestinations(null, epubPath, {
+            title: title || basename(epubPath, extname(epubPath)),
+            destinations,
+            signal: options.signal,
+        });
+        const result = { ok: failedDeliveries(deliveries).length === 0, epubPath, deliveries };
+        emit("result", result);
+        return result;
+    });
+}
+
+// ─── Building Blocks ───────────────────────────────────────────────────────────
+
+export { onEvent } from "./events.mjs";
+export { loadConfig } from "./config.mjs";
+export { MODELS, resolveModel } from "./models.mjs";
+export { launchPersistent } from "./browser.mjs";
+export {
+    navigateToGemini, openConversation, selectModel, enableDeepResearch, submitQuery,
+    confirmResearchStart, waitForResearch, extractReport, RESEARCH_STATES, RESEARCH_ERRORS,
+} from "./gemini.mjs";
+export { exportToGoogleDocs, downloadEpubFromDocs } from "./docs.mjs";
+export { parseReport } from "./document.mjs";
+export { renderChapters } from "./render/xhtml.mjs";
+export { renderMarkdown } from "./render/markdown.mjs";
+export { renderHtml } from "./render/html.mjs";
+export { writeOutputs } from "./outputs.mjs";
+export { writeEpub, rewriteEpubMetadata } from "./epub.mjs";
+export { coverSvg, renderCover } from "./cover.mjs";
+export { createDeliveryBackend, resolveDestinations, webBackend, smtpBackend } from "./delivery.mjs";
+export { createPipeline, jobResult } from "./pipeline.mjs";
@@ -0,0 +1,70 @@
+/**
+ * Browser launch and pacing helpers shared by the page flows.
+ *
+ * The flows wait fixed amounts between clicks so the real Gemini, Docs and
+ * Amazon pages can settle. Those pauses go through `pause()`, which the test
+ * suite speeds up with `setTimeScale()` when driving local fixture pages.
+ *
+ * Unattended runs use `headless` on a profile logged in beforehand with
+ * `drk login` (which always opens a visible window).
+ */
+
+import { mkdirSync } from "fs";
+import { setTimeout as delay } from "timers/promises";
+import { dirname } from "path";
+import { chromium } from "playwright";
+
+export const BROWSER_OPTIONS = {
+    headless: false,
+    viewport: { width: 1280, height: 900 },
+    args: ["--disable-blink-features=AutomationControlled"],
+    acceptDownloads: true,
+};
+
+let timeScale = 1;
+
+/**
+ * Multiply every `pause()` by `scale` (1 = real time).
+ */
+export function setTimeScale(scale) {
+    timeScale = scale;
+}
+
+/** Fixed settle delay on `page`, subject to the time scale. */
+export function pause(page, ms) {
+    return page.waitForTimeout(ms * timeScale);
+}
+
+/**
+ * Plain delay (no page needed), subject to the time scale. With `signal`,
+ * rejects with its reason as soon as it is aborted.
+ */
+export function sleep(ms, signal) {
+    return delay(ms * timeScale, undefined, { signal });
+}
+
+/**
+ * Launch Chromium on a persistent profile directory (keeps the logins).
+ *
+ * With `tracePath`, a Playwright trace (screenshots and DOM snapshots) is
+ * recorded and written there by `close()`; open it with
+ * `npx playwright show-trace <file>`.
+ *
+ * @param {string} profilePath
+ * @param {{ headless?: boolean, tracePath?: string }} [options] Other keys go to Playwright.
+ * @returns {Promise<{ context: import("playwright").BrowserContext, page: import("playwright").Page, close: () => Promise<void> }>}
+ */
+export async function launchPersistent(profilePath, { tracePath, ...options } = {}) {
+    const context = await chromium.launchPersistentContext(profilePath, { ...BROWSER_OPTIONS, ...options });
+    if (tracePath) await context.tracing.start({ screenshots: true, snapshots: true });
+    const page = context.pages()[0] || (await context.newPage());
+
+    const close = async () => {
+        if (tracePath) {
+            mkdirSync(dirname(tracePath), { recursive: true });
+            await context.tracing.stop({ path: tracePath }).catch(() => { });
+        }
+        await context.close();
+    };
+    return { context, page, close };
+}
@@ -0,0 +1,389 @@
+/**
+ * Command-line parsing, help and shell completion from a command table.
+ *
+ * A command is:
+ *
+ *   {
+ *     summary: "One line shown in listings",
+ *     description?: "Longer text for the command's own help",
+ *     args?: [{ name, optional?, variadic?, complete?: "file" | "dir" }],
+ *     options?: { [name]: { type: "string" | "boolean", value?: "<x>", description,
+ *                           choices?, multiple?, short?, complete?: "file" | "dir" } },
+ *     examples?: ["research \"query\""],
+ *     subcommands?: { [name]: command },   // e.g. `library list`
+ *     defaultSubcommand?: "list",
+ *     hidden?: true,                        // left out of listings and completion
+ *     run: async ({ args, options }) => {},
+ *   }
+ *
+ * Options are parsed strictly with `util.parseArgs`: unknown options, missing
+ * values, bad choices and extra arguments are errors. Everything after `--`
+ * is taken as arguments, so queries may start with a dash.
+ */
+
+import { parseArgs } from "util";
+
+const HELP_OPTION = { help: { type: "boolean", short: "h", description: "Mostrar esta ajuda" } };
+
+// ─── Parsing ───────────────────────────────────────────────────────────────────
+
+function optionsOf(command) {
+    return { ...command.options, ...HELP_OPTION };
+}
+
+// Turn util.parseArgs errors (English, with Node error codes) into our own
+function parseError(err, commandName) {
+    const flag = (err.message.match(/'(-[^'\s]+)/) || [])[1];
+    switch (err.code) {
+        case "ERR_PARSE_ARGS_UNKNOWN_OPTION":
+            return new Error(`Opção desconhecida para "${commandName}": ${flag || err.message}`);
+        case "ERR_PARSE_ARGS_INVALID_OPTION_VALUE":
+            return new Error(`Valor inválido para ${flag || "a opção"} em "${commandName}" (esperado ${/argument missing/.test(err.message) ? "um valor" : "nenhum valor"}).`);
+        case "ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL":
+            return new Error(`Argumento inesperado para "${commandName}": ${err.message.match(/'([^']*)'/)?.[1] ?? ""}`);
+        default:
+            return err;
+    }
+}
+
+/**
+ * Whether a first word is meant as input for the default command rather
+ * than a (mistyped) command name: anything but a bare lowercase word.
+ */
+function isImplicitInput(word) {
+    return word.startsWith("-") || !/^[a-z][a-z-]*$/.test(word);
+}
+
+function bindArgs(command, positionals, commandName) {
+    const specs = command.args || [];
+    const args = {};
+    let i = 0;
+    for (const spec of specs) {
+        if (spec.variadic) {
+            args[spec.name] = positionals.slice(i);
+            i = positionals.length;
+            if (args[spec.name].length === 0 && !spec.optional) {
+                throw new Error(`Faltou <${spec.name}> para "${commandName}".`);
+            }
+        } else if (i < positionals.length) {
+            args[spec.name] = positionals[i++];
+        } else if (!spec.optional) {
+            throw new Error(`Faltou <${spec.name}> para "${commandName}".`);
+        }
+        if (spec.choices && args[spec.name] !== undefined && !spec.choices.includes(args[spec.name])) {
+            throw new Error(`<${spec.name}> inválido: "${args[spec.name]}" (use ${spec.choices.join(", ")}).`);
+        }
+    }
+    if (i < positionals.length) {
+        throw new Error(`Argumento inesperado para "${commandName}": ${positionals[i]}`);
+    }
+    return args;
+}
+
+/**
+ * Resolve `argv` against the command table.
+ *
+ * When the first word is not a command but looks like input (a quoted
+ * query, or an option), it goes to `defaultCommand`.
+ *
+ * @returns {{ path: string[], command: object | null, args: object, options: object, help: boolean }}
+ *          `help` is set for `-h/--help`; `command` is null for the top level.
+ */
+export function parseCommandLine(commands, argv, { defaultCommand } = {}) {
+    const rest = [...argv];
+    const path = [];
+    const first = rest[0];
+
+    if (first === undefined || first === "-h" || first === "--help") {
+        return { path, command: null, args: {}, options: {}, help: true };
+    }
+
+    let command;
+    if (commands[first]) {
+        command = commands[rest.shift()];
+        path.push(first);
+    } else if (defaultCommand && isImplicitInput(first)) {
+        command = commands[defaultCommand];
+        path.push(defaultCommand);
+    } else {
+        throw new Error(`Comando desconhecido: "${first}"`);
+    }
+
+    while (command.subcommands) {
+        const next = rest[0];
+        if (next !== undefined && command.subcommands[next]) {
+            command = command.subcommands[rest.shift()];
+            path.push(next);
+        } else if (next === "-h" || next === "--help") {
+            return { path, command, args: {}, options: {}, help: true };
+        } else if (next === undefined && command.defaultSubcommand) {
+            path.push(command.defaultSubcommand);
+            command = command.subcommands[command.defaultSubcommand];
+        } else {
+            throw new Error(`Subcomando desconhecido: ${path.join(" ")} ${next ?? ""}`.trim()
+                + ` (use ${Object.keys(command.subcommands).join(", ")})`);
+        }
+    }
+
+    const name = path.join(" ");
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: rest,
+            options: Object.fromEntries(Object.entries(optionsOf(command)).map(([key, opt]) => [
+                key,
+                { type: opt.type, multiple: opt.multiple === true, ...(opt.short && { short: opt.short }) },
+            ])),
+            allowPositionals: true,
+            strict: true,
+        });
+    } catch (err) {
+        throw parseError(err, name);
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) return { path, command, args: {}, options: values, help: true };
+
+    for (const [key, opt] of Object.entries(command.options || {})) {
+        if (!opt.choices || values[key] === undefined) continue;
+        const given = opt.multiple ? values[key] : [values[key]];
+        const bad = given.find((v) => !opt.choices.includes(v.toLowerCase()));
+        if (bad !== undefined) {
+            throw new Error(`--${key} inválido: "${bad}" (use ${opt.choices.join(", ")}).`);
+        }
+    }
+
+    return { path, command, args: bindArgs(command, positionals, name), options: values, help: false };
+}
+
+// ─── Help ──────────────────────────────────────────────────────────────────────
+
+function usageArgs(command) {
+    return (command.args || [])
+        .map((a) => {
+            const name = `<${a.name}${a.variadic ? "..." : ""}>`;
+            return a.optional ? `[${name}]` : name;
+        })
+        .join(" ");
+}
+
+function columns(rows, indent = "  ") {
+    const width = Math.max(...rows.map(([left]) => left.length));
+    return rows.map(([left, right]) => `${indent}${left.padEnd(width)}  ${right}`.trimEnd());
+}
+
+function visible(entries) {
+    return Object.entries(entries).filter(([, c]) => !c.hidden);
+}
+
+/**
+ * Help text for the top level (`path` empty), a command group or a command.
+ *
+ * @param {{ name: string, title: string, epilog?: string }} program
+ */
+export function formatHelp(program, commands, path = []) {
+    const lines = [];
+
+    if (path.length === 0) {
+        lines.push(program.title, "", `Uso: ${program.name} <comando> [opções]`, "", "Comandos:");
+        lines.push(...columns(visible(commands).map(([name, c]) => [
+            c.subcommands ? `${name} <${Object.keys(c.subcommands).join("|")}>` : `${name} ${usageArgs(c)}`.trim(),
+            c.summary,
+        ])));
+        lines.push("", `Ajuda de um comando: ${program.name} <comando> --help`);
+        if (program.epilog) lines.push("", program.epilog);
+        return lines.join("\n");
+    }
+
+    let command = { subcommands: commands };
+    for (const name of path) command = command.subcommands[name];
+    const name = `${program.name} ${path.join(" ")}`;
+
+    if (command.subcommands) {
+        lines.push(`Uso: ${name} <subcomando> [opções]`, "", command.summary, "", "Subcomandos:");
+        lines.push(...columns(visible(command.subcommands).map(([sub, c]) => [`${sub} ${usageArgs(c)}`.trim(), c.summary])));
+        if (command.defaultSubcommand) lines.push("", `Sem subcomando: ${command.defaultSubcommand}.`);
+        return lines.join("\n");
+    }
+
+    const options = Object.entries(optionsOf(command));
+    lines.push(`Uso: ${name}${options.length > 1 ? " [opções]" : ""} ${usageArgs(command)}`.trimEnd(), "", command.description || command.summary);
+    lines.push("", "Opções:");
+    lines.push(...columns(options.map(([key, opt]) => [
+        `${opt.short ? `-${opt.short}, ` : ""}--${key}${opt.value ? ` ${opt.value}` : ""}`,
+        `${opt.description}${opt.multiple ? " (pode repetir)" : ""}`,
+    ])));
+    if (command.examples && command.examples.length > 0) {
+        lines.push("", "Exemplos:", ...command.examples.map((e) => `  ${program.name} ${e}`));
+    }
+    return lines.join("\n");
+}
+
+// ─── Completion ────────────────────────────────────────────────────────────────
+
+// Every runnable command as [words, command], e.g. [["library", "show"], {...}]
+function leaves(commands, prefix = []) {
+    return visible(commands).flatMap(([name, c]) => c.subcommands
+        ? leaves(c.subcommands, [...prefix, name])
+        : [[[...prefix, name], c]]);
+}
+
+function valueCompletions(commands) {
+    const byFlag = new Map();
+    for (const [, command] of leaves(commands)) {
+        for (const [key, opt] of Object.entries(command.options || {})) {
+            if (opt.choices) byFlag.set(`--${key}`, { words: opt.choices });
+            else if (opt.complete) byFlag.set(`--${key}`, { complete: opt.complete });
+            else if (opt.type === "string") byFlag.set(`--${key}`, {});
+        }
+    }
+    return byFlag;
+}
+
+function flagsOf(command) {
+    return Object.entries(optionsOf(command)).map(([key]) => `--${key}`).join(" ");
+}
+
+function argCompletion(command) {
+    const spec = (command.args || [])[0];
+    if (!spec) return null;
+    if (spec.choices) return { words: spec.choices };
+    return spec.complete ? { complete: spec.complete } : null;
+}
+
+function bashCompletion(program, commands) {
+    const name = program.name;
+    const fn = `_${name.replace(/\W/g, "_")}`;
+    const groups = visible(commands).filter(([, c]) => c.subcommands);
+
+    const valueCases = [...valueCompletions(commands)].map(([flag, v]) => {
+        if (v.words) return `        ${flag}) COMPREPLY=($(compgen -W "${v.words.join(" ")}" -- "$cur")); return ;;`;
+        if (v.complete) return `        ${flag}) COMPREPLY=($(compgen -${v.complete === "dir" ? "d" : "f"} -- "$cur")); return ;;`;
+        return `        ${flag}) return ;;`;
+    });
+
+    const commandCases = leaves(commands).map(([words, command]) => {
+        const arg = argCompletion(command);
+        const argLine = arg && arg.words
+            ? `COMPREPLY=($(compgen -W "${arg.words.join(" ")}" -- "$cur"))`
+            : arg ? `COMPREPLY=($(compgen -${arg.complete === "dir" ? "d" : "f"} -- "$cur"))` : ":";
+        return `        "${words.join(" ")}")
+            if [[ "$cur" == -* ]]; then COMPREPLY=($(compgen -W "${flagsOf(command)}" -- "$cur")); else ${argLine}; fi ;;`;
+    });
+
+    return `# bash completion for ${name}
+# Instalar: ${name} completion bash > ~/.local/share/bash-completion/completions/${name}
+
+${fn}() {
+    local cur="\${COMP_WORDS[COMP_CWORD]}"
+    local prev="\${COMP_WORDS[COMP_CWORD-1]}"
+
+    case "$prev" in
+${valueCases.join("\n")}
+    esac
+
+    if [[ $COMP_CWORD -eq 1 ]]; then
+        COMPREPLY=($(compgen -W "${visible(commands).map(([n]) => n).join(" ")}" -- "$cur"))
+        return
+    fi
+
+    local key="\${COMP_WORDS[1]}"
+    case "$key" in
+${groups.map(([group, c]) => `        ${group})
+            if [[ $COMP_CWORD -eq 2 ]]; then
+                COMPREPLY=($(compgen -W "${visible(c.subcommands).map(([n]) => n).join(" ")}" -- "$cur"))
+                return
+            fi
+            key="$key \${COMP_WORDS[2]}" ;;`).join("\n")}
+    esac
+
+    case "$key" in
+${commandCases.join("\n")}
+    esac
+}
+
+complete -o default -F ${fn} ${name}
+`;
+}
+
+// Descriptions go inside single-quoted zsh specs: drop what would break them
+function zshText(text) {
+    return text.replace(/['[\]:\\]/g, "").replace(/\s+/g, " ");
+}
+
+function zshArguments(command) {
+    const specs = Object.entries(optionsOf(command)).map(([key, opt]) => {
+        const desc = zshText(opt.description);
+        const repeat = opt.multiple ? "*" : "";
+        if (opt.type === "boolean") return `'${repeat}--${key}[${desc}]'`;
+        const action = opt.choices ? `(${opt.choices.join(" ")})` : opt.complete === "dir" ? "_directories" : opt.complete ? "_files" : " ";
+        return `'${repeat}--${key}=[${desc}]:${zshText(opt.value || key)}:${action}'`;
+    });
+    for (const spec of command.args || []) {
+        const action = spec.choices ? `(${spec.choices.join(" ")})` : spec.complete === "dir" ? "_directories" : spec.complete ? "_files" : " ";
+        specs.push(`'${spec.variadic ? "*" : ""}:${zshText(spec.name)}:${action}'`);
+    }
+    return `_arguments -s ${specs.join(" ")}`;
+}
+
+function zshDescribe(label, entries) {
+    const items = visible(entries).map(([n, c]) => `'${n}:${zshText(c.summary)}'`).join(" ");
+    return `local -a items; items=(${items}); _describe '${label}' items`;
+}
+
+function zshCompletion(program, commands) {
+    const name = program.name;
+    const fn = `_${name.replace(/\W/g, "_")}`;
+
+    const cases = visible(commands).map(([cmd, c]) => {
+        if (!c.subcommands) {
+            return `        ${cmd})
+            shift words; (( CURRENT-- ))
+            ${zshArguments(c)} ;;`;
+        }
+        const subCases = visible(c.subcommands).map(([sub, s]) => `                ${sub}) ${zshArguments(s)} ;;`);
+        return `        ${cmd})
+            if (( CURRENT == 3 )); then
+                ${zshDescribe("subcomando", c.subcommands)}
+                return
+            fi
+            shift 2 words; (( CURRENT -= 2 ))
+            case $words[1] in
+${subCases.join("\n")}
+            esac ;;`;
+    });
+
+    return `#compdef ${name}
+# zsh completion for ${name}
+# Instalar: ${name} completion zsh > "\${fpath[1]}/_${name}"
+
+${fn}() {
+    if (( CURRENT == 2 )); then
+        ${zshDescribe("comando", commands)}
+        return
+    fi
+
+    case $words[2] in
+${cases.join("\n")}
+    esac
+}
+
+${fn} "$@"
+`;
+}
+
+export const COMPLETION_SHELLS = ["bash", "zsh"];
+
+/**
+ * Completion script for `shell` ("bash" or "zsh"), generated from the table.
+ */
+export function completionScript(shell, program, commands) {
+    switch (shell) {
+        case "bash":
+            return bashCompletion(program, commands);
+        case "zsh":
+            return zshCompletion(program, commands);
+        default:
+            throw new Error(`Shell sem suporte: "${shell}" (use ${COMPLETION_SHELLS.join(" ou ")}).`);
+    }
+}
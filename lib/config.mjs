@@ -0,0 +1,330 @@
+/**
+ * Layered configuration.
+ *
+ * Settings are resolved from, in increasing priority:
+ *
+ *   1. built-in defaults (SETTINGS below)
+ *   2. ~/.config/drk/config.json
+ *   3. the nearest `.drkrc` (JSON or YAML) in the working directory or above
+ *   4. `DRK_*` environment variables (e.g. DRK_POLL_INTERVAL_MS, DRK_SMTP_HOST)
+ *   5. command-line flags
+ *
+ * Nested settings use dotted keys (`smtp.host`) and are read from nested
+ * objects in the files:
+ *
+ *   {
+ *     "delivery": "smtp",
+ *     "kindleEmail": "name@kindle.com",
+ *     "smtp": { "host": "smtp.gmail.com", "port": 465, "user": "...", "pass": "...", "from": "..." }
+ *   }
+ *
+ * Every value is validated; relative paths are resolved against the file
+ * that set them (or the working directory for env vars and flags).
+ */
+
+import { existsSync, readFileSync } from "fs";
+import { resolve, dirname } from "path";
+import { homedir } from "os";
+import { parse as parseYaml } from "yaml";
+import { MODEL_ALIASES } from "./models.mjs";
+import { UI_LOCALE_CODES } from "./ui-locales.mjs";
+import { LANGUAGES } from "./i18n.mjs";
+import { AMAZON_REGIONS, DEFAULT_REGION, DELIVERY_BACKENDS, expandHome } from "./delivery.mjs";
+import { allTemplates, templateError } from "./templates.mjs";
+
+export const CONFIG_PATH = resolve(homedir(), ".config", "drk", "config.json");
+export const PROJECT_CONFIG_NAME = ".drkrc";
+
+export const EPUB_ENGINES = ["native", "docs"];
+
+// Files rendered from each report (lib/outputs.mjs); the EPUB is always made
+export const OUTPUT_FORMATS = ["epub", "md", "html", "pdf", "azw3-ready"];
+
+// text: log lines for people; ndjson: progress events for programs (lib/events.mjs)
+export const LOG_FORMATS = ["text", "ndjson"];
+
+/**
+ * Setting definitions. `env` defaults to DRK_ plus the key in upper snake
+ * case; `env: null` means the setting cannot come from the environment.
+ */
+export const SETTINGS = {
+    profileDir: { type: "path", default: resolve(homedir(), ".drk-profile") },
+    dataDir: { type: "path", default: resolve(homedir(), ".drk") },
+    geminiUrl: { type: "url", default: "https://gemini.google.com/app" },
+    pollIntervalMs: { type: "integer", default: 30_000 },
+    maxPollTimeMs: { type: "integer", default: 15 * 60_000 },
+    // Sent to Gemini after each query to adjust its research plan (--plan-instructions)
+    planInstructions: { type: "string", default: null },
+    // Prompt templates (lib/templates.mjs) and the one `drk research` uses by default
+    templates: { type: "object", default: {}, env: null },
+    template: { type: "string", default: null },
+    // Research runs at once, one per tab (drk queue, run-due, daemon)
+    concurrency: { type: "integer", default: 1 },
+    model: { type: "enum", choices: Object.keys(MODEL_ALIASES), default: "thinking" },
+    epubEngine: { type: "enum", choices: EPUB_ENGINES, default: "native" },
+    formats: { type: "list", choices: OUTPUT_FORMATS, default: ["epub"] },
+    htmlTemplate: { type: "path", default: null },
+    // EPUB metadata: the series every report belongs to, and the generated cover
+    series: { type: "string", default: "Gemini Deep Research" },
+    cover: { type: "boolean", default: true },
+    headless: { type: "boolean", default: false },
+    trace: { type: "boolean", default: false },
+    uiLocale: { type: "enum", choices: ["auto", ...UI_LOCALE_CODES], default: "auto" },
+    // null: from LC_ALL / LC_MESSAGES / LANG (lib/i18n.mjs)
+    lang: { type: "enum", choices: LANGUAGES, default: null },
+    logFormat: { type: "enum", choices: LOG_FORMATS, default: "text" },
+    delivery: { type: "enum", choices: DELIVERY_BACKENDS, default: "web" },
+    region: { type: "enum", choices: AMAZON_REGIONS, default: DEFAULT_REGION },
+    device: { type: "string", default: null },
+    kindleEmail: { type: "string", default: null },
+    "smtp.host": { type: "string", default: null },
+    "smtp.port": { type: "integer", default: null },
+    "smtp.secure": { type: "boolean", default: null },
+    "smtp.user": { type: "string", default: null },
+    "smtp.pass": { type: "string", default: null, secret: true },
+    "smtp.from": { type: "string", default: null },
+    "serve.host": { type: "string", default: "127.0.0.1" },
+    "serve.port": { type: "integer", default: 8787 },
+    "serve.token": { type: "string", default: null, secret: true },
+    destinations: { type: "object", default: {}, env: null },
+    defaultDestinations: { type: "list", default: [] },
+};
+
+export const DEFAULT_SOURCE = "padrão";
+
+export function envName(key) {
+    if (SETTINGS[key].env !== undefined) return SETTINGS[key].env;
+    return `DRK_${key.replace(/\./g, "_").replace(/([a-z])([A-Z])/g, "$1_$2").toUpperCase()}`;
+}
+
+// ─── Validation ────────────────────────────────────────────────────────────────
+
+const TRUE_WORDS = ["true", "1", "yes", "sim", "on"];
+const FALSE_WORDS = ["false", "0", "no", "nao", "não", "off"];
+
+/**
+ * Check (and coerce, for strings from env vars and flags) one value.
+ * Returns the value or throws with what was expected.
+ */
+function coerce(key, raw, baseDir) {
+    const setting = SETTINGS[key];
+    const fromText = typeof raw === "string";
+
+    switch (setting.type) {
+        case "string":
+            if (typeof raw !== "string") throw new Error("esperado texto");
+            return raw;
+        case "path":
+            if (typeof raw !== "string" || !raw) throw new Error("esperado um caminho");
+            return resolve(baseDir, expandHome(raw));
+        case "url":
+            if (typeof raw !== "string" || !/^https?:\/\/\S+$/.test(raw)) throw new Error("esperado uma URL http(s)");
+            return raw;
+        case "integer": {
+            const n = fromText ? Number(raw) : raw;
+            if (!Number.isInteger(n) || n <= 0) throw new Error("esperado inteiro positivo");
+            return n;
+        }
+        case "boolean":
+            if (typeof raw === "boolean") return raw;
+            if (fromText && TRUE_WORDS.includes(raw.toLowerCase())) return true;
+            if (fromText && FALSE_WORDS.includes(raw.toLowerCase())) return false;
+            throw new Error("esperado true ou false");
+        case "enum": {
+            const value = fromText ? raw.toLowerCase() : raw;
+            if (!setting.choices.includes(value)) throw new Error(`use ${setting.choices.join(", ")}`);
+            return value;
+        }
+        case "list": {
+            const list = fromText ? raw.split(",").map((s) => s.trim()).filter(Boolean) : raw;
+            if (!Array.isArray(list) || !list.every((s) => typeof s === "string")) throw new Error("esperado lista de nomes");
+            const unknown = setting.choices && list.find((s) => !setting.choices.includes(s));
+            if (unknown) throw new Error(`"${unknown}" inválido (use ${setting.choices.join(", ")})`);
+            return list;
+        }
+        case "object":
+            if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("esperado um objeto");
+            return key === "destinations" ? resolveProfiles(raw, baseDir) : raw;
+        default:
+            throw new Error(`tipo desconhecido: ${setting.type}`);
+    }
+}
+
+// A destination's browser profile is a path like any other: relative to its file
+function resolveProfiles(destinations, baseDir) {
+    const resolved = {};
+    for (const [name, dest] of Object.entries(destinations)) {
+        if (dest && typeof dest === "object" && dest.profile !== undefined) {
+            if (typeof dest.profile !== "string" || !dest.profile) throw new Error(`destino "${name}": "profile" deve ser um caminho`);
+            resolved[name] = { ...dest, profile: resolve(baseDir, expandHome(dest.profile)) };
+        } else {
+            resolved[name] = dest;
+        }
+    }
+    return resolved;
+}
+
+function validateDestinations(destinations) {
+    for (const [name, dest] of Object.entries(destinations)) {
+        if (!dest || typeof dest !== "object") throw new Error(`destino "${name}" deve ser um objeto`);
+        if (dest.delivery !== undefined && !DELIVERY_BACKENDS.includes(dest.delivery)) {
+            throw new Error(`destino "${name}": delivery "${dest.delivery}" (use ${DELIVERY_BACKENDS.join(", ")})`);
+        }
+        if (dest.region !== undefined && !AMAZON_REGIONS.includes(dest.region)) {
+            throw new Error(`destino "${name}": região "${dest.region}" (use ${AMAZON_REGIONS.join(", ")})`);
+        }
+    }
+}
+
+// ─── Layers ────────────────────────────────────────────────────────────────────
+
+/** Flatten `{ smtp: { host } }` into `{ "smtp.host": ... }` for known keys. */
+function flattenFile(data, source) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+        throw new Error(`Config inválida em ${source}: esperado um objeto.`);
+    }
+    const flat = {};
+    for (const [key, value] of Object.entries(data)) {
+        if (SETTINGS[key]) {
+            flat[key] = value;
+        } else if (value && typeof value === "object" && !Array.isArray(value)
+            && Object.keys(SETTINGS).some((k) => k.startsWith(`${key}.`))) {
+            for (const [sub, subValue] of Object.entries(value)) flat[`${key}.${sub}`] = subValue;
+        } else {
+            flat[key] = value;
+        }
+    }
+    return flat;
+}
+
+function readFileLayer(path, parse) {
+    let data;
+    try {
+        data = parse(readFileSync(path, "utf-8"));
+    } catch (err) {
+        throw new Error(`Config inválida em ${path}: ${err.message}`);
+    }
+    // An empty .drkrc parses to null
+    return { source: path, baseDir: dirname(path), values: flattenFile(data ?? {}, path) };
+}
+
+/** The nearest `.drkrc` in `cwd` or one of its parents, or null. */
+export function findProjectConfig(cwd = process.cwd()) {
+    for (let dir = resolve(cwd); ; dir = dirname(dir)) {
+        const path = resolve(dir, PROJECT_CONFIG_NAME);
+        if (existsSync(path)) return path;
+        if (dirname(dir) === dir) return null;
+    }
+}
+
+function envLayers(env, cwd) {
+    const layers = [];
+    for (const key of Object.keys(SETTINGS)) {
+        const name = envName(key);
+        if (name && env[name] !== undefined && env[name] !== "") {
+            layers.push({ source: name, baseDir: cwd, values: { [key]: env[name] } });
+        }
+    }
+    return layers;
+}
+
+// ─── Loading ───────────────────────────────────────────────────────────────────
+
+function nest(flat) {
+    const out = {};
+    for (const [key, value] of Object.entries(flat)) {
+        const [head, sub] = key.split(".");
+        if (sub === undefined) {
+            out[head] = value;
+        } else if (value !== null) {
+            out[head] = { ...out[head], [sub]: value };
+        }
+    }
+    return out;
+}
+
+/**
+ * Resolve the effective configuration.
+ *
+ * @param {object} [options]
+ * @param {string} [options.userPath] User config file (default ~/.config/drk/config.json).
+ * @param {string} [options.cwd] Where to look for `.drkrc`.
+ * @param {object} [options.env] Environment (default `process.env`).
+ * @param {{ [key: string]: { value: any, flag: string } }} [options.flags]
+ *        Values from the command line, with the flag that set them.
+ * @returns {{ config: object, sources: { [key: string]: string } }}
+ *          `config` is nested (`config.smtp.host`); `sources` maps each
+ *          dotted key to where its value came from.
+ */
+export function loadConfig({ userPath = CONFIG_PATH, cwd = process.cwd(), env = process.env, flags = {} } = {}) {
+    const layers = [];
+    if (existsSync(userPath)) layers.push(readFileLayer(userPath, JSON.parse));
+    const projectPath = findProjectConfig(cwd);
+    if (projectPath) layers.push(readFileLayer(projectPath, parseYaml));
+    layers.push(...envLayers(env, cwd));
+    for (const [key, { value, flag }] of Object.entries(flags)) {
+        if (value !== undefined) layers.push({ source: flag, baseDir: cwd, values: { [key]: value } });
+    }
+
+    const flat = {};
+    const sources = {};
+    for (const [key, setting] of Object.entries(SETTINGS)) {
+        flat[key] = setting.default;
+        sources[key] = DEFAULT_SOURCE;
+    }
+
+    const errors = [];
+    for (const layer of layers) {
+        for (const [key, raw] of Object.entries(layer.values)) {
+            if (!SETTINGS[key]) {
+                errors.push(`${layer.source}: chave desconhecida "${key}"`);
+                continue;
+            }
+            if (raw === null) continue;
+            try {
+                flat[key] = coerce(key, raw, layer.baseDir);
+                sources[key] = layer.source;
+            } catch (err) {
+                errors.push(`${layer.source}: "${key}" = ${JSON.stringify(raw)} — ${err.message}`);
+            }
+        }
+    }
+    try {
+        validateDestinations(flat.destinations);
+    } catch (err) {
+        errors.push(`${sources.destinations}: ${err.message}`);
+    }
+    for (const [name, template] of Object.entries(flat.templates)) {
+        const problem = templateError(template);
+        if (problem) errors.push(`${sources.templates}: template "${name}": ${problem}`);
+    }
+    if (flat.template && !allTemplates(flat.templates)[flat.template]) {
+        errors.push(`${sources.template}: template "${flat.template}" não existe (use ${Object.keys(allTemplates(flat.templates)).join(", ")})`);
+    }
+    for (const name of flat.defaultDestinations) {
+        if (!flat.destinations[name]) {
+            errors.push(`${sources.defaultDestinations}: destino padrão "${name}" não está em "destinations"`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Configuração inválida:\n  ${errors.join("\n  ")}`);
+    }
+    return { config: nest(flat), sources };
+}
+
+/**
+ * Effective settings as display rows `[key, value, source]`, secrets masked.
+ */
+export function describeConfig({ config, sources }) {
+    return Object.keys(SETTINGS).map((key) => {
+        const [head, sub] = key.split(".");
+        const value = sub === undefined ? config[head] : config[head] && config[head][sub];
+        let shown;
+        if (value === null || value === undefined) shown = "-";
+        else if (SETTINGS[key].secret) shown = "••••••";
+        else if (typeof value === "object") shown = Array.isArray(value) ? value.join(", ") || "-" : Object.keys(value).join(", ") || "-";
+        else shown = String(value);
+        return [key, shown, sources[key]];
+    });
+}
@@ -0,0 +1,101 @@
+/**
+ * Typographic EPUB covers, made offline from the report's title and the
+ * Gemini model: black on white, readable as a Kindle library thumbnail.
+ *
+ * The design is an SVG; `renderCover` rasterizes it to JPEG in a separate
+ * headless Chromium (as lib/render/pdf.mjs prints PDFs), since Kindles do not
+ * show SVG covers. The SVG itself is the fallback when no browser launches.
+ */
+
+import { chromium } from "playwright";
+import { escapeXml } from "./render/xhtml.mjs";
+
+// Kindle's recommended cover size (1.6:1)
+export const COVER_WIDTH = 1600;
+export const COVER_HEIGHT = 2560;
+
+const MARGIN = 130;
+const MAX_TITLE_LINES = 8;
+
+// Smaller type for longer titles, so most fit in a few lines
+function titleSize(title) {
+    if (title.length <= 30) return 160;
+    if (title.length <= 60) return 130;
+    if (title.length <= 110) return 104;
+    return 86;
+}
+
+/**
+ * Break `text` into lines of at most `maxChars` characters, at spaces; a word
+ * longer than that gets a line of its own. Past `maxLines`, the last line
+ * ends with an ellipsis.
+ */
+export function wrapText(text, maxChars, maxLines = Infinity) {
+    const lines = [];
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const last = lines.length - 1;
+        if (last >= 0 && `${lines[last]} ${word}`.length <= maxChars) {
+            lines[last] += ` ${word}`;
+        } else {
+            lines.push(word);
+        }
+    }
+    if (lines.length > maxLines) {
+        lines.length = maxLines;
+        lines[maxLines - 1] = `${lines[maxLines - 1].replace(/[\s,.;:–-]*$/, "")}…`;
+    }
+    return lines;
+}
+
+/**
+ * The cover as an SVG document.
+ *
+ * @param {{ title: string, model?: string, date?: Date, series?: string }} options
+ *        `model` is the Gemini model's name, e.g. "Raciocínio (Thinking)".
+ * @returns {string}
+ */
+export function coverSvg({ title, model = null, date = new Date(), series = "Gemini Deep Research" }) {
+    const size = titleSize(title);
+    const lineHeight = Math.round(size * 1.18);
+    // Georgia averages a little over half an em per character
+    const lines = wrapText(title, Math.floor((COVER_WIDTH - 2 * MARGIN) / (size * 0.52)), MAX_TITLE_LINES);
+    const top = 760;
+    const titleText = lines
+        .map((line, i) => `<tspan x="${MARGIN}" y="${top + i * lineHeight}">${escapeXml(line)}</tspan>`)
+        .join("");
+    const ruleY = top + (lines.length - 1) * lineHeight + 150;
+    const dateText = date.toLocaleDateString("pt-BR", { year: "numeric", month: "long", day: "numeric" });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${COVER_WIDTH}" height="${COVER_HEIGHT}" viewBox="0 0 ${COVER_WIDTH} ${COVER_HEIGHT}">
+  <rect width="100%" height="100%" fill="#fff"/>
+  <rect x="0" y="0" width="${COVER_WIDTH}" height="360" fill="#000"/>
+  <text x="${MARGIN}" y="230" fill="#fff" font-family="Helvetica, Arial, sans-serif" font-size="72" font-weight="bold" letter-spacing="12">DEEP RESEARCH</text>
+  <text fill="#000" font-family="Georgia, 'Times New Roman', serif" font-size="${size}" font-weight="bold">${titleText}</text>
+  <rect x="${MARGIN}" y="${ruleY}" width="360" height="14" fill="#000"/>
+  ${model ? `<text x="${MARGIN}" y="${ruleY + 140}" fill="#000" font-family="Helvetica, Arial, sans-serif" font-size="64">Gemini · ${escapeXml(model)}</text>` : ""}
+  <text x="${MARGIN}" y="${COVER_HEIGHT - 250}" fill="#000" font-family="Helvetica, Arial, sans-serif" font-size="56">${escapeXml(dateText)}</text>
+  <rect x="0" y="${COVER_HEIGHT - 160}" width="${COVER_WIDTH}" height="4" fill="#000"/>
+  <text x="${MARGIN}" y="${COVER_HEIGHT - 70}" fill="#000" font-family="Helvetica, Arial, sans-serif" font-size="48" letter-spacing="6">${escapeXml(series.toUpperCase())}</text>
+</svg>
+`;
+}
+
+/**
+ * The cover as a JPEG, for EPUBs.
+ *
+ * @param {{ title: string, model?: string, date?: Date, series?: string }} options See `coverSvg`.
+ * @returns {Promise<{ data: Buffer, mediaType: "image/jpeg" }>}
+ */
+export async function renderCover(options) {
+    const browser = await chromium.launch({ headless: true });
+    try {
+        const page = await browser.newPage({ viewport: { width: COVER_WIDTH, height: COVER_HEIGHT } });
+        await page.route("**/*", (route) => route.abort());
+        await page.setContent(`<body style="margin:0">${coverSvg(options).replace(/^<\?xml[^>]*>\n/, "")}</body>`, { waitUntil: "load" });
+        const data = await page.locator("svg").screenshot({ type: "jpeg", quality: 90 });
+        return { data, mediaType: "image/jpeg" };
+    } finally {
+        await browser.close();
+    }
+}
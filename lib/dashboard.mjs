@@ -0,0 +1,148 @@
+/**
+ * The page `drk serve` shows at `/`: a form to queue research and the list of
+ * jobs with their progress, EPUB download and re-send. Plain HTML and
+ * JavaScript against the API in lib/server.mjs, sized for a phone.
+ *
+ * When the server has a token, open the page once as `/?token=<token>`; it is
+ * kept in the browser's localStorage.
+ */
+
+import { MODELS } from "./models.mjs";
+
+const MODEL_OPTIONS = MODELS
+    .map((m) => `<option value="${m.id}"${m.id === "thinking" ? " selected" : ""}>${m.label}</option>`)
+    .join("");
+
+export const DASHBOARD_HTML = `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Deep Research to Kindle</title>
+<style>
+  body { font: 16px/1.4 system-ui, sans-serif; margin: 0 auto; max-width: 40rem; padding: 1rem; color: #222; }
+  h1 { font-size: 1.3rem; }
+  form { display: grid; gap: .5rem; margin-bottom: 1.5rem; }
+  textarea { font: inherit; min-height: 5rem; padding: .5rem; }
+  select, input[type=text], button { font: inherit; padding: .4rem; }
+  label { display: flex; gap: .4rem; align-items: center; }
+  .job { border-top: 1px solid #ddd; padding: .75rem 0; }
+  .query { font-weight: 600; }
+  .meta { color: #666; font-size: .9rem; }
+  .error { color: #b00020; }
+  .actions { display: flex; gap: .75rem; margin-top: .3rem; }
+</style>
+</head>
+<body>
+<h1>📚 Deep Research to Kindle</h1>
+<form id="new-job">
+  <textarea name="query" placeholder="O que pesquisar?" required></textarea>
+  <select name="model">${MODEL_OPTIONS}</select>
+  <input type="text" name="to" placeholder="Destinos (opcional, ex.: casa,ana)">
+  <label><input type="checkbox" name="noKindle"> Só gerar o EPUB (sem enviar ao Kindle)</label>
+  <button type="submit">Pesquisar</button>
+  <div id="form-error" class="error"></div>
+</form>
+<div id="jobs"></div>
+<script>
+  const params = new URLSearchParams(location.search);
+  if (params.has("token")) {
+    localStorage.setItem("drk-token", params.get("token"));
+    history.replaceState(null, "", location.pathname);
+  }
+  const token = localStorage.getItem("drk-token");
+
+  async function api(path, options = {}) {
+    const headers = { "Content-Type": "application/json" };
+    if (token) headers.Authorization = "Bearer " + token;
+    const res = await fetch(path, { ...options, headers });
+    const body = await res.json();
+    if (!res.ok) throw new Error(body.error || res.statusText);
+    return body;
+  }
+
+  const STATUS = { running: "⏳ em andamento", done: "✅ concluído", failed: "❌ falhou", "login-required": "🔑 login necessário", "quota-exceeded": "⏸️ limite de uso" };
+
+  function escape(text) {
+    const div = document.createElement("div");
+    div.textContent = text == null ? "" : String(text);
+    return div.innerHTML;
+  }
+
+  function describe(job) {
+    const p = job.progress;
+    if (p && p.state === "queued") return "⏸️ na fila (posição " + (p.position + 1) + ")";
+    if (p && p.state === "running") {
+      let text = "⏳ passo " + p.currentStep + "/" + job.totalSteps;
+      if (p.chipStatus) text += " — " + p.chipStatus;
+      if (p.elapsedSec) text += " (" + Math.round(p.elapsedSec / 60) + " min)";
+      return text;
+    }
+    return STATUS[job.status] || job.status;
+  }
+
+  function render(jobs) {
+    document.getElementById("jobs").innerHTML = jobs.map((job) => {
+      const links = [];
+      if (job.epubPath) {
+        links.push('<a href="/api/jobs/' + job.id + '/epub' + (token ? "?token=" + encodeURIComponent(token) : "") + '">EPUB</a>');
+        if (!job.progress) links.push('<a href="#" data-send="' + job.id + '">Enviar ao Kindle</a>');
+      }
+      if (job.geminiUrl) links.push('<a href="' + escape(job.geminiUrl) + '" target="_blank" rel="noopener">Gemini</a>');
+      return '<div class="job">'
+        + '<div class="query">' + escape(job.title || job.query || job.geminiUrl) + '</div>'
+        + '<div class="meta">' + escape(describe(job)) + " · " + new Date(job.createdAt).toLocaleString("pt-BR") + '</div>'
+        + (job.error ? '<div class="error">' + escape(job.error) + '</div>' : "")
+        + '<div class="actions">' + links.join("") + '</div>'
+        + '</div>';
+    }).join("") || '<p class="meta">Nenhum job ainda.</p>';
+  }
+
+  async function refresh() {
+    try {
+      render(await api("/api/jobs"));
+    } catch (err) {
+      document.getElementById("jobs").innerHTML = '<p class="error">' + escape(err.message) + '</p>';
+    }
+  }
+
+  document.getElementById("new-job").addEventListener("submit", async (event) => {
+    event.preventDefault();
+    const form = event.target;
+    const error = document.getElementById("form-error");
+    error.textContent = "";
+    try {
+      await api("/api/jobs", {
+        method: "POST",
+        body: JSON.stringify({
+          query: form.query.value,
+          model: form.model.value,
+          noKindle: form.noKindle.checked,
+          to: form.to.value.split(",").map((s) => s.trim()).filter(Boolean),
+        }),
+      });
+      form.query.value = "";
+      refresh();
+    } catch (err) {
+      error.textContent = err.message;
+    }
+  });
+
+  document.getElementById("jobs").addEventListener("click", async (event) => {
+    const id = event.target.dataset.send;
+    if (!id) return;
+    event.preventDefault();
+    try {
+      await api("/api/jobs/" + id + "/send", { method: "POST", body: "{}" });
+      refresh();
+    } catch (err) {
+      alert(err.message);
+    }
+  });
+
+  refresh();
+  setInterval(refresh, 5000);
+</script>
+</body>
+</html>
+`;
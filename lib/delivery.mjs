@@ -0,0 +1,242 @@
+/**
+ * Kindle delivery backends and destinations.
+ *
+ * A backend is `{ name, label, needsBrowser, deliver(file, ctx) }`, where
+ * `ctx` carries `{ page, title }`. `deliver` resolves once the document was
+ * handed over and throws on failure.
+ *
+ *   web   Amazon "Send to Kindle" web uploader, driven in the browser
+ *   smtp  E-mail with the EPUB attached to a @kindle.com address
+ *
+ * A destination is a named delivery profile from the config:
+ *
+ *   "destinations": {
+ *     "ana": { "delivery": "web", "region": "com", "profile": "~/.drk-profile-ana", "device": "Kindle da Ana" },
+ *     "bob": { "delivery": "smtp", "kindleEmail": "bob@kindle.com" }
+ *   },
+ *   "defaultDestinations": ["ana"]
+ *
+ * Without destinations, the top-level `delivery`, `region`, `kindleEmail` and
+ * `smtp` keys form an implicit "default" destination.
+ */
+
+import { statSync } from "fs";
+import { basename } from "path";
+import { homedir } from "os";
+import nodemailer from "nodemailer";
+import { logSub } from "./log.mjs";
+import { t } from "./i18n.mjs";
+import { pause } from "./browser.mjs";
+import { waitForElement } from "./selectors.mjs";
+import { assertLoggedIn } from "./session.mjs";
+
+export const DELIVERY_BACKENDS = ["web", "smtp"];
+
+// Amazon storefronts that host the Send to Kindle uploader
+export const AMAZON_REGIONS = ["com", "com.br", "ca", "com.mx", "co.uk", "de", "fr", "es", "it", "nl", "in", "co.jp", "com.au"];
+export const DEFAULT_REGION = "com.br";
+
+// Amazon rejects personal documents above 50 MB sent by e-mail
+const MAX_EMAIL_BYTES = 50 * 1024 * 1024;
+
+const KINDLE_EMAIL_PATTERN = /^[^\s@]+@(free\.)?kindle\.(com|cn)$/i;
+
+// ─── Web (Send to Kindle uploader) ─────────────────────────────────────────────
+
+export function sendToKindleUrl(region = DEFAULT_REGION) {
+    if (!AMAZON_REGIONS.includes(region)) {
+        throw new Error(`Região Amazon desconhecida: "${region}" (use ${AMAZON_REGIONS.join(", ")}).`);
+    }
+    return `https://www.amazon.${region}/sendtokindle`;
+}
+
+async function selectDevice(page, device) {
+    const option = page.getByLabel(device, { exact: false }).first();
+    if (await option.isVisible({ timeout: 5_000 }).catch(() => false)) {
+        await option.check().catch(() => option.click());
+        logSub(t("delivery.deviceSelected", { device }));
+        return;
+    }
+    const byText = page.getByText(device, { exact: false }).first();
+    if (await byText.isVisible({ timeout: 2_000 }).catch(() => false)) {
+        await byText.click();
+        logSub(t("delivery.deviceSelected", { device }));
+        return;
+    }
+    throw new Error(`Dispositivo "${device}" não encontrado no Send to Kindle.`);
+}
+
+/**
+ * @param {{ url: string, device?: string }} options `device` is the Kindle
+ *        name as listed by the uploader; without it Amazon's default applies.
+ */
+export function webBackend({ url, device }) {
+    return {
+        name: "web",
+        label: `Send to Kindle (${new URL(url).hostname.replace(/^www\./, "")}${device ? `, ${device}` : ""})`,
+        needsBrowser: true,
+
+        async deliver(file, { page }) {
+            logSub(t("delivery.navigating", { url }));
+            await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30_000 });
+            await pause(page, 3000);
+            await assertLoggedIn(page);
+            logSub(t("delivery.pageLoaded"));
+
+            // Upload file using the "Select files from device" button
+            logSub(t("delivery.uploading"));
+
+            // The button triggers a file chooser
+            const uploadBtn = await waitForElement(page, "kindle.uploadButton", { timeout: 10_000 });
+
+            const [fileChooser] = await Promise.all([
+                page.waitForEvent("filechooser", { timeout: 15_000 }),
+                uploadBtn.click(),
+            ]);
+            await fileChooser.setFiles(file);
+            logSub(t("delivery.fileSelected"));
+
+            // Wait for the file to be processed/uploaded
+            logSub(t("delivery.processing"));
+            await pause(page, 5000);
+
+            if (device) await selectDevice(page, device);
+
+            // Click Send button
+            logSub(t("delivery.clickingSend"));
+            const sendBtn = await waitForElement(page, "kindle.sendButton", { timeout: 15_000 });
+            await sendBtn.click();
+
+            logSub(t("delivery.waitingForConfirmation"));
+            await pause(page, 5000);
+
+            // Check for success
+            try {
+                await waitForElement(page, "kindle.sentConfirmation", { timeout: 15_000 });
+                logSub(t("delivery.sent"));
+            } catch {
+                logSub(t("delivery.noConfirmation"));
+            }
+        },
+    };
+}
+
+// ─── SMTP (e-mail to Kindle) ───────────────────────────────────────────────────
+
+/**
+ * @param {object} options
+ * @param {string} options.kindleEmail Destination, e.g. `name@kindle.com`.
+ * @param {{ host: string, port?: number, secure?: boolean, user?: string, pass?: string, from?: string }} options.smtp
+ *        `from` must be on Amazon's approved senders list. Without `user`
+ *        no authentication is attempted (local SMTP sinks).
+ */
+export function smtpBackend({ kindleEmail, smtp }) {
+    if (!kindleEmail || !KINDLE_EMAIL_PATTERN.test(kindleEmail)) {
+        throw new Error(`kindleEmail inválido: "${kindleEmail || ""}" (esperado nome@kindle.com).`);
+    }
+    if (!smtp || !smtp.host) {
+        throw new Error("Configuração SMTP sem \"host\".");
+    }
+    const from = smtp.from || smtp.user;
+    if (!from) {
+        throw new Error("Configuração SMTP sem remetente (\"from\" ou \"user\").");
+    }
+
+    const port = smtp.port || (smtp.secure ? 465 : 587);
+    const transport = nodemailer.createTransport({
+        host: smtp.host,
+        port,
+        secure: smtp.secure ?? port === 465,
+        auth: smtp.user ? { user: smtp.user, pass: smtp.pass } : undefined,
+    });
+
+    return {
+        name: "smtp",
+        label: `e-mail (${kindleEmail})`,
+        needsBrowser: false,
+
+        async deliver(file, { title } = {}) {
+            const { size } = statSync(file);
+            if (size > MAX_EMAIL_BYTES) {
+                throw new Error(`EPUB com ${Math.round(size / 1024 / 1024)} MB excede o limite de 50 MB do e-mail Kindle.`);
+            }
+
+            logSub(t("delivery.emailing", { to: kindleEmail, host: smtp.host, port }));
+            const info = await transport.sendMail({
+                from,
+                to: kindleEmail,
+                subject: title || basename(file),
+                text: "Deep Research to Kindle",
+                attachments: [{ filename: basename(file), path: file, contentType: "application/epub+zip" }],
+            });
+
+            if (info.rejected && info.rejected.length > 0) {
+                throw new Error(`Servidor SMTP recusou: ${info.rejected.join(", ")}`);
+            }
+            logSub(t("delivery.emailAccepted", { id: info.messageId }));
+        },
+    };
+}
+
+// ─── Destinations ──────────────────────────────────────────────────────────────
+
+export function expandHome(path) {
+    return path && path.startsWith("~/") ? `${homedir()}${path.slice(1)}` : path;
+}
+
+/**
+ * Resolve destination names against the config. With no names, the config's
+ * `defaultDestinations` are used, else the implicit "default" destination
+ * (whose backend can be overridden with `overrides.delivery`).
+ *
+ * @returns {{ name, delivery, region, profile, device, kindleEmail, smtp }[]}
+ */
+export function resolveDestinations(config, names = [], overrides = {}) {
+    const defined = config.destinations || {};
+    const wanted = names.length > 0 ? names : config.defaultDestinations || [];
+
+    if (wanted.length === 0) {
+        return [{
+            name: "default",
+            delivery: overrides.delivery || config.delivery || "web",
+            region: config.region || DEFAULT_REGION,
+            profile: null,
+            device: config.device || null,
+            kindleEmail: config.kindleEmail,
+            smtp: config.smtp,
+        }];
+    }
+
+    return wanted.map((name) => {
+        const dest = defined[name];
+        if (!dest) {
+            const known = Object.keys(defined);
+            throw new Error(`Destino desconhecido: "${name}"${known.length ? ` (definidos: ${known.join(", ")})` : " (nenhum definido na config)"}.`);
+        }
+        return {
+            name,
+            delivery: dest.delivery || config.delivery || "web",
+            region: dest.region || config.region || DEFAULT_REGION,
+            profile: expandHome(dest.profile) || null,
+            device: dest.device || null,
+            kindleEmail: dest.kindleEmail || config.kindleEmail,
+            smtp: { ...config.smtp, ...dest.smtp },
+        };
+    });
+}
+
+// ─── Factory ───────────────────────────────────────────────────────────────────
+
+/**
+ * Build the backend for a resolved destination.
+ */
+export function createDeliveryBackend(destination) {
+    switch (destination.delivery) {
+        case "web":
+            return webBackend({ url: sendToKindleUrl(destination.region), device: destination.device });
+        case "smtp":
+            return smtpBackend({ kindleEmail: destination.kindleEmail, smtp: destination.smtp });
+        default:
+            throw new Error(`Entrega desconhecida: "${destination.delivery}" (use ${DELIVERY_BACKENDS.join(" ou ")}).`);
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * Google Docs engine (`--epub-engine docs`): export the Gemini report to a
+ * Google Doc, then download that as EPUB through the Docs "File" menu.
+ */
+
+import { resolve } from "path";
+import { logStep, logSub } from "./log.mjs";
+import { t } from "./i18n.mjs";
+import { pause, sleep } from "./browser.mjs";
+import { visibleElement, waitForElement } from "./selectors.mjs";
+import { assertLoggedIn } from "./session.mjs";
+
+// ─── Export to Google Docs ─────────────────────────────────────────────────────
+
+/**
+ * Export the report in `page` to Google Docs and return the Docs tab.
+ */
+export async function exportToGoogleDocs(page) {
+    logStep(5, t("docs.exporting"));
+
+    // Click "Compartilhar e exportar" button
+    logSub(t("docs.clickingExportMenu"));
+    const exportBtn = await waitForElement(page, "gemini.exportMenuButton", { timeout: 10_000 });
+    await exportBtn.click();
+    await pause(page, 1500);
+    logSub(t("docs.menuOpen"));
+
+    // Click "Exportar para o Google Docs"
+    logSub(t("docs.clickingExportToDocs"));
+    const docsBtn = await waitForElement(page, "gemini.exportToDocsButton", { timeout: 5_000 });
+    await docsBtn.click();
+    logSub(t("docs.exportStarted"));
+
+    // Wait for Google Docs to open in a new tab
+    logSub(t("docs.waitingForDocs"));
+
+    // The export creates a Google Doc and may show a toast/notification with a link,
+    // or open a new tab. We wait for a new page to appear.
+    let docsPage = null;
+    const maxWait = 30_000;
+    const startTime = Date.now();
+
+    while (Date.now() - startTime < maxWait) {
+        const pages = page.context().pages();
+        for (const p of pages) {
+            const url = p.url();
+            if (url.includes("docs.google.com/document")) {
+                docsPage = p;
+                break;
+            }
+        }
+        if (docsPage) break;
+
+        // Also check for a toast notification with a link to the Doc
+        try {
+            const docsLink = await visibleElement(page, "gemini.docsLink");
+            if (docsLink) {
+                const href = await docsLink.getAttribute("href");
+                logSub(t("docs.linkFound", { url: href }));
+                // Open in same tab context
+                docsPage = await page.context().newPage();
+                await docsPage.goto(href, { waitUntil: "domcontentloaded", timeout: 30_000 });
+                break;
+            }
+        } catch {
+            // ignore
+        }
+
+        await sleep(2000);
+    }
+
+    if (!docsPage) {
+        // Fallback: check for snackbar/toast with "Abrir documento"
+        logSub(t("docs.lookingForOpenButton"));
+        try {
+            const openDocBtn = await waitForElement(page, "gemini.openDocButton", { timeout: 10_000 });
+
+            // Get the link or click to open new tab
+            const [newPage] = await Promise.all([
+                page.context().waitForEvent("page", { timeout: 15_000 }),
+                openDocBtn.click(),
+            ]);
+            docsPage = newPage;
+        } catch (err) {
+            throw new Error(`Google Docs não abriu após exportação: ${err.message}`);
+        }
+    }
+
+    await docsPage.waitForLoadState("domcontentloaded");
+    await pause(docsPage, 3000);
+    await assertLoggedIn(docsPage);
+    logSub(t("docs.opened", { url: docsPage.url().substring(0, 60) }));
+
+    return docsPage;
+}
+
+// ─── Download EPUB from Google Docs ────────────────────────────────────────────
+
+/**
+ * Download the document open in `docsPage` as EPUB into `outDir` and return
+ * the saved path.
+ */
+export async function downloadEpubFromDocs(docsPage, outDir) {
+    logStep(6, t("docs.downloading"));
+    await assertLoggedIn(docsPage);
+
+    // Click File menu (Arquivo)
+    logSub(t("docs.openingFileMenu"));
+    const fileMenu = await waitForElement(docsPage, "docs.fileMenu", { timeout: 10_000 });
+    await fileMenu.click();
+    await pause(docsPage, 1500);
+    logSub(t("docs.fileMenuOpen"));
+
+    // Click "Download" / "Baixar" / "Fazer download" submenu
+    logSub(t("docs.clickingDownload"));
+
+    const downloadItem = await waitForElement(docsPage, "docs.downloadMenu", { timeout: 5_000 });
+    await downloadItem.click();
+
+    await pause(docsPage, 1500);
+    logSub(t("docs.downloadMenuOpen"));
+
+    // Click EPUB option
+    logSub(t("docs.selectingEpub"));
+    const epubOption = await waitForElement(docsPage, "docs.epubOption", { timeout: 5_000 });
+
+    // Wait for download event
+    const downloadPromise = docsPage.waitForEvent("download", { timeout: 30_000 });
+    await epubOption.click();
+
+    logSub(t("docs.waitingForDownload"));
+    const download = await downloadPromise;
+
+    // Save into the library entry
+    const suggestedName = download.suggestedFilename();
+    const savePath = resolve(outDir, suggestedName);
+    await download.saveAs(savePath);
+
+    logSub(t("docs.downloaded", { file: suggestedName }));
+    logSub(t("epub.path", { path: savePath }));
+
+    return savePath;
+}
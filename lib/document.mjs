@@ -0,0 +1,475 @@
+/**
+ * Report document model.
+ *
+ * Parses the HTML of a Gemini Deep Research page (live `page.content()` or a
+ * saved snapshot) into a typed tree that every output format renders from:
+ *
+ *   document  { title, children: (section | block)[], sources: Source[], extractedAt }
+ *   section   { level, heading: Inline[], children: (section | block)[] }
+ *   paragraph { children: Inline[] }
+ *   list      { ordered, items: { children: Block[] }[] }
+ *   table     { header: Row[], rows: Row[] }   Row = { cells: { header, colspan, rowspan, children: Inline[] }[] }
+ *   blockquote{ children: Block[] }
+ *   code      { value }
+ *   rule      { }
+ *
+ *   Inline: text { value } | strong { children } | emphasis { children } | code { value }
+ *           | link { href, children } | citation { index } | break
+ *
+ *   Source:   { index, title, url, domain, accessed }
+ *
+ * Citations point at `sources` by `index`. Sources come from the report's own
+ * "Works cited"/"Referências" section when present (which is then removed from
+ * the body), otherwise from Gemini's source panel.
+ *
+ * Parsing runs on plain strings, so it needs no browser and no network.
+ */
+
+import { parse } from "node-html-parser";
+
+// ─── Selectors ─────────────────────────────────────────────────────────────────
+
+export const REPORT_SELECTORS = {
+    // Candidates for the report body, in priority order
+    roots: [
+        '.container[scrollable="true"]',
+        "deep-research-immersive-panel message-content",
+        "model-response .markdown",
+        "message-content .markdown",
+    ],
+    citation: "source-footnote, sup[data-turn-source-index]",
+    sourceLists: "deep-research-source-lists, .source-list, .sources-list",
+    ignore: "script, style, noscript, button, mat-icon, svg, img, source-inline-chips",
+};
+
+const MIN_REPORT_CHARS = 200;
+
+const BLOCK_SELECTOR = "h1, h2, h3, h4, h5, h6, p, ul, ol, table, blockquote, pre, hr";
+const HEADING_TAGS = new Set(["H1", "H2", "H3", "H4", "H5", "H6"]);
+
+// ─── Inline Parsing ────────────────────────────────────────────────────────────
+
+function isElement(node) {
+    return node.nodeType === 1;
+}
+
+function citationIndexes(el) {
+    const attrEl = el.getAttribute("data-turn-source-index") !== undefined
+        ? el
+        : el.querySelector("[data-turn-source-index]");
+    const raw = attrEl ? attrEl.getAttribute("data-turn-source-index") : el.text;
+    return (raw.match(/\d+/g) || []).map(Number);
+}
+
+function normalizeInlines(inlines) {
+    const merged = [];
+    for (const node of inlines) {
+        const last = merged[merged.length - 1];
+        if (node.type === "text" && last && last.type === "text") {
+            last.value = (last.value + node.value).replace(/\s+/g, " ");
+        } else {
+            merged.push(node);
+        }
+    }
+    const first = merged[0];
+    if (first && first.type === "text") first.value = first.value.replace(/^\s+/, "");
+    const last = merged[merged.length - 1];
+    if (last && last.type === "text") last.value = last.value.replace(/\s+$/, "");
+    return merged.filter((n) => n.type !== "text" || n.value);
+}
+
+function parseInlineNode(node, ctx) {
+    if (!isElement(node)) {
+        return node.nodeType === 3 ? [{ type: "text", value: node.text.replace(/\s+/g, " ") }] : [];
+    }
+    if (node.matches(ctx.selectors.ignore)) return [];
+    if (node.matches(ctx.selectors.citation)) {
+        return citationIndexes(node).map((index) => ({ type: "citation", index }));
+    }
+
+    const children = () => node.childNodes.flatMap((c) => parseInlineNode(c, ctx));
+    switch (node.tagName) {
+        case "STRONG":
+        case "B":
+            return [{ type: "strong", children: normalizeInlines(children()) }];
+        case "EM":
+        case "I":
+            return [{ type: "emphasis", children: normalizeInlines(children()) }];
+        case "CODE":
+            return [{ type: "code", value: node.text }];
+        case "BR":
+            return [{ type: "break" }];
+        case "A": {
+            const href = node.getAttribute("href") || "";
+            const inner = normalizeInlines(children());
+            return /^(https?:|mailto:)/i.test(href) ? [{ type: "link", href, children: inner }] : inner;
+        }
+        default:
+            return children();
+    }
+}
+
+function parseInlines(el, ctx) {
+    return normalizeInlines(el.childNodes.flatMap((c) => parseInlineNode(c, ctx)));
+}
+
+// ─── Block Parsing ─────────────────────────────────────────────────────────────
+
+function parseTable(el, ctx) {
+    const header = [];
+    const rows = [];
+    for (const tr of el.querySelectorAll("tr")) {
+        const cells = tr.childNodes
+            .filter((c) => isElement(c) && (c.tagName === "TD" || c.tagName === "TH"))
+            .map((c) => ({
+                header: c.tagName === "TH",
+                colspan: Number(c.getAttribute("colspan")) || 1,
+                rowspan: Number(c.getAttribute("rowspan")) || 1,
+                children: parseInlines(c, ctx),
+            }));
+        if (cells.length === 0) continue;
+        const inHead = tr.parentNode && tr.parentNode.tagName === "THEAD";
+        const allHeader = cells.every((c) => c.header);
+        (inHead || (allHeader && rows.length === 0) ? header : rows).push({ cells });
+    }
+    return { type: "table", header, rows };
+}
+
+function parseBlock(el, ctx) {
+    const tag = el.tagName;
+    if (HEADING_TAGS.has(tag)) {
+        return { type: "heading", level: Number(tag[1]), children: parseInlines(el, ctx) };
+    }
+    switch (tag) {
+        case "P":
+            return { type: "paragraph", children: parseInlines(el, ctx) };
+        case "UL":
+        case "OL":
+            return {
+                type: "list",
+                ordered: tag === "OL",
+                items: el.childNodes
+                    .filter((c) => isElement(c) && c.tagName === "LI")
+                    .map((li) => ({ children: parseBlocks(li, ctx) })),
+            };
+        case "TABLE":
+            return parseTable(el, ctx);
+        case "BLOCKQUOTE":
+            return { type: "blockquote", children: parseBlocks(el, ctx) };
+        case "PRE":
+            return { type: "code", value: el.text.replace(/\n$/, "") };
+        case "HR":
+            return { type: "rule" };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Flatten an element into a list of blocks (headings included as flat
+ * `heading` nodes). Wrapper elements are descended into; loose inline content
+ * is gathered into paragraphs.
+ */
+function parseBlocks(el, ctx) {
+    const blocks = [];
+    let pending = [];
+
+    const flush = () => {
+        const children = normalizeInlines(pending);
+        if (children.length > 0) blocks.push({ type: "paragraph", children });
+        pending = [];
+    };
+
+    for (const child of el.childNodes) {
+        if (!isElement(child)) {
+            pending.push(...parseInlineNode(child, ctx));
+            continue;
+        }
+        if (child.matches(ctx.selectors.ignore) || child.matches(ctx.selectors.sourceLists)) continue;
+
+        const block = child.matches(BLOCK_SELECTOR) ? parseBlock(child, ctx) : null;
+        if (block) {
+            flush();
+            if (block.type === "heading" || block.type === "code" || block.type === "rule" || hasContent(block)) {
+                blocks.push(block);
+            }
+        } else if (!child.matches(ctx.selectors.citation) && child.querySelector(BLOCK_SELECTOR)) {
+            flush();
+            blocks.push(...parseBlocks(child, ctx));
+        } else {
+            pending.push(...parseInlineNode(child, ctx));
+        }
+    }
+    flush();
+    return blocks;
+}
+
+function hasContent(block) {
+    switch (block.type) {
+        case "paragraph":
+            return block.children.length > 0;
+        case "list":
+            return block.items.length > 0;
+        case "table":
+            return block.header.length + block.rows.length > 0;
+        case "blockquote":
+            return block.children.length > 0;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Turn flat `heading` nodes into nested sections.
+ */
+function nestSections(blocks) {
+    const root = { level: 0, children: [] };
+    const stack = [root];
+
+    for (const block of blocks) {
+        if (block.type !== "heading") {
+            stack[stack.length - 1].children.push(block);
+            continue;
+        }
+        while (stack[stack.length - 1].level >= block.level) stack.pop();
+        const section = { type: "section", level: block.level, heading: block.children, children: [] };
+        stack[stack.length - 1].children.push(section);
+        stack.push(section);
+    }
+    return root.children;
+}
+
+// ─── Sources ───────────────────────────────────────────────────────────────────
+
+function domainOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, "");
+    } catch {
+        return "";
+    }
+}
+
+const WORKS_CITED_HEADING = /^(fontes( citadas)?|refer[êe]ncias( citadas)?|bibliografia|works cited|sources( cited)?|references)$/i;
+
+function firstLinkHref(value) {
+    if (Array.isArray(value)) {
+        for (const v of value) {
+            const href = firstLinkHref(v);
+            if (href) return href;
+        }
+        return null;
+    }
+    if (!value || typeof value !== "object") return null;
+    if (value.type === "link") return value.href;
+    return firstLinkHref(value.children || value.items || []);
+}
+
+/**
+ * Parse one "Works cited" entry, typically
+ * `Title, acessado em 12 de outubro de 2025, https://...`.
+ */
+function parseCitedItem(item, index, accessedFallback) {
+    const text = blocksText(item.children).replace(/\s+/g, " ").trim();
+    const url = firstLinkHref(item.children) || ((text.match(/https?:\/\/\S+/) || [])[0] || "").replace(/[.,;)]+$/, "");
+    if (!url) return null;
+
+    const accessed = text.match(/(?:acessad[oa] em|accessed(?: on)?)\s+(.+?)(?:,?\s*https?:\/\/|$)/i);
+    const title = text
+        .split(/,?\s*(?:acessad[oa] em|accessed)\b/i)[0]
+        .replace(url, "")
+        .replace(/[\s,.:;-]+$/, "")
+        .trim();
+
+    return {
+        index,
+        title: title || domainOf(url),
+        url,
+        domain: domainOf(url),
+        accessed: accessed ? accessed[1].replace(/[\s,.]+$/, "") : accessedFallback,
+    };
+}
+
+/**
+ * Find the report's bibliography section, remove it from the tree and return
+ * its entries as sources.
+ */
+function extractWorksCited(nodes, accessedFallback) {
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+        if (node.type !== "section") continue;
+
+        if (WORKS_CITED_HEADING.test(inlineText(node.heading).trim())) {
+            const items = node.children.filter((n) => n.type === "list").flatMap((n) => n.items);
+            const sources = items
+                .map((item, position) => parseCitedItem(item, position + 1, accessedFallback))
+                .filter(Boolean);
+            if (sources.length > 0) {
+                nodes.splice(i, 1);
+                return sources;
+            }
+        }
+
+        const nested = extractWorksCited(node.children, accessedFallback);
+        if (nested.length > 0) return nested;
+    }
+    return [];
+}
+
+function parseSourcePanel(doc, ctx, accessedFallback) {
+    const sources = [];
+    const seen = new Set();
+    for (const list of doc.querySelectorAll(ctx.selectors.sourceLists)) {
+        for (const a of list.querySelectorAll("a[href]")) {
+            const url = a.getAttribute("href");
+            if (!/^https?:/i.test(url) || seen.has(url)) continue;
+            seen.add(url);
+            const title = a.text.replace(/\s+/g, " ").trim() || domainOf(url);
+            sources.push({ index: sources.length + 1, title, url, domain: domainOf(url), accessed: accessedFallback });
+        }
+    }
+    return sources;
+}
+
+// ─── Text Helpers ──────────────────────────────────────────────────────────────
+
+export function inlineText(inlines) {
+    return inlines
+        .map((n) => {
+            switch (n.type) {
+                case "text":
+                case "code":
+                    return n.value;
+                case "break":
+                    return "\n";
+                case "citation":
+                    return "";
+                default:
+                    return inlineText(n.children);
+            }
+        })
+        .join("");
+}
+
+/**
+ * Plain text of any node list (sections, blocks), one block per line.
+ */
+export function blocksText(nodes) {
+    const lines = [];
+    for (const node of nodes) {
+        switch (node.type) {
+            case "section":
+                lines.push(inlineText(node.heading), blocksText(node.children));
+                break;
+            case "paragraph":
+                lines.push(inlineText(node.children));
+                break;
+            case "list":
+                for (const item of node.items) lines.push(blocksText(item.children));
+                break;
+            case "table":
+                for (const row of [...node.header, ...node.rows]) {
+                    lines.push(row.cells.map((c) => inlineText(c.children)).join("\t"));
+                }
+                break;
+            case "blockquote":
+                lines.push(blocksText(node.children));
+                break;
+            case "code":
+                lines.push(node.value);
+                break;
+        }
+    }
+    return lines.filter(Boolean).join("\n");
+}
+
+// ─── Entry Point ───────────────────────────────────────────────────────────────
+
+function findReportRoot(doc, selectors) {
+    for (const selector of selectors.roots) {
+        const candidates = doc.querySelectorAll(selector);
+        const best = candidates
+            .map((el) => ({ el, length: el.text.trim().length }))
+            .sort((a, b) => b.length - a.length)[0];
+        if (best && best.length > MIN_REPORT_CHARS) return best.el;
+    }
+    return null;
+}
+
+/**
+ * Parse a Gemini Deep Research page (or a fragment of it) into a document tree.
+ *
+ * Sources without an access date of their own get the extraction date
+ * (`options.extractedAt`, default now) as `YYYY-MM-DD`.
+ *
+ * @param {string} html
+ * @param {{ selectors?: Partial<typeof REPORT_SELECTORS>, extractedAt?: Date }} [options]
+ * @returns {{ type: "document", title: string, children: object[], sources: object[], extractedAt: string }}
+ */
+export function parseReport(html, options = {}) {
+    const ctx = { selectors: { ...REPORT_SELECTORS, ...options.selectors } };
+    const extractedAt = (options.extractedAt || new Date()).toISOString();
+    const doc = parse(html, { blockTextElements: { script: true, style: true, noscript: true } });
+    const root = findReportRoot(doc, ctx.selectors) || doc;
+
+    const children = nestSections(parseBlocks(root, ctx));
+    const firstSection = children.find((n) => n.type === "section");
+    const title = firstSection ? inlineText(firstSection.heading).trim() : "";
+
+    const accessedFallback = extractedAt.slice(0, 10);
+    const worksCited = extractWorksCited(children, accessedFallback);
+    const sources = worksCited.length > 0 ? worksCited : parseSourcePanel(doc, ctx, accessedFallback);
+
+    return { type: "document", title, children, sources, extractedAt };
+}
+
+// ─── Follow-ups ────────────────────────────────────────────────────────────────
+
+// Copy of `node` with its citations (and sources) numbered from `offset` + 1
+function shiftIndexes(node, offset) {
+    if (Array.isArray(node)) return node.map((n) => shiftIndexes(n, offset));
+    if (!node || typeof node !== "object") return node;
+    const copy = {};
+    for (const [key, value] of Object.entries(node)) copy[key] = shiftIndexes(value, offset);
+    if (node.type === "citation") copy.index = node.index + offset;
+    return copy;
+}
+
+// Headings of an answer go below level 2, so it stays a single chapter
+function demote(nodes, by) {
+    return nodes.map((n) => (n.type === "section"
+        ? { ...n, level: Math.min(n.level + by, 6), children: demote(n.children, by) }
+        : n));
+}
+
+function sectionLevels(nodes) {
+    return nodes.flatMap((n) => (n.type === "section" ? [n.level, ...sectionLevels(n.children)] : []));
+}
+
+/**
+ * The report with follow-up answers appended: one level-1 section per
+ * question (a chapter of its own in the EPUB), with the answer's headings
+ * nested under it. The answers' sources join the report's, numbered after
+ * them.
+ *
+ * @param {object} doc Document tree from `parseReport`.
+ * @param {{ question: string, answer: object }[]} followups Answers parsed with `parseReport`.
+ * @returns {object} A new document tree.
+ */
+export function appendFollowups(doc, followups) {
+    const children = [...doc.children];
+    const sources = [...doc.sources];
+
+    for (const { question, answer } of followups) {
+        const offset = sources.reduce((max, s) => Math.max(max, s.index), 0);
+        const body = shiftIndexes(answer.children, offset);
+        const top = Math.min(3, ...sectionLevels(body));
+        children.push({
+            type: "section",
+            level: 1,
+            heading: [{ type: "text", value: question }],
+            children: demote(body, 3 - top),
+        });
+        sources.push(...answer.sources.map((s) => ({ ...s, index: s.index + offset })));
+    }
+    return { ...doc, children, sources };
+}
@@ -0,0 +1,357 @@
+/**
+ * Native EPUB 3 builder.
+ *
+ * Packages XHTML chapters (see lib/render/xhtml.mjs) into a valid EPUB: a nav
+ * document (plus a legacy NCX for older Kindles), an embedded stylesheet and
+ * Dublin Core metadata.
+ *
+ * The `kindle` variant ("azw3-ready") is for converting to AZW3 with Calibre
+ * or Kindle Previewer: the table of contents is also a page in the reading
+ * order, and an OPF `<guide>` points at it and at where the text starts.
+ *
+ * EPUBs made elsewhere (the Google Docs export) get the same metadata and
+ * cover through `rewriteEpubMetadata`.
+ */
+
+import { writeFileSync } from "fs";
+import { posix } from "path";
+import { randomUUID } from "crypto";
+import { parse } from "node-html-parser";
+import { createZip, readZip } from "./zip.mjs";
+import { escapeXml } from "./render/xhtml.mjs";
+
+// ─── Stylesheet ────────────────────────────────────────────────────────────────
+
+// Based on legacy/DRK1/template.html, without colors (e-ink).
+export const DEFAULT_CSS = `body {
+    font-family: Georgia, "Times New Roman", serif;
+    line-height: 1.6;
+    margin: 0 0.5em;
+}
+h1 { font-size: 1.6em; margin: 1em 0 0.6em; border-bottom: 2px solid #000; padding-bottom: 0.2em; }
+h2 { font-size: 1.35em; margin: 1.2em 0 0.5em; }
+h3 { font-size: 1.15em; margin: 1em 0 0.4em; }
+h4, h5, h6 { font-size: 1em; margin: 1em 0 0.3em; }
+p { margin: 0.6em 0; text-align: justify; }
+ul, ol { margin: 0.5em 0; padding-left: 1.6em; }
+li { margin: 0.25em 0; }
+blockquote { border-left: 3px solid #555; margin: 1em 0; padding: 0.3em 0.8em; font-style: italic; }
+pre { white-space: pre-wrap; word-wrap: break-word; font-size: 0.85em; border: 1px solid #999; padding: 0.5em; }
+code { font-family: monospace; font-size: 0.9em; }
+table { width: 100%; border-collapse: collapse; margin: 1em 0; font-size: 0.9em; }
+th, td { border: 1px solid #666; padding: 0.3em 0.5em; text-align: left; vertical-align: top; }
+th { font-weight: bold; }
+a { color: inherit; text-decoration: underline; }
+hr { border: none; border-top: 1px solid #999; margin: 1.5em 0; }
+sup { font-size: 0.7em; line-height: 0; }
+sup a { text-decoration: none; }
+ol.sources li { margin: 0.6em 0; }
+ol.sources p { text-align: left; margin: 0.2em 0; }
+.source-domain { font-style: italic; }
+.source-url { font-size: 0.8em; word-wrap: break-word; }
+.backlink { text-decoration: none; }
+`;
+
+// ─── Helpers ───────────────────────────────────────────────────────────────────
+
+function chapterFile(chapter, index) {
+    return `${chapter.id || `chapter-${String(index + 1).padStart(3, "0")}`}.xhtml`;
+}
+
+function isoSeconds(date) {
+    return date.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+const COVER_EXTENSIONS = { "image/jpeg": "jpg", "image/png": "png", "image/svg+xml": "svg" };
+
+function coverFile(cover, name = "cover") {
+    return `${name}.${COVER_EXTENSIONS[cover.mediaType] || "img"}`;
+}
+
+// ─── Content Documents ─────────────────────────────────────────────────────────
+
+function renderChapter(chapter, lang) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(chapter.title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+<section epub:type="${chapter.epubType || "chapter"}">
+${chapter.body}
+</section>
+</body>
+</html>
+`;
+}
+
+// ─── Package Documents ─────────────────────────────────────────────────────────
+
+const CONTAINER_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+  </rootfiles>
+</container>
+`;
+
+/**
+ * The `<metadata>` children for `book`. EPUB 2 packages (`version` "2.0")
+ * leave out the EPUB 3 `property` metas; the `name` metas are for Kindle and
+ * Calibre, which read them in either version.
+ */
+function renderMetadata(book, { identifiers, version = "3.0", coverId = null }) {
+    const epub3 = !version.startsWith("2");
+    const lines = [
+        ...identifiers,
+        `<dc:title>${escapeXml(book.title)}</dc:title>`,
+        `<dc:creator>${escapeXml(book.author)}</dc:creator>`,
+        `<dc:language>${book.language}</dc:language>`,
+        `<dc:date>${isoSeconds(book.date)}</dc:date>`,
+    ];
+    if (book.description) lines.push(`<dc:description>${escapeXml(book.description)}</dc:description>`);
+    if (epub3) lines.push(`<meta property="dcterms:modified">${isoSeconds(book.date)}</meta>`);
+    if (book.series) {
+        if (epub3) {
+            lines.push(
+                `<meta property="belongs-to-collection" id="collection">${escapeXml(book.series)}</meta>`,
+                '<meta refines="#collection" property="collection-type">series</meta>',
+            );
+        }
+        lines.push(`<meta name="calibre:series" content="${escapeXml(book.series)}"/>`);
+    }
+    if (coverId) lines.push(`<meta name="cover" content="${coverId}"/>`);
+    return lines.map((line) => `    ${line}`).join("\n");
+}
+
+function renderOpf(book, identifier) {
+    const manifest = book.chapters
+        .map((c, i) => `    <item id="chapter-${i + 1}" href="${chapterFile(c, i)}" media-type="application/xhtml+xml"/>`)
+        .join("\n");
+    const spine = [
+        ...(book.kindle ? ['    <itemref idref="nav"/>'] : []),
+        ...book.chapters.map((_, i) => `    <itemref idref="chapter-${i + 1}"/>`),
+    ].join("\n");
+    const guide = book.kindle
+        ? `
+  <guide>
+    <reference type="toc" title="Sumário" href="nav.xhtml"/>
+    <reference type="text" title="${escapeXml(book.chapters[0].title)}" href="${chapterFile(book.chapters[0], 0)}"/>
+  </guide>`
+        : "";
+    const cover = book.cover
+        ? `\n    <item id="cover-image" href="${coverFile(book.cover)}" media-type="${book.cover.mediaType}" properties="cover-image"/>`
+        : "";
+    const metadata = renderMetadata(book, {
+        identifiers: [`<dc:identifier id="book-id">${identifier}</dc:identifier>`],
+        coverId: book.cover ? "cover-image" : null,
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${book.language}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+${metadata}
+  </metadata>
+  <manifest>
+    <item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="css" href="style.css" media-type="text/css"/>${cover}
+${manifest}
+  </manifest>
+  <spine toc="ncx">
+${spine}
+  </spine>${guide}
+</package>
+`;
+}
+
+function renderNav(book) {
+    const items = book.chapters
+        .map((c, i) => `      <li><a href="${chapterFile(c, i)}">${escapeXml(c.title)}</a></li>`)
+        .join("\n");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${book.language}" lang="${book.language}">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeXml(book.title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+<nav epub:type="toc" id="toc">
+  <h1>Sumário</h1>
+  <ol>
+${items}
+  </ol>
+</nav>
+</body>
+</html>
+`;
+}
+
+function renderNcx(book, identifier) {
+    const points = book.chapters
+        .map((c, i) => `    <navPoint id="nav-${i + 1}" playOrder="${i + 1}">
+      <navLabel><text>${escapeXml(c.title)}</text></navLabel>
+      <content src="${chapterFile(c, i)}"/>
+    </navPoint>`)
+        .join("\n");
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <head>
+    <meta name="dtb:uid" content="${identifier}"/>
+    <meta name="dtb:depth" content="1"/>
+  </head>
+  <docTitle><text>${escapeXml(book.title)}</text></docTitle>
+  <navMap>
+${points}
+  </navMap>
+</ncx>
+`;
+}
+
+// ─── Build ─────────────────────────────────────────────────────────────────────
+
+/**
+ * Build an EPUB 3 file in memory.
+ *
+ * @param {object} options
+ * @param {string} options.title
+ * @param {{ id?: string, title: string, body: string, epubType?: string }[]} options.chapters
+ *        XHTML body fragments; `id` names the file (links between chapters rely on it).
+ * @param {string} [options.author]
+ * @param {string} [options.language]
+ * @param {string} [options.description]
+ * @param {Date} [options.date]
+ * @param {string} [options.css]
+ * @param {string} [options.series] Series (collection) the book belongs to.
+ * @param {{ data: Buffer|string, mediaType: string }} [options.cover] Cover image (lib/cover.mjs).
+ * @param {boolean} [options.kindle] Build the "azw3-ready" variant.
+ * @returns {Buffer}
+ */
+export function buildEpub(options) {
+    const book = {
+        author: "Gemini Deep Research",
+        language: "pt-BR",
+        date: new Date(),
+        css: DEFAULT_CSS,
+        ...options,
+    };
+    if (!book.chapters || book.chapters.length === 0) {
+        throw new Error("EPUB sem capítulos: nenhum conteúdo para gerar.");
+    }
+    const identifier = `urn:uuid:${randomUUID()}`;
+
+    const entries = [
+        { name: "mimetype", data: "application/epub+zip", store: true },
+        { name: "META-INF/container.xml", data: CONTAINER_XML },
+        { name: "OEBPS/content.opf", data: renderOpf(book, identifier) },
+        { name: "OEBPS/nav.xhtml", data: renderNav(book) },
+        { name: "OEBPS/toc.ncx", data: renderNcx(book, identifier) },
+        { name: "OEBPS/style.css", data: book.css },
+        ...(book.cover ? [{ name: `OEBPS/${coverFile(book.cover)}`, data: book.cover.data }] : []),
+        ...book.chapters.map((c, i) => ({ name: `OEBPS/${chapterFile(c, i)}`, data: renderChapter(c, book.language) })),
+    ];
+
+    return createZip(entries, book.date);
+}
+
+export function writeEpub(path, options) {
+    writeFileSync(path, buildEpub(options));
+    return path;
+}
+
+// ─── Rewriting ─────────────────────────────────────────────────────────────────
+
+function attribute(tag, name) {
+    return new RegExp(`\\s${name}="([^"]*)"`).exec(tag)?.[1] ?? null;
+}
+
+function packagePath(entries) {
+    const container = entries.find((e) => e.name === "META-INF/container.xml");
+    const path = container && attribute(container.data.toString("utf-8"), "full-path");
+    if (!path || !entries.some((e) => e.name === path)) {
+        throw new Error("EPUB inválido: documento de pacote (OPF) não encontrado.");
+    }
+    return path;
+}
+
+/**
+ * The report's headline in an EPUB: the first `<h1>` of its content documents
+ * in reading order, as legacy DRK1's `extractHeadline` took it. Null without one.
+ *
+ * @param {Buffer} epub
+ * @returns {string | null}
+ */
+export function epubHeadline(epub) {
+    const entries = readZip(epub);
+    const opfPath = packagePath(entries);
+    const opf = entries.find((e) => e.name === opfPath).data.toString("utf-8");
+
+    const items = new Map();
+    for (const [tag] of opf.matchAll(/<(?:opf:)?item\b[^>]*>/g)) {
+        if (!/\bnav\b/.test(attribute(tag, "properties") || "")) items.set(attribute(tag, "id"), attribute(tag, "href"));
+    }
+    for (const [tag] of opf.matchAll(/<(?:opf:)?itemref\b[^>]*>/g)) {
+        const href = items.get(attribute(tag, "idref"));
+        const file = href && entries.find((e) => e.name === posix.join(posix.dirname(opfPath), decodeURI(href)));
+        const headline = file && parse(file.data.toString("utf-8")).querySelector("h1")?.textContent.replace(/\s+/g, " ").trim();
+        if (headline) return headline;
+    }
+    return null;
+}
+
+/**
+ * Replace the OPF metadata of an EPUB made elsewhere with DRK's (the fields of
+ * `buildEpub`), and add `cover`. The book keeps its identifiers, so readers
+ * still see it as the same book.
+ *
+ * @param {Buffer} epub
+ * @param {{ title: string, author?: string, language?: string, description?: string, date?: Date,
+ *           series?: string, cover?: { data: Buffer|string, mediaType: string } }} options
+ * @returns {Buffer} The rewritten EPUB.
+ */
+export function rewriteEpubMetadata(epub, options) {
+    const book = { author: "Gemini Deep Research", language: "pt-BR", date: new Date(), ...options };
+    const entries = readZip(epub);
+    const opfPath = packagePath(entries);
+    const dir = posix.dirname(opfPath);
+    let opf = entries.find((e) => e.name === opfPath).data.toString("utf-8");
+
+    const metadata = /(<(?:opf:)?metadata\b[^>]*>)([\s\S]*?)(<\/(?:opf:)?metadata>)/.exec(opf);
+    if (!metadata) throw new Error("EPUB inválido: o OPF não tem metadados.");
+    let [, open, content, close] = metadata;
+    if (!/xmlns:dc=/.test(opf)) open = open.replace(/>$/, ' xmlns:dc="http://purl.org/dc/elements/1.1/">');
+    const identifiers = [...content.matchAll(/<dc:identifier\b[\s\S]*?<\/dc:identifier>/g)].map(([tag]) => tag.trim());
+    if (identifiers.length === 0) {
+        const id = attribute(/<(?:opf:)?package\b[^>]*>/.exec(opf)?.[0] || "", "unique-identifier") || "book-id";
+        identifiers.push(`<dc:identifier id="${id}">urn:uuid:${randomUUID()}</dc:identifier>`);
+    }
+    const version = attribute(/<(?:opf:)?package\b[^>]*>/.exec(opf)?.[0] || "", "version") || "3.0";
+
+    // A cover from an earlier rewrite is replaced, and the book's own stops being one
+    const stale = (name) => posix.basename(name).startsWith("drk-cover.");
+    opf = opf.replace(/\s*<(?:opf:)?item\b[^>]*\sid="drk-cover"[^>]*>/g, "").replace(/\s+properties="cover-image"/g, "");
+    const extra = [];
+    if (book.cover) {
+        const href = coverFile(book.cover, "drk-cover");
+        const properties = version.startsWith("2") ? "" : ' properties="cover-image"';
+        opf = opf.replace(/(\s*)(<\/(?:opf:)?manifest>)/, `\n    <item id="drk-cover" href="${href}" media-type="${book.cover.mediaType}"${properties}/>$1$2`);
+        extra.push({ name: posix.join(dir, href), data: book.cover.data });
+    }
+    const rendered = renderMetadata(book, { identifiers, version, coverId: book.cover ? "drk-cover" : null });
+    opf = opf.replace(metadata[0], () => `${open}\n${rendered}\n  ${close}`);
+
+    return createZip([
+        { name: "mimetype", data: "application/epub+zip", store: true },
+        ...entries
+            .filter((e) => e.name !== "mimetype" && !stale(e.name))
+            .map((e) => (e.name === opfPath ? { name: e.name, data: opf } : e)),
+        ...extra,
+    ], book.date);
+}
@@ -0,0 +1,62 @@
+/**
+ * Typed progress events.
+ *
+ * The pipeline reports what it does twice: as log lines for people
+ * (lib/log.mjs) and as events for programs. `drk --log-format ndjson` writes
+ * every event to stdout as one JSON line; `drk serve` listens for polls.
+ *
+ * Every event has `type` and `at` (ISO time), plus `jobId` while a job runs:
+ *
+ *   step-started   { step, total, name, message }
+ *   step-finished  { step, total, name }
+ *   plan           { steps }                        research plan proposed by Gemini
+ *   poll           { elapsedSec, state, chipStatus }  Deep Research status check; `state`
+ *                                                  is one of lib/gemini.mjs RESEARCH_STATES
+ *   artifact       { kind: "gemini-conversation" | "google-doc", url }
+ *                  { kind: "epub" | "md" | "html" | "pdf" | "azw3-ready", path }
+ *   delivery       { destination, status }          "sent", "failed", "login-required"
+ *   error          { message, code, step }
+ *   result         { ok, jobId, status, ... }       last event of a job (lib/pipeline.mjs)
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+
+// Names of the pipeline steps, for `step-*` events (index = step - 1)
+export const STEP_NAMES = ["browser", "gemini", "model", "research", "export", "epub", "kindle"];
+
+const listeners = new Set();
+let context = {};
+// Per-job fields while jobs run side by side (lib/pipeline.mjs `runInTabs`)
+const scoped = new AsyncLocalStorage();
+
+/**
+ * Call `listener(event)` for every event from now on. Returns a function
+ * that removes it.
+ */
+export function onEvent(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/** Fields added to every event until changed, e.g. `{ jobId }`. */
+export function setEventContext(fields = {}) {
+    context = { ...fields };
+}
+
+/**
+ * Run `fn` with `fields` added to the events it emits, including from
+ * callbacks and awaits it starts; other async work is not affected.
+ */
+export function withEventContext(fields, fn) {
+    return scoped.run({ ...scoped.getStore(), ...fields }, fn);
+}
+
+export function emit(type, fields = {}) {
+    const event = { type, at: new Date().toISOString(), ...context, ...scoped.getStore(), ...fields };
+    for (const listener of listeners) listener(event);
+}
+
+/** Listener writing each event as a JSON line to `stream`. */
+export function ndjsonWriter(stream = process.stdout) {
+    return (event) => stream.write(`${JSON.stringify(event)}\n`);
+}
@@ -0,0 +1,505 @@
+/**
+ * Gemini page flows: open the app, pick the model, start a Deep Research run,
+ * wait for it and read the report back; ask follow-up questions in the same
+ * conversation.
+ *
+ * Each function drives an already-open Playwright page and logs its progress
+ * with the pipeline step it belongs to.
+ */
+
+import { logStep, logSub } from "./log.mjs";
+import { t } from "./i18n.mjs";
+import { parseReport, blocksText } from "./document.mjs";
+import { pause } from "./browser.mjs";
+import { SELECTORS, visibleElement, waitForElement, elementText, lastElement } from "./selectors.mjs";
+import { labelPattern } from "./ui-locales.mjs";
+import { assertLoggedIn } from "./session.mjs";
+import { emit } from "./events.mjs";
+
+// ─── Navigation ────────────────────────────────────────────────────────────────
+
+export async function navigateToGemini(page, url) {
+    logStep(2, t("gemini.navigating"));
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30_000 });
+    await pause(page, 3000);
+    await assertLoggedIn(page);
+    logSub(t("gemini.loaded"));
+}
+
+/**
+ * Make sure `page` shows the Gemini conversation at `url` (it does not when a
+ * job is being resumed or exported from an existing URL).
+ */
+export async function openConversation(page, url) {
+    if (page.url() === url) return;
+    logStep(2, t("gemini.openingConversation"));
+    logSub(t("gemini.url", { url }));
+    await page.goto(url, { waitUntil: "domcontentloaded", timeout: 30_000 });
+    await pause(page, 5000);
+    await assertLoggedIn(page);
+    logSub(t("gemini.pageLoaded"));
+}
+
+// ─── Model Selection ───────────────────────────────────────────────────────────
+
+export async function selectModel(page, model) {
+    logStep(3, t("gemini.selectingModel", { model: model.geminiName }));
+
+    try {
+        const dropdownIcon = await waitForElement(page, "gemini.modelMenu", { timeout: 10_000 });
+        await dropdownIcon.click();
+        await pause(page, 1500);
+        logSub(t("gemini.modelMenuOpen"));
+
+        const modelOption = await waitForElement(page, "gemini.modelOption", { timeout: 5_000, vars: { model: model.id } });
+        await modelOption.click();
+        await pause(page, 1000);
+
+        logSub(t("gemini.modelSelected", { model: model.geminiName }));
+    } catch (err) {
+        logSub(t("gemini.modelError", { error: err.message }));
+        logSub(t("gemini.modelDefault"));
+    }
+}
+
+// ─── Deep Research Flow ────────────────────────────────────────────────────────
+
+export async function enableDeepResearch(page) {
+    logSub(t("gemini.enablingDeepResearch"));
+    try {
+        const toolsBtn = await waitForElement(page, "gemini.toolsButton", { timeout: 10_000 });
+        await toolsBtn.click();
+        await pause(page, 1500);
+
+        const drBtn = await waitForElement(page, "gemini.deepResearchOption", { timeout: 5_000 });
+        await drBtn.click();
+        await pause(page, 2000);
+        logSub(t("gemini.deepResearchEnabled"));
+    } catch (err) {
+        logSub(t("gemini.deepResearchMissing"));
+    }
+}
+
+// Type `text` into the prompt box and send it
+async function sendPrompt(page, text) {
+    const input = await waitForElement(page, "gemini.promptInput", { timeout: 15_000 });
+    await input.click();
+    await input.fill(text);
+    await pause(page, 1000);
+
+    logSub(t("gemini.pressingEnter"));
+    await page.keyboard.press("Enter");
+    await pause(page, 2000);
+}
+
+export async function submitQuery(page, query) {
+    logStep(4, t("gemini.sendingQuery", { query: query.substring(0, 60) }));
+    await sendPrompt(page, query);
+    logSub(t("gemini.querySent"));
+}
+
+export async function confirmResearchStart(page) {
+    logSub(t("gemini.lookingForStart"));
+
+    const startTime = Date.now();
+    const maxWait = 60_000;
+
+    while (Date.now() - startTime < maxWait) {
+        try {
+            const btn = await visibleElement(page, "gemini.startResearchButton");
+            if (btn) {
+                logSub(t("gemini.buttonFound", { label: (await btn.innerText()).trim() }));
+                await btn.click();
+                logSub(t("gemini.researchStarted"));
+                await pause(page, 5000);
+                return;
+            }
+        } catch {
+            // Ignore and keep polling
+        }
+        await pause(page, 2000);
+    }
+    logSub(t("gemini.noStartButton"));
+}
+
+// ─── Completion ────────────────────────────────────────────────────────────────
+
+/**
+ * States of a Deep Research run, as read off the conversation, in the order
+ * a run moves through them (see `advanceResearchState`). "needs-input" and
+ * the last three are final: the run will not move on by itself.
+ */
+export const RESEARCH_STATES = ["planning", "needs-input", "researching", "writing", "completed", "failed", "quota-exceeded"];
+
+const FINAL_STATES = ["completed", "failed", "quota-exceeded", "needs-input"];
+
+// A report panel counts as a finished report without the chip only when it is
+// this long, shows its export button and the run has gone on this long: the
+// plan, a report still being written or an earlier one can fill the panel too
+// (the same rule as before the chip was read)
+const MIN_REPORT_CHARS = 500;
+const MIN_REPORT_WAIT_MS = 60_000;
+
+// Error codes for the runs that stop short, by final state (and for the wait running out,
+// for the research or for a follow-up's answer)
+export const RESEARCH_ERRORS = {
+    failed: "RESEARCH_FAILED",
+    "quota-exceeded": "QUOTA_EXCEEDED",
+    "needs-input": "NEEDS_INPUT",
+    timeout: "RESEARCH_TIMEOUT",
+};
+
+/**
+ * The state `signals` (what `readResearchSignals` saw on the page) show.
+ * The status chip wins over everything else; without one, a plan waiting to
+ * be confirmed means Gemini needs input, and a finished report (`report`:
+ * long enough and exportable, see MIN_REPORT_CHARS) with nothing running
+ * means a finished conversation from a layout without the chip.
+ *
+ * @param {{ chip?: string, activity?: boolean, needsConfirmation?: boolean,
+ *           quotaNotice?: boolean, errorNotice?: boolean, report?: boolean }} signals
+ */
+export function researchStateOf({ chip = "", activity = false, needsConfirmation = false, quotaNotice = false, errorNotice = false, report = false }) {
+    if (labelPattern("completed").test(chip)) return "completed";
+    if (quotaNotice) return "quota-exceeded";
+    if (errorNotice || labelPattern("researchFailed").test(chip)) return "failed";
+    if (labelPattern("writing").test(chip)) return "writing";
+    if (chip) return "researching";
+    if (needsConfirmation) return "needs-input";
+    if (activity) return "researching";
+    if (report) return "completed";
+    return "planning";
+}
+
+/**
+ * The state after seeing `observed` in `current`: runs never go back (a
+ * chip that flickers to an earlier status is ignored), and final states are
+ * left alone.
+ */
+export function advanceResearchState(current, observed) {
+    if (FINAL_STATES.includes(current)) return current;
+    if (FINAL_STATES.includes(observed)) return observed;
+    return RESEARCH_STATES.indexOf(observed) > RESEARCH_STATES.indexOf(current) ? observed : current;
+}
+
+// `kind` is a key of RESEARCH_ERRORS; `state`, the state the run stopped in
+function researchError(kind, { state = kind, chip = "", elapsedMs = 0 } = {}) {
+    const messages = {
+        failed: `O Gemini não conseguiu concluir a pesquisa${chip ? ` (status: "${chip}")` : ""}.`,
+        "quota-exceeded": "O Gemini atingiu o limite de uso do Deep Research desta conta. Tente de novo mais tarde.",
+        "needs-input": "O Gemini está esperando uma resposta na conversa (plano não confirmado ou pergunta). Responda na conversa e retome o job.",
+        timeout: `O Gemini não concluiu a pesquisa em ${Math.round(elapsedMs / 60_000)} min (estado: ${state}).`,
+        "answer-timeout": `O Gemini não terminou de responder ao acompanhamento em ${Math.round(elapsedMs / 60_000)} min.`,
+    };
+    const err = new Error(messages[kind]);
+    err.code = RESEARCH_ERRORS[kind === "answer-timeout" ? "timeout" : kind];
+    err.state = state;
+    return err;
+}
+
+/** What the page shows about the run in one look. */
+async function readResearchSignals(page) {
+    const [chip, activity, startButton, quotaNotice, errorNotice, reportPanel, exportButton] = await Promise.all([
+        elementText(page, "gemini.statusChip"),
+        visibleElement(page, "gemini.activityIndicator"),
+        visibleElement(page, "gemini.startResearchButton"),
+        visibleElement(page, "gemini.quotaNotice"),
+        visibleElement(page, "gemini.errorNotice"),
+        visibleElement(page, "gemini.reportContainer"),
+        visibleElement(page, "gemini.exportMenuButton"),
+    ]);
+    const report = reportPanel ? (await reportPanel.innerText({ timeout: 1_000 }).catch(() => "")).trim() : "";
+    return {
+        chip,
+        activity: Boolean(activity),
+        needsConfirmation: Boolean(startButton),
+        quotaNotice: Boolean(quotaNotice),
+        errorNotice: Boolean(errorNotice),
+        report: report.length >= MIN_REPORT_CHARS && Boolean(exportButton),
+    };
+}
+
+/**
+ * Count DOM changes in `page` (from the first call on this document) and
+ * return the count so far.
+ */
+async function mutationCount(page) {
+    return page.evaluate(() => {
+        if (window.__drkMutations === undefined) {
+            window.__drkMutations = 0;
+            new MutationObserver((records) => {
+                window.__drkMutations += records.length;
+            }).observe(document, { subtree: true, childList: true, characterData: true, attributes: true });
+        }
+        return window.__drkMutations;
+    }).catch(() => -1);
+}
+
+/**
+ * Wait for the DOM of `page` to change after `seen` (a `mutationCount`):
+ * until it has been still for `quietMs` (at most 4 × `quietMs` while it keeps
+ * changing), or for `timeoutMs` when nothing moves. Resolves whether it
+ * changed; with `signal`, rejects with its reason once it is aborted.
+ */
+async function nextMutation(page, seen, { timeoutMs, quietMs = 500, signal }) {
+    const changed = page.evaluate(({ seen, timeoutMs, quietMs }) => new Promise((resolve) => {
+        let quiet = null;
+        let cap = null;
+        const done = (result) => {
+            observer.disconnect();
+            [quiet, cap, limit].forEach(clearTimeout);
+            resolve(result);
+        };
+        const settle = () => {
+            clearTimeout(quiet);
+            quiet = setTimeout(() => done(true), quietMs);
+            cap ??= setTimeout(() => done(true), quietMs * 4);
+        };
+        const observer = new MutationObserver(settle);
+        observer.observe(document, { subtree: true, childList: true, characterData: true, attributes: true });
+        const limit = setTimeout(() => done(window.__drkMutations !== seen), timeoutMs);
+        if (window.__drkMutations !== seen) settle();
+    }), { seen, timeoutMs, quietMs }).catch(() => true); // a navigation is a change too
+
+    if (!signal) return changed;
+    signal.throwIfAborted();
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener("abort", onAbort, { once: true });
+        changed.then(resolve).finally(() => signal.removeEventListener("abort", onAbort));
+    });
+}
+
+/**
+ * Wait for the Deep Research run in `page` to reach a final state, checking
+ * the page whenever its DOM changes (and at least every `pollIntervalMs`).
+ * Each change of state is logged and emits a `poll` event with `state`,
+ * `chipStatus` ("" without a chip) and `elapsedSec`, as does each check
+ * that found nothing new.
+ *
+ * Resolves once the run completed. A run that failed, hit the account's
+ * usage limit, waits for the user's input or is not done after
+ * `maxPollTimeMs` rejects with an error whose `code` is one of
+ * RESEARCH_ERRORS (and `state`, the state it stopped in). With `signal`,
+ * stops waiting once it is aborted. Without a status chip, a report only
+ * counts as finished after `minReportWaitMs`.
+ */
+export async function waitForResearch(page, { pollIntervalMs, maxPollTimeMs, minReportWaitMs = MIN_REPORT_WAIT_MS, signal }) {
+    logSub(t("gemini.waiting"));
+    const startTime = Date.now();
+    let state = "planning";
+
+    for (; ;) {
+        signal?.throwIfAborted();
+        // Counted first, so changes made while reading bring the next check right away
+        const seen = await mutationCount(page);
+        const signals = await readResearchSignals(page);
+        const elapsed = Math.round((Date.now() - startTime) / 1000);
+        const early = Date.now() - startTime < minReportWaitMs;
+        const next = advanceResearchState(state, researchStateOf({ ...signals, report: signals.report && !early }));
+        const label = t(`researchState.${next}`);
+
+        emit("poll", { elapsedSec: elapsed, state: next, chipStatus: signals.chip });
+        if (next !== state) {
+            logSub(t("gemini.stateChanged", { state: label, elapsed }));
+            state = next;
+        } else {
+            logSub(signals.chip
+                ? t("gemini.pollingWithStatus", { state: label, status: signals.chip, elapsed })
+                : t("gemini.polling", { state: label, elapsed }));
+        }
+
+        if (state === "completed") {
+            // Let the report finish rendering
+            await nextMutation(page, await mutationCount(page), { timeoutMs: 1_000, signal });
+            logSub(t("gemini.done", { elapsed }));
+            return;
+        }
+        if (FINAL_STATES.includes(state)) throw researchError(state, { chip: signals.chip });
+
+        const remaining = maxPollTimeMs - (Date.now() - startTime);
+        if (remaining <= 0) throw researchError("timeout", { state, elapsedMs: maxPollTimeMs });
+        // A report seen too early is looked at again once the wait is over, changes or not
+        const untilReport = early && signals.report ? minReportWaitMs - (Date.now() - startTime) : Infinity;
+        await nextMutation(page, seen, { timeoutMs: Math.max(0, Math.min(pollIntervalMs, remaining, untilReport)), signal });
+    }
+}
+
+// ─── Research Plan ─────────────────────────────────────────────────────────────
+
+// Steps of the last plan in the conversation: its list items, else its lines
+async function planSteps(page) {
+    const plan = await lastElement(page, "gemini.researchPlan");
+    if (!plan) return [];
+    const items = (await plan.locator("li").allInnerTexts()).map((s) => s.trim()).filter(Boolean);
+    if (items.length > 0) return items;
+
+    const startLabel = labelPattern("startResearch");
+    return (await plan.innerText()).split("\n").map((s) => s.trim()).filter((s) => s && !startLabel.test(s));
+}
+
+/**
+ * The research plan Gemini proposes after the query, once its start button
+ * shows: `{ steps }`. Null when no plan shows up within `timeout` ms.
+ */
+export async function readResearchPlan(page, { timeout = 60_000 } = {}) {
+    logSub(t("gemini.waitingForPlan"));
+    const button = await waitForElement(page, "gemini.startResearchButton", { timeout }).catch(() => null);
+    if (!button) return null;
+    return { steps: await planSteps(page) };
+}
+
+/**
+ * Send `message` into the conversation to change the proposed plan, and
+ * return the revised plan once Gemini shows it. Throws when it does not
+ * within `timeout` ms.
+ */
+export async function refineResearchPlan(page, message, { timeout = 120_000 } = {}) {
+    logSub(t("gemini.refiningPlan", { message: message.substring(0, 60) }));
+    const previous = (await planSteps(page)).join("\n");
+    await sendPrompt(page, message);
+
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        await pause(page, 2000);
+        const steps = await planSteps(page);
+        if (steps.length > 0 && steps.join("\n") !== previous && await visibleElement(page, "gemini.startResearchButton")) {
+            logSub(t("gemini.planRevised"));
+            return { steps };
+        }
+    }
+    throw new Error("O Gemini não apresentou um plano revisado a tempo.");
+}
+
+// ─── Follow-ups ────────────────────────────────────────────────────────────────
+
+/**
+ * HTML of Gemini's answer to each of `questions`, asked in that order in the
+ * conversation open in `page`: the response right after the last user
+ * message with each question's text. "" for one not (yet) answered.
+ */
+async function answersTo(page, questions) {
+    return page.evaluate(({ queries, responses, questions }) => {
+        const normalize = (text) => text.replace(/\s+/g, " ").trim();
+        const turns = [...document.querySelectorAll(`${queries}, ${responses}`)];
+        let from = 0;
+        return questions.map((question) => {
+            let at = -1;
+            for (let i = turns.length - 1; i >= from; i--) {
+                if (turns[i].matches(queries) && normalize(turns[i].innerText).includes(normalize(question))) {
+                    at = i;
+                    break;
+                }
+            }
+            const answer = at >= 0 ? turns[at + 1] : null;
+            if (!answer || !answer.matches(responses)) return "";
+            from = at + 1;
+            return (answer.querySelector("message-content") || answer).innerHTML;
+        });
+    }, {
+        queries: SELECTORS.gemini.userQuery.selectors.join(", "),
+        responses: SELECTORS.gemini.modelResponse.selectors.join(", "),
+        questions,
+    });
+}
+
+/** Send a follow-up question into the conversation open in `page`. */
+export async function submitFollowup(page, question) {
+    logStep(4, t("gemini.sendingFollowup", { question: question.substring(0, 60) }));
+    await sendPrompt(page, question);
+    logSub(t("gemini.querySent"));
+}
+
+/**
+ * Wait for Gemini to finish answering `question`, checking whenever the page
+ * changes (and at least every `pollIntervalMs`): the answer is done once it
+ * is there, Gemini's stop button is gone and it did not change while the
+ * page settled (`quietMs`). Throws an error with code
+ * RESEARCH_ERRORS.timeout after `maxPollTimeMs`; with `signal`, stops
+ * waiting once it is aborted.
+ */
+export async function waitForFollowupAnswer(page, question, { maxPollTimeMs, pollIntervalMs = 5_000, quietMs = 1_000, signal }) {
+    logSub(t("gemini.waitingForAnswer"));
+    const startTime = Date.now();
+
+    for (; ;) {
+        signal?.throwIfAborted();
+        const remaining = maxPollTimeMs - (Date.now() - startTime);
+        if (remaining <= 0) throw researchError("answer-timeout", { elapsedMs: maxPollTimeMs });
+        const seen = await mutationCount(page);
+        const [[answer], responding] = await Promise.all([
+            answersTo(page, [question]),
+            visibleElement(page, "gemini.stopResponseButton"),
+        ]);
+
+        if (answer && !responding) {
+            await nextMutation(page, seen, { timeoutMs: Math.min(quietMs, remaining), quietMs, signal });
+            const [[settled], stillResponding] = await Promise.all([
+                answersTo(page, [question]),
+                visibleElement(page, "gemini.stopResponseButton"),
+            ]);
+            if (settled === answer && !stillResponding) {
+                logSub(t("gemini.answered", { elapsed: Math.round((Date.now() - startTime) / 1000) }));
+                return;
+            }
+            continue;
+        }
+        await nextMutation(page, seen, { timeoutMs: Math.min(pollIntervalMs, remaining), signal });
+    }
+}
+
+/**
+ * The answers to `questions` in the conversation open in `page`, each parsed
+ * into the document model. Unanswered questions are left out.
+ *
+ * @returns {Promise<{ question: string, answer: object }[]>}
+ */
+export async function extractFollowups(page, questions) {
+    const answers = await answersTo(page, questions);
+    const followups = [];
+    questions.forEach((question, i) => {
+        if (answers[i]) {
+            followups.push({ question, answer: parseReport(answers[i]) });
+        } else {
+            logSub(t("gemini.noAnswer", { question: question.substring(0, 60) }));
+        }
+    });
+    return followups;
+}
+
+// ─── Report ────────────────────────────────────────────────────────────────────
+
+/**
+ * Parse the finished report in `page` into the document model
+ * (lib/document.mjs). Throws when there is too little text to be a report.
+ */
+export async function extractReport(page) {
+    logStep(5, t("gemini.extracting"));
+
+    // Scroll the report container to trigger lazy loading
+    await page
+        .evaluate(async (selectors) => {
+            const container = selectors.map((s) => document.querySelector(s)).find(Boolean);
+            if (container) {
+                let scrollTop = 0;
+                while (scrollTop < container.scrollHeight) {
+                    scrollTop += 1000;
+                    container.scrollTop = scrollTop;
+                    await new Promise((r) => setTimeout(r, 200));
+                }
+                container.scrollTop = 0;
+            }
+        }, SELECTORS.gemini.reportContainer.selectors)
+        .catch(() => { });
+    await pause(page, 2000);
+
+    // Parse the serialized DOM offline into the document model
+    const doc = parseReport(await page.content());
+    const textLength = blocksText(doc.children).length;
+    if (textLength < 200) {
+        throw new Error(`Conteúdo insuficiente no relatório (${textLength} caracteres).`);
+    }
+
+    logSub(t("gemini.extracted", { chars: textLength, sources: doc.sources.length }));
+    return doc;
+}
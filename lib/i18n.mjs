@@ -0,0 +1,45 @@
+/**
+ * Translatable CLI log messages.
+ *
+ * Messages live in lib/locales/<lang>.mjs, keyed like "gemini.waiting";
+ * Portuguese is the reference catalog and the fallback for missing keys. The
+ * language comes from the `lang` setting, else from LC_ALL / LC_MESSAGES /
+ * LANG, else Portuguese.
+ *
+ * Only the run log is translated; help texts and error messages stay in
+ * Portuguese.
+ */
+
+import { MESSAGES as pt } from "./locales/pt.mjs";
+import { MESSAGES as en } from "./locales/en.mjs";
+
+const CATALOGS = { pt, en };
+
+export const LANGUAGES = Object.keys(CATALOGS);
+export const DEFAULT_LANGUAGE = "pt";
+
+let catalog = pt;
+
+export function setLanguage(lang) {
+    if (!CATALOGS[lang]) {
+        throw new Error(`Idioma desconhecido: "${lang}" (use ${LANGUAGES.join(", ")}).`);
+    }
+    catalog = CATALOGS[lang];
+}
+
+/** Catalog language for the POSIX locale in `env` ("en_US.UTF-8" → "en"). */
+export function detectLanguage(env = process.env) {
+    const locale = env.LC_ALL || env.LC_MESSAGES || env.LANG || "";
+    const lang = locale.toLowerCase().split(/[-_.@]/)[0];
+    return CATALOGS[lang] ? lang : DEFAULT_LANGUAGE;
+}
+
+/**
+ * The message for `key` in the current language, `{name}` placeholders
+ * filled from `params`.
+ */
+export function t(key, params = {}) {
+    const template = catalog[key] ?? pt[key];
+    if (template === undefined) return key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
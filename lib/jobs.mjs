@@ -0,0 +1,123 @@
+/**
+ * Persisted job records.
+ *
+ * Every run gets a JSON file in the jobs directory holding what is needed to
+ * pick it up again after a failure: query, model, Gemini conversation URL,
+ * Docs URL, EPUB path and the last completed pipeline step. `deliveries`
+ * maps each delivery destination to "sent", "failed" or "login-required", so
+ * a resumed job only retries the destinations that were not sent.
+ *
+ * A query made from a prompt template (lib/templates.mjs) is stored expanded,
+ * as sent to Gemini, with the `template` and `vars` it came from.
+ *
+ * Follow-up jobs (`drk followup`) list in `followups` the questions asked in
+ * the conversation so far, their own last; `followupSent` keeps a resumed
+ * one from asking twice.
+ *
+ * `status` is "running", "done", "failed", "login-required" when a Google
+ * or Amazon session expired (fixed with `drk login`, then `drk resume`), or
+ * "quota-exceeded" when Gemini refused the research for the account's usage
+ * limit (resumed later, it starts the research over).
+ */
+
+import { mkdirSync, readFileSync, writeFileSync, readdirSync, existsSync } from "fs";
+import { resolve } from "path";
+import { randomBytes } from "crypto";
+
+function newJobId(date = new Date()) {
+    const pad = (n) => String(n).padStart(2, "0");
+    const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+        + `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    return `${stamp}-${randomBytes(2).toString("hex")}`;
+}
+
+/**
+ * @param {string} dir Directory holding one `<id>.json` per job.
+ */
+export function createJobStore(dir) {
+    const pathOf = (id) => resolve(dir, `${id}.json`);
+
+    function save(job) {
+        mkdirSync(dir, { recursive: true });
+        job.updatedAt = new Date().toISOString();
+        writeFileSync(pathOf(job.id), JSON.stringify(job, null, 2));
+        return job;
+    }
+
+    return {
+        dir,
+        pathOf,
+        save,
+
+        /**
+         * Create and persist a new job. `step` is the last completed step
+         * (0 = nothing done yet).
+         */
+        create(fields) {
+            const now = new Date().toISOString();
+            return save({
+                id: newJobId(),
+                createdAt: now,
+                updatedAt: now,
+                status: "running",
+                step: 0,
+                query: "",
+                model: undefined,
+                epubEngine: undefined,
+                formats: ["epub"],
+                planInstructions: null,
+                template: null,
+                vars: {},
+                followups: [],
+                followupSent: false,
+                skipKindle: false,
+                destinations: [],
+                deliveries: {},
+                geminiUrl: null,
+                docsUrl: null,
+                epubPath: null,
+                outputs: {},
+                error: null,
+                ...fields,
+            });
+        },
+
+        load(id) {
+            const file = pathOf(id);
+            if (!existsSync(file)) {
+                throw new Error(`Job não encontrado: ${id} (${dir})`);
+            }
+            return JSON.parse(readFileSync(file, "utf-8"));
+        },
+
+        /** All jobs, newest first. */
+        list() {
+            if (!existsSync(dir)) return [];
+            return readdirSync(dir)
+                .filter((f) => f.endsWith(".json"))
+                .sort()
+                .reverse()
+                .map((f) => JSON.parse(readFileSync(resolve(dir, f), "utf-8")));
+        },
+
+        /** Most recently created job id, or null. Ids sort chronologically. */
+        latestId() {
+            if (!existsSync(dir)) return null;
+            const ids = readdirSync(dir)
+                .filter((f) => f.endsWith(".json"))
+                .map((f) => f.slice(0, -5))
+                .sort();
+            return ids.length > 0 ? ids[ids.length - 1] : null;
+        },
+
+        update(job, fields) {
+            Object.assign(job, fields);
+            return save(job);
+        },
+
+        completeStep(job, step) {
+            job.step = Math.max(job.step, step);
+            return save(job);
+        },
+    };
+}
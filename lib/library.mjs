@@ -0,0 +1,160 @@
+/**
+ * Local research library.
+ *
+ * Every finished report gets a directory `<dir>/<id>/` holding the EPUB, the
+ * plain text (`report.txt`, used by search) and, when available, the document
+ * tree (`report.json`). `<dir>/index.json` lists all entries:
+ *
+ *   { id, jobId, title, query, model, createdAt, completedAt, geminiUrl,
+ *     docsUrl, epubPath, outputs, wordCount, kindle: { status, at, destinations } }
+ *
+ * `outputs` maps the other formats of the report (lib/outputs.mjs) to their
+ * files in the same directory.
+ *
+ * Kindle status is one of "pending", "sent", "skipped", "failed" or
+ * "login-required"; `destinations` maps each delivery destination to its own
+ * status.
+ */
+
+import { mkdirSync, readFileSync, writeFileSync, existsSync } from "fs";
+import { resolve } from "path";
+
+export function countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+}
+
+// Lowercase and strip accents one character at a time, so indexes in the
+// folded string still line up with the original (needed for snippets).
+function fold(text) {
+    let out = "";
+    for (const ch of text) {
+        const folded = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+        out += folded.length === ch.length ? folded : ch;
+    }
+    return out;
+}
+
+function countOccurrences(haystack, needle) {
+    let count = 0;
+    for (let i = haystack.indexOf(needle); i !== -1; i = haystack.indexOf(needle, i + needle.length)) count++;
+    return count;
+}
+
+/**
+ * @param {string} dir Library root directory.
+ */
+export function createLibrary(dir) {
+    const indexPath = resolve(dir, "index.json");
+
+    function readIndex() {
+        if (!existsSync(indexPath)) return [];
+        return JSON.parse(readFileSync(indexPath, "utf-8"));
+    }
+
+    function writeIndex(entries) {
+        mkdirSync(dir, { recursive: true });
+        writeFileSync(indexPath, JSON.stringify(entries, null, 2));
+    }
+
+    function entryDir(id) {
+        const path = resolve(dir, id);
+        mkdirSync(path, { recursive: true });
+        return path;
+    }
+
+    function readText(id) {
+        const path = resolve(dir, id, "report.txt");
+        return existsSync(path) ? readFileSync(path, "utf-8") : "";
+    }
+
+    function update(id, fields) {
+        const entries = readIndex();
+        const entry = entries.find((e) => e.id === id);
+        if (!entry) return null;
+        Object.assign(entry, fields);
+        writeIndex(entries);
+        return entry;
+    }
+
+    return {
+        dir,
+        entryDir,
+        readText,
+        update,
+
+        /**
+         * Add (or replace) an entry. `text` and `doc` are stored next to the EPUB.
+         */
+        add(entry, { text = "", doc = null } = {}) {
+            const path = entryDir(entry.id);
+            writeFileSync(resolve(path, "report.txt"), text);
+            if (doc) writeFileSync(resolve(path, "report.json"), JSON.stringify(doc));
+
+            const record = {
+                title: "",
+                query: "",
+                model: null,
+                geminiUrl: null,
+                docsUrl: null,
+                epubPath: null,
+                outputs: {},
+                kindle: { status: "pending", at: null },
+                ...entry,
+                wordCount: countWords(text),
+            };
+            const entries = readIndex().filter((e) => e.id !== entry.id);
+            entries.push(record);
+            writeIndex(entries);
+            return record;
+        },
+
+        setKindleStatus(id, status, destinations = {}) {
+            return update(id, { kindle: { status, at: new Date().toISOString(), destinations } });
+        },
+
+        /** All entries, newest first. */
+        list() {
+            return readIndex().sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+        },
+
+        /** Entry by exact id or unique id prefix. */
+        get(idOrPrefix) {
+            const entries = readIndex();
+            const exact = entries.find((e) => e.id === idOrPrefix);
+            if (exact) return exact;
+            const matches = entries.filter((e) => e.id.startsWith(idOrPrefix));
+            if (matches.length > 1) {
+                throw new Error(`Id ambíguo "${idOrPrefix}": ${matches.map((e) => e.id).join(", ")}`);
+            }
+            return matches[0] || null;
+        },
+
+        /**
+         * Full-text search over title, query and report text. Every term must
+         * match (case- and accent-insensitive); results are ranked by hits.
+         *
+         * @returns {{ entry: object, hits: number, snippet: string }[]}
+         */
+        search(terms) {
+            const needles = terms.map(fold).filter(Boolean);
+            if (needles.length === 0) return [];
+
+            const results = [];
+            for (const entry of readIndex()) {
+                const text = `${entry.title}\n${entry.query}\n${readText(entry.id)}`;
+                const folded = fold(text);
+                if (!needles.every((n) => folded.includes(n))) continue;
+
+                const hits = needles.reduce((sum, n) => sum + countOccurrences(folded, n), 0);
+                const at = folded.indexOf(needles[0]);
+                const start = Math.max(0, at - 60);
+                const snippet = text
+                    .slice(start, at + needles[0].length + 60)
+                    .replace(/\s+/g, " ")
+                    .trim();
+                results.push({ entry, hits, snippet: `${start > 0 ? "…" : ""}${snippet}…` });
+            }
+            return results.sort((a, b) => b.hits - a.hits);
+        },
+    };
+}
@@ -0,0 +1,179 @@
+/**
+ * CLI log messages in English. Keys missing here fall back to Portuguese.
+ */
+
+export const MESSAGES = {
+    "banner.title": "📚 Deep Research to Kindle",
+    "banner.flow": "   Gemini → EPUB → Kindle",
+
+    "browser.launching": "🚀 Launching browser...",
+    "browser.profile": "Profile: {path}",
+    "browser.ready": "✅ Browser ready.",
+    "browser.openingProfile": "Opening profile {path}...",
+    "browser.headless": "Headless mode (no window)",
+    "browser.traceSaved": "🔎 Trace saved to {path} (open with: npx playwright show-trace {path})",
+
+    "gemini.navigating": "🌐 Opening Gemini...",
+    "gemini.loaded": "✅ Gemini loaded.",
+    "gemini.openingConversation": "🌐 Opening the Gemini conversation...",
+    "gemini.url": "URL: {url}",
+    "gemini.pageLoaded": "✅ Page loaded.",
+    "gemini.selectingModel": "🔧 Selecting model: {model}...",
+    "gemini.modelMenuOpen": "Model menu open.",
+    "gemini.modelSelected": "✅ Model {model} selected.",
+    "gemini.modelError": "⚠️  Could not select the model: {error}",
+    "gemini.modelDefault": "Continuing with the default model...",
+    "gemini.enablingDeepResearch": "🔬 Enabling Deep Research...",
+    "gemini.deepResearchEnabled": "✅ Deep Research enabled.",
+    "gemini.deepResearchMissing": "⚠️ Deep Research button not found. Continuing with a regular query...",
+    "gemini.sendingQuery": "📝 Sending query: \"{query}...\"",
+    "gemini.pressingEnter": "Pressing Enter...",
+    "gemini.querySent": "✅ Query sent.",
+    "gemini.lookingForStart": "🔍 Looking for the \"Start research\" button...",
+    "gemini.buttonFound": "Button found: \"{label}\"",
+    "gemini.researchStarted": "✅ Research started (plan confirmed).",
+    "gemini.noStartButton": "⚠️  No confirmation button found after 60s.",
+    "gemini.sendingFollowup": "💬 Sending follow-up question: \"{question}...\"",
+    "gemini.waitingForAnswer": "⏳ Waiting for Gemini's answer...",
+    "gemini.answered": "✅ Answer finished. ({elapsed}s)",
+    "gemini.noAnswer": "⚠️  No answer in the conversation for: \"{question}...\"",
+    "gemini.waitingForPlan": "📋 Waiting for the research plan...",
+    "gemini.refiningPlan": "✏️  Asking for a change to the plan: \"{message}...\"",
+    "gemini.planRevised": "✅ Revised plan received.",
+    "plan.header": "📋 Proposed research plan:",
+    "plan.missing": "⚠️  No research plan showed up; going on without review.",
+    "plan.prompt": "Accept the plan? [Enter] accept · e edit · x abort: ",
+    "plan.editPrompt": "Change for Gemini: ",
+    "gemini.waiting": "⏳ Waiting for the research to finish...",
+    "gemini.stateChanged": "➡️  {state} ({elapsed}s)",
+    "gemini.pollingWithStatus": "⏳ {state}... ({elapsed}s) — Status: \"{status}\"",
+    "gemini.polling": "⏳ {state}... ({elapsed}s)",
+    "gemini.done": "✅ Research finished! ({elapsed}s)",
+    "researchState.planning": "Planning",
+    "researchState.needs-input": "Waiting for an answer in the conversation",
+    "researchState.researching": "Researching",
+    "researchState.writing": "Writing the report",
+    "researchState.completed": "Completed",
+    "researchState.failed": "Failed",
+    "researchState.quota-exceeded": "Usage limit reached",
+    "gemini.extracting": "📄 Extracting the report...",
+    "gemini.extracted": "✅ Extracted {chars} characters, {sources} sources.",
+
+    "docs.exporting": "📤 Exporting to Google Docs...",
+    "docs.clickingExportMenu": "Clicking \"Share & export\"...",
+    "docs.menuOpen": "✅ Menu open.",
+    "docs.clickingExportToDocs": "Clicking \"Export to Docs\"...",
+    "docs.exportStarted": "✅ Export started.",
+    "docs.waitingForDocs": "Waiting for Google Docs to open...",
+    "docs.linkFound": "Link found: {url}",
+    "docs.lookingForOpenButton": "Looking for the \"Open document\" button in the toast...",
+    "docs.opened": "✅ Google Docs open: {url}...",
+    "docs.reopening": "📤 Reopening the exported Google Doc...",
+    "docs.downloading": "📥 Downloading the EPUB from Google Docs...",
+    "docs.openingFileMenu": "Opening the \"File\" menu...",
+    "docs.fileMenuOpen": "✅ File menu open.",
+    "docs.clickingDownload": "Clicking \"Download\"...",
+    "docs.downloadMenuOpen": "✅ Download submenu open.",
+    "docs.selectingEpub": "Selecting EPUB...",
+    "docs.waitingForDownload": "Waiting for the download...",
+    "docs.downloaded": "✅ EPUB downloaded: {file}",
+
+    "tabs.parallel": "Up to {count} research runs in parallel, one per tab; exports and deliveries one at a time.",
+    "tabs.label": "tab {n}",
+    "epub.generating": "📚 Building the EPUB...",
+    "epub.headline": "Headline: \"{headline}\"",
+    "epub.generated": "✅ EPUB built: {chapters} chapters.",
+    "epub.path": "   Path: {path}",
+    "epub.rewriting": "Rewriting the EPUB's title, author and cover...",
+    "epub.coverSvg": "⚠️ SVG cover (no browser to render a JPEG: {error})",
+    "output.rereading": "Reading the report from Gemini again for the other formats...",
+    "output.written": "✅ {format}: {path}",
+
+    "delivery.sending": "📧 Sending the EPUB to the Kindle...",
+    "delivery.skipped": "⏭️  Kindle delivery skipped (--no-kindle).",
+    "delivery.alreadySent": "⏭️  {name}: already sent.",
+    "delivery.destination": "Delivery → {name}: {label}",
+    "delivery.failedOne": "❌ {name}: {error}",
+    "delivery.failed": "❌ Delivery failed for: {names}",
+    "delivery.fixConfig": "Fix ~/.config/drk/config.json or use --no-kindle.",
+    "delivery.deviceSelected": "✅ Device selected: {device}",
+    "delivery.navigating": "Opening {url}...",
+    "delivery.pageLoaded": "✅ Page loaded.",
+    "delivery.uploading": "Uploading the EPUB...",
+    "delivery.fileSelected": "✅ File selected.",
+    "delivery.processing": "Waiting for processing...",
+    "delivery.clickingSend": "Clicking \"Send\"...",
+    "delivery.waitingForConfirmation": "Waiting for confirmation...",
+    "delivery.sent": "✅ EPUB sent to the Kindle!",
+    "delivery.noConfirmation": "⚠️  No confirmation detected, but the send was submitted.",
+    "delivery.emailing": "E-mailing {to} via {host}:{port}...",
+    "delivery.emailAccepted": "✅ E-mail accepted by the server ({id}).",
+
+    "job.id": "Job: {id}",
+    "job.model": "Model: {model}",
+    "job.template": "Template: {name}",
+    "job.followupOf": "Follow-up to job {id} (question {count})",
+    "job.done": "🎉 Done!",
+    "job.epub": "   EPUB: {path}",
+    "job.epubPath": "EPUB: {path}",
+    "job.sentTo": "   Sent to Kindle: {names}.",
+    "job.error": "❌ Error: {error}",
+    "job.stoppedAt": "Job {id} stopped at step {step}/{total}.",
+    "job.howToResume": "To resume: drk resume {id}",
+    "job.quotaExceeded": "⏸️  Deep Research usage limit reached; resume later (the research starts over).",
+    "job.loginRequired": "🔑 The {site} session expired. Run \"drk login\" (with a window), then resume.",
+    "job.alreadyDone": "✅ Job {id} is already done.",
+    "job.resuming": "🔁 Resuming job {id} from step {step}/{total}",
+    "job.query": "Query: \"{query}\"",
+    "job.gemini": "Gemini: {url}",
+    "schedule.due": "⏰ {count} schedule(s) due: {names}",
+    "schedule.running": "⏰ Schedule \"{name}\" — {model}",
+    "schedule.done": "✅ Schedule \"{name}\" done: {path}",
+    "schedule.failed": "❌ Schedule \"{name}\" failed: {error}",
+    "schedule.nothingDue": "⏰ No schedules due.",
+    "schedule.daemonStarted": "⏰ Daemon started: {count} schedule(s) in {dir}, checking every minute.",
+    "schedule.daemonWaiting": "⏰ Waiting for the next schedules...",
+    "schedule.daemonError": "❌ Running the schedules failed (retrying next minute): {error}",
+    "serve.listening": "🌐 Serving at {url}",
+    "serve.lanHint": "On the LAN: http://<this machine's ip>:{port}/",
+    "serve.noToken": "⚠️  No token: anyone on the network can request research. Set serve.token (DRK_SERVE_TOKEN).",
+    "serve.queued": "📥 Job {id} queued: \"{query}\"",
+    "serve.resending": "📥 Re-send of job {id} queued",
+    "library.saved": "📚 Saved to the library: {id} ({words} words)",
+
+    "queue.itemDone": "⏭️  Queue [{n}/{total}] already done: \"{query}\"",
+    "queue.item": "📋 Queue [{n}/{total}] — {model}",
+    "queue.itemError": "❌ Item {n} failed: {error}",
+    "queue.stoppedForQuota": "⏸️  Queue stopped: Deep Research usage limit reached; run it again with --resume later.",
+    "queue.stoppedForLogin": "🔑 Queue stopped: log in again (drk login) before the next items.",
+    "queue.summary": "📊 Queue summary",
+    "queue.statusDone": "✅ ok",
+    "queue.statusFailed": "❌ failed",
+    "queue.statusPending": "⏸️  pending",
+    "queue.header": "#|Status|Model|Time|Query",
+    "queue.invalid": "❌ Invalid queue: {error}",
+    "queue.file": "📋 Queue: {file}",
+    "queue.counts": "{items} items, {remaining} to run.",
+    "queue.state": "State: {path}",
+    "queue.howToRetry": "To retry the failed items: drk queue {file} --resume",
+
+    "send.sending": "📧 Sending {file}",
+    "send.done": "🎉 Sent: {names}.",
+
+    "login.open": "🔑 Login mode — browser open.",
+    "login.instructions": "Log into Google (Gemini, Docs, Gmail), Amazon and Claude.",
+    "login.ctrlC": "Press Ctrl+C when done.",
+
+    "doctor.checking": "🩺 Checking selectors (registry {version})",
+    "doctor.uiLocale": "Interface language: {locale}",
+    "doctor.autoLocale": "automatic (each page's <html lang>)",
+    "doctor.skipped": "⏭️  {page}: skipped (use {hint})",
+    "doctor.page": "🌐 {page}: {url}",
+    "doctor.header": "|Element|Description|Selector",
+    "doctor.missing": "❌ {count} element(s) not found. Update lib/selectors.mjs before running a research.",
+    "doctor.loginHint": "If the page asked you to log in, run: drk login",
+    "doctor.loginRequired": "🔑 Login required ({site}): this profile's session expired",
+    "doctor.loggedOut": "🔑 {count} page(s) asked for a login. Run: drk login",
+    "doctor.fallbacks": "⚠️  Everything found, {count} through a fallback selector (the interface changed).",
+    "doctor.ok": "✅ All checked selectors work.",
+};
@@ -0,0 +1,180 @@
+/**
+ * CLI log messages in Portuguese (the default and reference catalog: every
+ * key must exist here). `{name}` placeholders are filled by `t()`.
+ */
+
+export const MESSAGES = {
+    "banner.title": "📚 Deep Research to Kindle",
+    "banner.flow": "   Gemini → EPUB → Kindle",
+
+    "browser.launching": "🚀 Lançando navegador...",
+    "browser.profile": "Perfil: {path}",
+    "browser.ready": "✅ Navegador pronto.",
+    "browser.openingProfile": "Abrindo perfil {path}...",
+    "browser.headless": "Modo headless (sem janela)",
+    "browser.traceSaved": "🔎 Trace salvo em {path} (abra com: npx playwright show-trace {path})",
+
+    "gemini.navigating": "🌐 Navegando para o Gemini...",
+    "gemini.loaded": "✅ Gemini carregado.",
+    "gemini.openingConversation": "🌐 Abrindo a conversa no Gemini...",
+    "gemini.url": "URL: {url}",
+    "gemini.pageLoaded": "✅ Página carregada.",
+    "gemini.selectingModel": "🔧 Selecionando modelo: {model}...",
+    "gemini.modelMenuOpen": "Menu de modelos aberto.",
+    "gemini.modelSelected": "✅ Modelo {model} selecionado.",
+    "gemini.modelError": "⚠️  Erro ao selecionar modelo: {error}",
+    "gemini.modelDefault": "Continuando com modelo padrão...",
+    "gemini.enablingDeepResearch": "🔬 Ativando Deep Research...",
+    "gemini.deepResearchEnabled": "✅ Deep Research ativado.",
+    "gemini.deepResearchMissing": "⚠️ Botão de Deep Research não encontrado. Continuando pesquisa normal...",
+    "gemini.sendingQuery": "📝 Enviando query: \"{query}...\"",
+    "gemini.pressingEnter": "Pressionando Enter...",
+    "gemini.querySent": "✅ Query enviada.",
+    "gemini.lookingForStart": "🔍 Procurando botão \"Iniciar investigação\"...",
+    "gemini.buttonFound": "Botão encontrado: \"{label}\"",
+    "gemini.researchStarted": "✅ Pesquisa iniciada (plano confirmado).",
+    "gemini.noStartButton": "⚠️  Nenhum botão de confirmação encontrado após 60s.",
+    "gemini.sendingFollowup": "💬 Enviando pergunta de acompanhamento: \"{question}...\"",
+    "gemini.waitingForAnswer": "⏳ Aguardando a resposta do Gemini...",
+    "gemini.answered": "✅ Resposta concluída. ({elapsed}s)",
+    "gemini.noAnswer": "⚠️  Sem resposta na conversa para: \"{question}...\"",
+    "gemini.waitingForPlan": "📋 Aguardando o plano de pesquisa...",
+    "gemini.refiningPlan": "✏️  Pedindo ajuste no plano: \"{message}...\"",
+    "gemini.planRevised": "✅ Plano revisado recebido.",
+    "plan.header": "📋 Plano de pesquisa proposto:",
+    "plan.missing": "⚠️  Nenhum plano de pesquisa apareceu; seguindo sem revisão.",
+    "plan.prompt": "Aceitar o plano? [Enter] aceitar · e editar · x abortar: ",
+    "plan.editPrompt": "Ajuste para o Gemini: ",
+    "gemini.waiting": "⏳ Aguardando conclusão da pesquisa...",
+    "gemini.stateChanged": "➡️  {state} ({elapsed}s)",
+    "gemini.pollingWithStatus": "⏳ {state}... ({elapsed}s) — Status: \"{status}\"",
+    "gemini.polling": "⏳ {state}... ({elapsed}s)",
+    "gemini.done": "✅ Pesquisa concluída! ({elapsed}s)",
+    "researchState.planning": "Planejando",
+    "researchState.needs-input": "Esperando resposta na conversa",
+    "researchState.researching": "Pesquisando",
+    "researchState.writing": "Escrevendo o relatório",
+    "researchState.completed": "Concluída",
+    "researchState.failed": "Falhou",
+    "researchState.quota-exceeded": "Limite de uso atingido",
+    "gemini.extracting": "📄 Extraindo conteúdo da pesquisa...",
+    "gemini.extracted": "✅ Extraídos {chars} caracteres, {sources} fontes.",
+
+    "docs.exporting": "📤 Exportando para o Google Docs...",
+    "docs.clickingExportMenu": "Clicando \"Compartilhar e exportar\"...",
+    "docs.menuOpen": "✅ Menu aberto.",
+    "docs.clickingExportToDocs": "Clicando \"Exportar para o Google Docs\"...",
+    "docs.exportStarted": "✅ Exportação iniciada.",
+    "docs.waitingForDocs": "Aguardando Google Docs abrir...",
+    "docs.linkFound": "Link encontrado: {url}",
+    "docs.lookingForOpenButton": "Procurando botão \"Abrir documento\" no toast...",
+    "docs.opened": "✅ Google Docs aberto: {url}...",
+    "docs.reopening": "📤 Reabrindo o Google Docs exportado...",
+    "docs.downloading": "📥 Baixando EPUB do Google Docs...",
+    "docs.openingFileMenu": "Abrindo menu \"Arquivo\"...",
+    "docs.fileMenuOpen": "✅ Menu Arquivo aberto.",
+    "docs.clickingDownload": "Clicando \"Baixar\"...",
+    "docs.downloadMenuOpen": "✅ Submenu download aberto.",
+    "docs.selectingEpub": "Selecionando EPUB...",
+    "docs.waitingForDownload": "Aguardando download...",
+    "docs.downloaded": "✅ EPUB baixado: {file}",
+
+    "tabs.parallel": "Até {count} pesquisas em paralelo, uma por aba; exportações e entregas uma de cada vez.",
+    "tabs.label": "aba {n}",
+    "epub.generating": "📚 Gerando EPUB...",
+    "epub.headline": "Headline: \"{headline}\"",
+    "epub.generated": "✅ EPUB gerado: {chapters} capítulos.",
+    "epub.path": "   Caminho: {path}",
+    "epub.rewriting": "Reescrevendo título, autor e capa do EPUB...",
+    "epub.coverSvg": "⚠️ Capa em SVG (navegador indisponível para gerar JPEG: {error})",
+    "output.rereading": "Relendo o relatório no Gemini para os outros formatos...",
+    "output.written": "✅ {format}: {path}",
+
+    "delivery.sending": "📧 Enviando EPUB para o Kindle...",
+    "delivery.skipped": "⏭️  Envio ao Kindle pulado (--no-kindle).",
+    "delivery.alreadySent": "⏭️  {name}: já enviado.",
+    "delivery.destination": "Entrega → {name}: {label}",
+    "delivery.failedOne": "❌ {name}: {error}",
+    "delivery.failed": "❌ Falha na entrega para: {names}",
+    "delivery.fixConfig": "Ajuste ~/.config/drk/config.json ou use --no-kindle.",
+    "delivery.deviceSelected": "✅ Dispositivo selecionado: {device}",
+    "delivery.navigating": "Navegando para {url}...",
+    "delivery.pageLoaded": "✅ Página carregada.",
+    "delivery.uploading": "Fazendo upload do EPUB...",
+    "delivery.fileSelected": "✅ Arquivo selecionado.",
+    "delivery.processing": "Aguardando processamento...",
+    "delivery.clickingSend": "Clicando \"Enviar\"...",
+    "delivery.waitingForConfirmation": "Aguardando confirmação...",
+    "delivery.sent": "✅ EPUB enviado ao Kindle com sucesso!",
+    "delivery.noConfirmation": "⚠️  Confirmação não detectada, mas comando executado.",
+    "delivery.emailing": "Enviando e-mail para {to} via {host}:{port}...",
+    "delivery.emailAccepted": "✅ E-mail aceito pelo servidor ({id}).",
+
+    "job.id": "Job: {id}",
+    "job.model": "Modelo: {model}",
+    "job.template": "Template: {name}",
+    "job.followupOf": "Acompanhamento do job {id} (pergunta {count})",
+    "job.done": "🎉 Concluído!",
+    "job.epub": "   EPUB: {path}",
+    "job.epubPath": "EPUB: {path}",
+    "job.sentTo": "   Enviado ao Kindle: {names}.",
+    "job.error": "❌ Erro: {error}",
+    "job.stoppedAt": "Job {id} parou no passo {step}/{total}.",
+    "job.howToResume": "Para retomar: drk resume {id}",
+    "job.quotaExceeded": "⏸️  Limite de uso do Deep Research atingido; retome mais tarde (a pesquisa recomeça).",
+    "job.loginRequired": "🔑 A sessão {site} expirou. Rode \"drk login\" (com janela) e depois retome.",
+    "job.alreadyDone": "✅ Job {id} já concluído.",
+    "job.resuming": "🔁 Retomando job {id} a partir do passo {step}/{total}",
+    "job.query": "Query: \"{query}\"",
+    "job.gemini": "Gemini: {url}",
+    "schedule.due": "⏰ {count} agendamento(s) na hora: {names}",
+    "schedule.running": "⏰ Agendamento \"{name}\" — {model}",
+    "schedule.done": "✅ Agendamento \"{name}\" concluído: {path}",
+    "schedule.failed": "❌ Agendamento \"{name}\" falhou: {error}",
+    "schedule.nothingDue": "⏰ Nenhum agendamento na hora.",
+    "schedule.daemonStarted": "⏰ Daemon iniciado: {count} agendamento(s) em {dir}, verificando a cada minuto.",
+    "schedule.daemonWaiting": "⏰ Aguardando os próximos agendamentos...",
+    "schedule.daemonError": "❌ Erro ao rodar agendamentos (tentando de novo no próximo minuto): {error}",
+    "serve.listening": "🌐 Servindo em {url}",
+    "serve.lanHint": "Na rede local: http://<ip desta máquina>:{port}/",
+    "serve.noToken": "⚠️  Sem token: qualquer um na rede pode pedir pesquisas. Defina serve.token (DRK_SERVE_TOKEN).",
+    "serve.queued": "📥 Job {id} na fila: \"{query}\"",
+    "serve.resending": "📥 Reenvio do job {id} na fila",
+    "library.saved": "📚 Salvo na biblioteca: {id} ({words} palavras)",
+
+    "queue.itemDone": "⏭️  Fila [{n}/{total}] já concluída: \"{query}\"",
+    "queue.item": "📋 Fila [{n}/{total}] — {model}",
+    "queue.itemError": "❌ Erro no item {n}: {error}",
+    "queue.stoppedForQuota": "⏸️  Fila interrompida: limite de uso do Deep Research atingido; rode de novo com --resume mais tarde.",
+    "queue.stoppedForLogin": "🔑 Fila interrompida: é preciso fazer login de novo (drk login) antes dos próximos itens.",
+    "queue.summary": "📊 Resumo da fila",
+    "queue.statusDone": "✅ ok",
+    "queue.statusFailed": "❌ falhou",
+    "queue.statusPending": "⏸️  pendente",
+    "queue.header": "#|Status|Modelo|Tempo|Query",
+    "queue.invalid": "❌ Fila inválida: {error}",
+    "queue.file": "📋 Fila: {file}",
+    "queue.counts": "{items} itens, {remaining} a executar.",
+    "queue.state": "Estado: {path}",
+    "queue.howToRetry": "Para repetir os itens que falharam: drk queue {file} --resume",
+
+    "send.sending": "📧 Enviando {file}",
+    "send.done": "🎉 Enviado: {names}.",
+
+    "login.open": "🔑 Modo login — browser aberto.",
+    "login.instructions": "Faça login no Google (Gemini, Docs, Gmail), Amazon e Claude.",
+    "login.ctrlC": "Pressione Ctrl+C quando terminar.",
+
+    "doctor.checking": "🩺 Verificando seletores (registro {version})",
+    "doctor.uiLocale": "Idioma da interface: {locale}",
+    "doctor.autoLocale": "automático (<html lang> de cada página)",
+    "doctor.skipped": "⏭️  {page}: pulado (use {hint})",
+    "doctor.page": "🌐 {page}: {url}",
+    "doctor.header": "|Elemento|Descrição|Seletor",
+    "doctor.missing": "❌ {count} elemento(s) não encontrado(s). Atualize lib/selectors.mjs antes de rodar uma pesquisa.",
+    "doctor.loginHint": "Se a página pediu login, rode: drk login",
+    "doctor.loginRequired": "🔑 Login necessário ({site}): a sessão deste perfil expirou",
+    "doctor.loggedOut": "🔑 {count} página(s) pediram login. Rode: drk login",
+    "doctor.fallbacks": "⚠️  Tudo encontrado, {count} por seletor alternativo (a interface mudou).",
+    "doctor.ok": "✅ Todos os seletores verificados funcionam.",
+};
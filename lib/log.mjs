@@ -0,0 +1,59 @@
+/**
+ * CLI logging shared by drk.mjs and the lib/ modules. `logStep` also emits a
+ * `step-started` event (lib/events.mjs).
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import { t } from "./i18n.mjs";
+import { emit, STEP_NAMES } from "./events.mjs";
+
+export const TOTAL_STEPS = 7;
+
+export const SEPARATOR = "━".repeat(50);
+
+// Where log lines go; the programmatic API (lib/api.mjs) redirects them
+const toConsole = (line) => console.log(line);
+let output = toConsole;
+
+/** Send log lines to `write(line)` instead of the console (null restores it). */
+export function setLogOutput(write) {
+    output = write || toConsole;
+}
+
+// Label of the tab a line comes from, while jobs run side by side
+const labels = new AsyncLocalStorage();
+
+/** Run `fn` with `[label]` after the time of every line it logs. */
+export function withLogLabel(label, fn) {
+    return labels.run(label, fn);
+}
+
+export function ts() {
+    return new Date().toLocaleTimeString("pt-BR");
+}
+
+function prefix() {
+    const label = labels.getStore();
+    return label ? `[DRK ${ts()}] [${label}]` : `[DRK ${ts()}]`;
+}
+
+export function log(msg) {
+    output(`${prefix()} ${msg}`);
+}
+
+export function logStep(step, msg) {
+    output(`${prefix()} [${step}/${TOTAL_STEPS}] ${msg}`);
+    emit("step-started", { step, total: TOTAL_STEPS, name: STEP_NAMES[step - 1], message: msg });
+}
+
+export function logSub(msg) {
+    output(`${prefix()}        ${msg}`);
+}
+
+export function logBanner() {
+    output("");
+    log(SEPARATOR);
+    log(t("banner.title"));
+    log(t("banner.flow"));
+    log(SEPARATOR);
+}
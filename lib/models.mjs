@@ -0,0 +1,34 @@
+/**
+ * Gemini models selectable for a research run, and the names they go by on
+ * the command line and in the config.
+ */
+
+// `id` keys the model in the UI locale packs (lib/ui-locales.mjs), which hold
+// its name and menu test ID in each interface language
+export const MODELS = [
+    { key: "1", id: "flash", label: "⚡ Rápido (Flash)", geminiName: "Rápido" },
+    { key: "2", id: "thinking", label: "🧠 Raciocínio (Thinking)", geminiName: "Raciocínio" },
+    { key: "3", id: "pro", label: "🚀 Pro", geminiName: "Pro" },
+];
+
+export const DEFAULT_MODEL = MODELS[1]; // Raciocínio (Thinking) is the default
+
+// Match by key, name, or alias
+export const MODEL_ALIASES = {
+    "1": MODELS[0], "flash": MODELS[0], "rapido": MODELS[0], "rápido": MODELS[0],
+    "2": MODELS[1], "thinking": MODELS[1], "raciocinio": MODELS[1], "raciocínio": MODELS[1],
+    "3": MODELS[2], "pro": MODELS[2],
+};
+
+/**
+ * Model for a key, name or alias; the default when none is given. Unknown
+ * names throw instead of silently running another model.
+ */
+export function resolveModel(modelArg) {
+    if (!modelArg) return DEFAULT_MODEL;
+    const model = MODEL_ALIASES[modelArg.toLowerCase()];
+    if (!model) {
+        throw new Error(`Modelo desconhecido: "${modelArg}" (use ${Object.keys(MODEL_ALIASES).join(", ")}).`);
+    }
+    return model;
+}
@@ -0,0 +1,68 @@
+/**
+ * The other files rendered from a report next to its EPUB (`--format`):
+ *
+ *   md           Markdown with front matter and footnotes (notes vaults)
+ *   html         standalone page in the legacy DRK1 template, or `htmlTemplate`
+ *   pdf          laid out for 6" e-ink screens
+ *   azw3-ready   EPUB for converting to AZW3 (Calibre, Kindle Previewer)
+ *
+ * "epub" is accepted in the list but made by the pipeline itself, since the
+ * library and the Kindle delivery rely on it.
+ */
+
+import { readFileSync, writeFileSync } from "fs";
+import { resolve } from "path";
+import { writeEpub } from "./epub.mjs";
+import { renderChapters } from "./render/xhtml.mjs";
+import { renderMarkdown } from "./render/markdown.mjs";
+import { renderHtml, EINK_CSS } from "./render/html.mjs";
+import { writePdf } from "./render/pdf.mjs";
+
+const EXTENSIONS = { md: ".md", html: ".html", pdf: ".pdf", "azw3-ready": "-kindle.epub" };
+
+/** The formats of `formats` that `writeOutputs` makes, in a fixed order. */
+export function extraFormats(formats = []) {
+    return Object.keys(EXTENSIONS).filter((format) => formats.includes(format));
+}
+
+/**
+ * Write the extra formats of `doc` into `outDir` as `<name><extension>`.
+ *
+ * @param {object} doc Document tree from `parseReport`.
+ * @param {object} options
+ * @param {string[]} options.formats
+ * @param {string} options.outDir
+ * @param {string} options.name File name without extension.
+ * @param {string} options.title
+ * @param {string} [options.query]
+ * @param {string} [options.url] Gemini conversation, for the Markdown front matter.
+ * @param {string | null} [options.htmlTemplate] Path of a custom HTML template.
+ * @param {object} [options.book] EPUB metadata and cover for "azw3-ready" (lib/epub.mjs `buildEpub`).
+ * @param {(format: string, path: string) => void} [options.onWrite]
+ * @returns {Promise<{ [format: string]: string }>} Path of each file written.
+ */
+export async function writeOutputs(doc, { formats, outDir, name, title, query, url, htmlTemplate = null, book = {}, onWrite = () => { } }) {
+    const outputs = {};
+    const template = htmlTemplate ? readFileSync(htmlTemplate, "utf-8") : undefined;
+
+    for (const format of extraFormats(formats)) {
+        const path = resolve(outDir, `${name}${EXTENSIONS[format]}`);
+        switch (format) {
+            case "md":
+                writeFileSync(path, renderMarkdown(doc, { title, query, url }));
+                break;
+            case "html":
+                writeFileSync(path, renderHtml(doc, { title, query, template }));
+                break;
+            case "pdf":
+                await writePdf(path, renderHtml(doc, { title, query, css: EINK_CSS }));
+                break;
+            case "azw3-ready":
+                writeEpub(path, { ...book, title, description: query, chapters: renderChapters(doc, { introTitle: title }), kindle: true });
+                break;
+        }
+        outputs[format] = path;
+        onWrite(format, path);
+    }
+    return outputs;
+}
@@ -0,0 +1,603 @@
+/**
+ * The research pipeline: Gemini → EPUB → Kindle as seven resumable steps
+ * over a job record (lib/jobs.mjs). Shared by the CLI (drk.mjs), `drk serve`
+ * and the programmatic API (lib/api.mjs).
+ *
+ *   1 browser   2 gemini   3 model   4 research   5 export   6 epub   7 kindle
+ *
+ * Progress is persisted after every step, logged, and emitted as events
+ * (lib/events.mjs) tagged with the job id.
+ *
+ * A follow-up job (`followups`) asks its last question in the conversation of
+ * an earlier one as its research step, and its EPUB has the report plus the
+ * answers to every question asked there.
+ *
+ * Several jobs can run at once, each in its own tab (`runInTabs`): their
+ * research (steps 2–4) overlaps, while steps 5–7 take turns, since downloads
+ * and file choosers of different tabs would collide.
+ */
+
+import { resolve } from "path";
+import { existsSync, readFileSync, writeFileSync } from "fs";
+import { TOTAL_STEPS, log, logStep, logSub, withLogLabel } from "./log.mjs";
+import { t, detectLanguage } from "./i18n.mjs";
+import { writeEpub, epubHeadline, rewriteEpubMetadata } from "./epub.mjs";
+import { coverSvg, renderCover } from "./cover.mjs";
+import { parseReport, blocksText, appendFollowups } from "./document.mjs";
+import { renderChapters } from "./render/xhtml.mjs";
+import { launchPersistent, pause } from "./browser.mjs";
+import { isLoginRequired, loginRequiredError } from "./session.mjs";
+import {
+    navigateToGemini, openConversation, selectModel, enableDeepResearch, submitQuery,
+    readResearchPlan, refineResearchPlan, confirmResearchStart, waitForResearch, extractReport, RESEARCH_ERRORS,
+    submitFollowup, waitForFollowupAnswer, extractFollowups,
+} from "./gemini.mjs";
+import { exportToGoogleDocs, downloadEpubFromDocs } from "./docs.mjs";
+import { createDeliveryBackend, resolveDestinations } from "./delivery.mjs";
+import { extraFormats, writeOutputs } from "./outputs.mjs";
+import { createJobStore } from "./jobs.mjs";
+import { createLibrary } from "./library.mjs";
+import { resolveModel } from "./models.mjs";
+import { emit, withEventContext, STEP_NAMES } from "./events.mjs";
+
+// ─── EPUB ──────────────────────────────────────────────────────────────────────
+
+function sanitizeFilename(text) {
+    return text
+        .replace(/[^\w\sÀ-ú-]/g, "")
+        .replace(/\s+/g, "-")
+        .substring(0, 100)
+        .replace(/-+$/, "");
+}
+
+// Books are tagged with DRK's interface language (`lang`, else the system's);
+// the report's own language is not detected
+const BOOK_LANGUAGES = { pt: "pt-BR", en: "en" };
+
+/**
+ * What the cover of the job's book shows. `model` is null for jobs that did
+ * not run a research (exported conversations), whose model is unknown.
+ */
+export function coverOptions(job, title, { series }, date = new Date()) {
+    const model = job.model ? resolveModel(job.model).label.replace(/^\S+\s+/u, "") : null;
+    return { title, model, date, series };
+}
+
+function saveNativeEpub(doc, book, outDir) {
+    const chapters = renderChapters(doc, { introTitle: book.title });
+    const filename = `${sanitizeFilename(book.title) || "Research-Report"}.epub`;
+    const savePath = resolve(outDir, filename);
+
+    writeEpub(savePath, { ...book, chapters });
+
+    logSub(t("epub.headline", { headline: book.title }));
+    logSub(t("epub.generated", { chapters: chapters.length }));
+    logSub(t("epub.path", { path: savePath }));
+    return savePath;
+}
+
+// The Docs export keeps whatever title Docs gave it and no cover
+function rewriteDocsEpub(path, book) {
+    logSub(t("epub.rewriting"));
+    writeFileSync(path, rewriteEpubMetadata(readFileSync(path), book));
+    logSub(t("epub.headline", { headline: book.title }));
+}
+
+// ─── Concurrency ───────────────────────────────────────────────────────────────
+
+/** A function that runs the tasks given to it one at a time, in call order. */
+function createSerialQueue() {
+    let tail = Promise.resolve();
+    return (task) => {
+        const run = tail.then(task);
+        tail = run.catch(() => { });
+        return run;
+    };
+}
+
+// ─── Results ───────────────────────────────────────────────────────────────────
+
+/** Destinations of a `deliveries` map that were not sent. */
+export function failedDeliveries(deliveries) {
+    return Object.keys(deliveries).filter((name) => deliveries[name] !== "sent");
+}
+
+/** The outcome of a job for programs: the `result` event. */
+export function jobResult(job) {
+    return {
+        ok: job.status === "done",
+        jobId: job.id,
+        status: job.status,
+        step: job.step,
+        query: job.query,
+        title: job.title || null,
+        geminiUrl: job.geminiUrl,
+        docsUrl: job.docsUrl,
+        epubPath: job.epubPath,
+        outputs: job.outputs || {},
+        deliveries: job.deliveries,
+        error: job.error,
+    };
+}
+
+// ─── Pipeline ──────────────────────────────────────────────────────────────────
+
+/**
+ * @param {object} config Effective settings (lib/config.mjs `loadConfig`).
+ */
+export function createPipeline(config) {
+    const jobs = createJobStore(resolve(config.dataDir, "jobs"));
+    const library = createLibrary(resolve(config.dataDir, "library"));
+
+    // Profile of the main browser; deliveries to other accounts open their own
+    let activeProfile = null;
+    // Exports and deliveries (steps 5–7) of concurrent jobs
+    const exclusive = createSerialQueue();
+
+    function tracePathFor(name) {
+        return resolve(config.dataDir, "traces", `${name}.zip`);
+    }
+
+    /**
+     * Launch the main browser (headless with `--headless`). With `--trace`, a
+     * Playwright trace named `traceName` is kept under <dataDir>/traces; the
+     * returned `close()` saves it.
+     */
+    async function launchBrowser(profilePath = config.profileDir, { traceName = "drk", headless = config.headless } = {}) {
+        logStep(1, t("browser.launching"));
+        logSub(t("browser.profile", { path: profilePath }));
+        if (headless) logSub(t("browser.headless"));
+
+        const tracePath = config.trace ? tracePathFor(traceName) : null;
+        const browser = await launchPersistent(profilePath, { headless, tracePath });
+        activeProfile = profilePath;
+
+        logSub(t("browser.ready"));
+        return {
+            ...browser,
+            close: async () => {
+                await browser.close();
+                if (tracePath) log(t("browser.traceSaved", { path: tracePath }));
+            },
+        };
+    }
+
+    /**
+     * Open a second browser on another account's profile (e.g. a different
+     * Amazon login for a delivery destination).
+     */
+    async function launchProfileBrowser(profilePath) {
+        logSub(t("browser.openingProfile", { path: profilePath }));
+        return launchPersistent(profilePath, { headless: config.headless });
+    }
+
+    /** Persist that `job` finished `step` and emit `step-finished`. */
+    function completeStep(job, step, signal) {
+        jobs.completeStep(job, step);
+        emit("step-finished", { step, total: TOTAL_STEPS, name: STEP_NAMES[step - 1] });
+        signal?.throwIfAborted();
+    }
+
+    /** The cover for `title`: a JPEG, or the SVG when no browser launches. */
+    async function makeCover(options) {
+        try {
+            return await renderCover(options);
+        } catch (err) {
+            logSub(t("epub.coverSvg", { error: err.message.split("\n")[0] }));
+            return { data: coverSvg(options), mediaType: "image/svg+xml" };
+        }
+    }
+
+    /** OPF metadata (and cover) of the job's books; see lib/epub.mjs `buildEpub`. */
+    async function bookMetadata(job, title) {
+        const date = new Date();
+        return {
+            title,
+            author: "Gemini Deep Research",
+            description: job.query,
+            date,
+            language: BOOK_LANGUAGES[config.lang || detectLanguage()],
+            series: config.series,
+            cover: config.cover ? await makeCover(coverOptions(job, title, config, date)) : null,
+        };
+    }
+
+    /**
+     * Produce the EPUB for the job's research, either natively from the Gemini
+     * DOM or through the Google Docs export (fallback engine). Steps 5 and 6.
+     * Returns the report's title and the book metadata with it.
+     */
+    async function produceEpub(page, job, signal) {
+        const outDir = library.entryDir(job.id);
+
+        if (job.epubEngine === "docs") {
+            let docsPage;
+            let doc = null;
+            if (job.step >= 5 && job.docsUrl) {
+                logStep(5, t("docs.reopening"));
+                docsPage = await page.context().newPage();
+                await docsPage.goto(job.docsUrl, { waitUntil: "domcontentloaded", timeout: 30_000 });
+                await pause(docsPage, 3000);
+            } else {
+                await openConversation(page, job.geminiUrl);
+                // Keep the report text for the library search index
+                doc = parseReport(await page.content());
+                docsPage = await exportToGoogleDocs(page);
+                jobs.update(job, { docsUrl: docsPage.url() });
+                emit("artifact", { kind: "google-doc", url: job.docsUrl });
+                completeStep(job, 5, signal);
+            }
+            const epubPath = await downloadEpubFromDocs(docsPage, outDir);
+            // Close the Docs tab
+            await docsPage.close();
+
+            const title = (doc && doc.title) || epubHeadline(readFileSync(epubPath)) || job.query || "Research-Report";
+            const book = await bookMetadata(job, title);
+            rewriteDocsEpub(epubPath, book);
+            return { epubPath, doc, book };
+        }
+
+        await openConversation(page, job.geminiUrl);
+        let doc = await extractReport(page);
+        if (job.followups?.length > 0) doc = appendFollowups(doc, await extractFollowups(page, job.followups));
+        completeStep(job, 5, signal);
+
+        logStep(6, t("epub.generating"));
+        const book = await bookMetadata(job, doc.title || job.query || "Research-Report");
+        return { epubPath: saveNativeEpub(doc, book, outDir), doc, book };
+    }
+
+    /**
+     * Write the job's other formats (`--format`) next to the EPUB. Returns the
+     * document, which the Docs engine may have had to read again.
+     */
+    async function renderOutputs(page, job, doc, book) {
+        const formats = extraFormats(job.formats);
+        if (formats.length === 0) return doc;
+        if (!doc) {
+            logSub(t("output.rereading"));
+            await openConversation(page, job.geminiUrl);
+            doc = await extractReport(page);
+        }
+
+        const outputs = await writeOutputs(doc, {
+            formats,
+            outDir: library.entryDir(job.id),
+            name: sanitizeFilename(book.title) || "Research-Report",
+            title: book.title,
+            query: job.query,
+            url: job.geminiUrl,
+            htmlTemplate: config.htmlTemplate,
+            book,
+            onWrite: (format, path) => {
+                logSub(t("output.written", { format, path }));
+                emit("artifact", { kind: format, path });
+            },
+        });
+        jobs.update(job, { outputs });
+        return doc;
+    }
+
+    /**
+     * Deliver `file` to each destination not yet marked "sent" in `deliveries`.
+     * All destinations are tried, so one bad destination does not block the
+     * rest; `onProgress` gets the updated map after each one.
+     *
+     * Browser deliveries use `page` unless the destination has its own profile
+     * (another Amazon account); without a `page`, they open the configured one.
+     * With `signal`, no further destination is tried once it is aborted.
+     *
+     * @returns {Promise<{ [name: string]: "sent" | "failed" | "login-required" }>}
+     */
+    async function deliverToDestinations(page, file, { title, destinations, previous = {}, onProgress = () => { }, signal }) {
+        const deliveries = { ...previous };
+
+        for (const destination of destinations) {
+            signal?.throwIfAborted();
+            if (deliveries[destination.name] === "sent") {
+                logSub(t("delivery.alreadySent", { name: destination.name }));
+                continue;
+            }
+            const backend = createDeliveryBackend(destination);
+            logSub(t("delivery.destination", { name: destination.name, label: backend.label }));
+
+            let other = null;
+            try {
+                let target = page;
+                const profile = destination.profile || (page ? null : config.profileDir);
+                if (backend.needsBrowser && profile && profile !== activeProfile) {
+                    other = await launchProfileBrowser(profile);
+                    target = other.page;
+                }
+                await backend.deliver(file, { page: target, title });
+                deliveries[destination.name] = "sent";
+            } catch (err) {
+                deliveries[destination.name] = isLoginRequired(err) ? "login-required" : "failed";
+                logSub(t("delivery.failedOne", { name: destination.name, error: err.message }));
+            } finally {
+                if (other) await other.close();
+            }
+            emit("delivery", { destination: destination.name, status: deliveries[destination.name] });
+            onProgress(deliveries);
+        }
+        return deliveries;
+    }
+
+    /**
+     * Step 7: deliver the job's EPUB to its destinations, remembering which
+     * succeeded so a resumed job only retries the failed ones. With `signal`,
+     * stops before the next destination once it is aborted.
+     */
+    async function sendToKindle(page, job, signal) {
+        logStep(7, t("delivery.sending"));
+        const deliveries = await deliverToDestinations(page, job.epubPath, {
+            title: job.title || job.query,
+            destinations: resolveDestinations(config, job.destinations, { delivery: job.delivery }),
+            previous: job.deliveries,
+            onProgress: (current) => jobs.update(job, { deliveries: current }),
+            signal,
+        });
+
+        const failed = failedDeliveries(deliveries);
+        if (failed.length > 0 && failed.every((name) => deliveries[name] === "login-required")) {
+            throw loginRequiredError("Amazon");
+        }
+        if (failed.length > 0) {
+            throw new Error(`Falha na entrega para: ${failed.join(", ")}`);
+        }
+    }
+
+    function addToLibrary(job, doc) {
+        const text = doc ? blocksText(doc.children) : "";
+        const entry = library.add({
+            id: job.id,
+            jobId: job.id,
+            title: job.title || job.query || "Research-Report",
+            query: job.query,
+            model: job.model ? resolveModel(job.model).geminiName : null,
+            createdAt: job.createdAt,
+            completedAt: new Date().toISOString(),
+            geminiUrl: job.geminiUrl,
+            docsUrl: job.docsUrl,
+            epubPath: job.epubPath,
+            outputs: job.outputs || {},
+        }, { text, doc });
+        logSub(t("library.saved", { id: entry.id, words: entry.wordCount }));
+    }
+
+    /**
+     * Between the query and the start of the run: send the job's standing
+     * `planInstructions`, then show the plan and let `onPlan` accept, change
+     * or abort it. Without a plan on the page, the run goes on unreviewed.
+     */
+    async function reviewPlan(page, job, onPlan) {
+        let plan = await readResearchPlan(page);
+        if (!plan) {
+            logSub(t("plan.missing"));
+            return;
+        }
+        if (job.planInstructions) plan = await refineResearchPlan(page, job.planInstructions);
+
+        for (; ;) {
+            logSub(t("plan.header"));
+            plan.steps.forEach((step, i) => logSub(`   ${i + 1}. ${step}`));
+            emit("plan", { steps: plan.steps });
+            if (!onPlan) return;
+
+            const decision = await onPlan(plan);
+            if (decision.action === "accept") return;
+            if (decision.action === "abort") {
+                const err = new Error("Pesquisa abortada na revisão do plano.");
+                err.code = "plan-aborted";
+                throw err;
+            }
+            plan = await refineResearchPlan(page, decision.message);
+        }
+    }
+
+    /** Step 4 of a follow-up job: ask its question and wait for the answer. */
+    async function askFollowup(page, job, signal) {
+        const question = job.followups.at(-1);
+        await openConversation(page, job.geminiUrl);
+        // A resumed job may have asked already
+        if (!job.followupSent) {
+            await submitFollowup(page, question);
+            jobs.update(job, { followupSent: true });
+        }
+        await waitForFollowupAnswer(page, question, { maxPollTimeMs: config.maxPollTimeMs, signal });
+    }
+
+    async function runSteps(page, job, { signal, onPlan }) {
+        completeStep(job, 1, signal);
+
+        if (job.step < 4 && job.followups?.length > 0) {
+            await askFollowup(page, job, signal);
+            completeStep(job, 4, signal);
+        } else if (job.step < 4) {
+            if (job.geminiUrl) {
+                // The query was already submitted: reopen the conversation and keep waiting
+                await openConversation(page, job.geminiUrl);
+            } else {
+                await navigateToGemini(page, config.geminiUrl);
+                completeStep(job, 2, signal);
+                await selectModel(page, resolveModel(job.model));
+                completeStep(job, 3, signal);
+                await enableDeepResearch(page);
+                await submitQuery(page, job.query);
+                if (job.planInstructions || onPlan) await reviewPlan(page, job, onPlan);
+                await confirmResearchStart(page);
+                jobs.update(job, { geminiUrl: page.url() });
+                emit("artifact", { kind: "gemini-conversation", url: job.geminiUrl });
+            }
+            try {
+                await waitForResearch(page, { pollIntervalMs: config.pollIntervalMs, maxPollTimeMs: config.maxPollTimeMs, signal });
+            } catch (err) {
+                // This conversation will not finish: resuming starts the research over
+                if (err.code === RESEARCH_ERRORS.failed || err.code === RESEARCH_ERRORS["quota-exceeded"]) {
+                    jobs.update(job, { geminiUrl: null });
+                }
+                throw err;
+            }
+            completeStep(job, 4, signal);
+        }
+
+        await exclusive(() => exportAndDeliver(page, job, signal));
+
+        jobs.update(job, { status: "done", error: null });
+        return job.epubPath;
+    }
+
+    // Steps 5–7; one job at a time
+    async function exportAndDeliver(page, job, signal) {
+        signal?.throwIfAborted();
+        if (job.step < 7) await page.bringToFront();
+
+        if (job.step < 6) {
+            // Build the EPUB (native by default, Google Docs with --epub-engine docs)
+            const produced = await produceEpub(page, job, signal);
+            jobs.update(job, { epubPath: produced.epubPath, title: produced.book.title });
+            emit("artifact", { kind: "epub", path: produced.epubPath });
+            const doc = await renderOutputs(page, job, produced.doc, produced.book);
+            completeStep(job, 6, signal);
+            addToLibrary(job, doc);
+        }
+
+        // Send to Kindle
+        if (job.step < 7) {
+            if (!job.skipKindle) {
+                await sendToKindle(page, job, signal);
+            } else {
+                logStep(7, t("delivery.skipped"));
+            }
+            completeStep(job, 7);
+            library.setKindleStatus(job.id, job.skipKindle ? "skipped" : "sent", job.deliveries);
+        }
+    }
+
+    return {
+        config,
+        jobs,
+        library,
+        tracePathFor,
+        launchBrowser,
+        deliverToDestinations,
+        sendToKindle,
+
+        /**
+         * Run a job end to end in `page`, skipping the steps it already
+         * completed, and return the EPUB path. The browser must already be
+         * launched. With `signal`, stops between steps (and between status
+         * polls) once it is aborted, rejecting with its reason.
+         *
+         * Jobs may run concurrently in different tabs; their exports and
+         * deliveries then wait for each other.
+         *
+         * With `onPlan`, each research plan Gemini proposes is passed to it
+         * before the run starts; it resolves to `{ action: "accept" }`,
+         * `{ action: "edit", message }` (sent to Gemini, and the revised plan
+         * comes back) or `{ action: "abort" }`.
+         *
+         * @param {import("playwright").Page} page
+         * @param {object} job
+         * @param {{ signal?: AbortSignal, onPlan?: (plan: { steps: string[] }) => Promise<{ action: "accept" | "edit" | "abort", message?: string }> }} [options]
+         */
+        async runResearch(page, job, { signal, onPlan } = {}) {
+            return withEventContext({ jobId: job.id }, async () => {
+                signal?.throwIfAborted();
+                return runSteps(page, job, { signal, onPlan });
+            });
+        },
+
+        /**
+         * Call `run(item, page, stop)` for each of `items`, up to `concurrency`
+         * at a time, each worker in its own tab of `browser` (the first reuses
+         * `browser.page`). `run` should handle its own errors; after `stop()`,
+         * no further item starts. With more than one tab, log lines are
+         * labeled with the tab they come from.
+         *
+         * @param {{ context: import("playwright").BrowserContext, page: import("playwright").Page }} browser
+         * @param {any[]} items
+         * @param {(item: any, page: import("playwright").Page, stop: () => void) => Promise<void>} run
+         * @param {{ concurrency?: number }} [options] Defaults to the `concurrency` setting.
+         */
+        async runInTabs(browser, items, run, { concurrency = config.concurrency } = {}) {
+            const pending = [...items];
+            const tabs = Math.min(concurrency, pending.length);
+            let stopped = false;
+            const stop = () => { stopped = true; };
+            if (tabs > 1) log(t("tabs.parallel", { count: tabs }));
+
+            async function worker(index) {
+                let page = null;
+                try {
+                    while (!stopped && pending.length > 0) {
+                        const item = pending.shift();
+                        page ??= index === 0 ? browser.page : await browser.context.newPage();
+                        await run(item, page, stop);
+                    }
+                } finally {
+                    if (page && page !== browser.page) await page.close().catch(() => { });
+                }
+            }
+
+            const workers = Array.from({ length: tabs }, (_, index) => (tabs > 1
+                ? withLogLabel(t("tabs.label", { n: index + 1 }), () => worker(index))
+                : worker(index)));
+            const failure = (await Promise.allSettled(workers)).find((r) => r.status === "rejected");
+            if (failure) throw failure.reason;
+        },
+
+        /**
+         * Fields for a job asking `question` in the conversation of an earlier
+         * job (id, or "last") or at a Gemini URL. It carries the questions
+         * already asked there by DRK, so its EPUB keeps every answer, and
+         * always uses the native EPUB engine (the Docs export has only the
+         * report).
+         */
+        followupFields(target, question) {
+            let parent;
+            if (/^https:\/\/gemini\.google\.com\//.test(target)) {
+                parent = jobs.list().find((job) => job.geminiUrl === target) || null;
+            } else {
+                parent = jobs.load((target === "last" ? jobs.latestId() : target) || "(nenhum)");
+                if (!parent.geminiUrl) throw new Error(`O job ${parent.id} não tem conversa no Gemini.`);
+            }
+            return {
+                query: parent ? parent.query : "",
+                model: parent ? parent.model : undefined,
+                geminiUrl: parent ? parent.geminiUrl : target,
+                // The follow-up is this job's research step
+                step: 3,
+                followups: [...(parent?.followups || []), question],
+                followupOf: parent ? parent.id : null,
+                epubEngine: "native",
+            };
+        },
+
+        /** Send a finished job's EPUB to its destinations again. */
+        async resendJob(page, job) {
+            if (!job.epubPath || !existsSync(job.epubPath)) {
+                throw new Error(`O job ${job.id} não tem EPUB para enviar.`);
+            }
+            jobs.update(job, { skipKindle: false, deliveries: {}, status: "running", error: null });
+            await sendToKindle(page, job);
+            jobs.update(job, { step: TOTAL_STEPS, status: "done" });
+            library.setKindleStatus(job.id, "sent", job.deliveries);
+        },
+
+        /** Record why `job` stopped (it stays resumable) and log how to resume. */
+        failJob(job, err) {
+            const status = isLoginRequired(err) ? "login-required"
+                : err.code === RESEARCH_ERRORS["quota-exceeded"] ? "quota-exceeded"
+                    : "failed";
+            jobs.update(job, { status, error: err.message });
+            emit("error", { jobId: job.id, message: err.message, code: err.code || null, step: job.step + 1 });
+            // Failing after the EPUB step means the Kindle delivery failed
+            if (job.step === 6) library.setKindleStatus(job.id, status, job.deliveries);
+            logSub(t("job.stoppedAt", { id: job.id, step: job.step + 1, total: TOTAL_STEPS }));
+            if (status === "login-required") logSub(t("job.loginRequired", { site: err.site }));
+            if (status === "quota-exceeded") logSub(t("job.quotaExceeded"));
+            logSub(t("job.howToResume", { id: job.id }));
+        },
+    };
+}
@@ -0,0 +1,134 @@
+/**
+ * Batch research queue.
+ *
+ * Loads queries from a text, JSON or YAML file and tracks per-item results in
+ * a sidecar state file (`<queue>.state.json`) so failed or unfinished items
+ * can be retried later with `--resume`.
+ *
+ * Text format — one query per line, `#` comments, optional leading flags:
+ *
+ *   Quais os avanços recentes em CRISPR?
+ *   --model pro --no-kindle História da arquitetura medieval
+ *
+ * JSON / YAML format — a list of strings or `{ query, model?, noKindle? }`.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from "fs";
+import { extname } from "path";
+import { parse as parseYaml } from "yaml";
+import { resolveModel } from "./models.mjs";
+
+// ─── Loading ───────────────────────────────────────────────────────────────────
+
+function parseTextLine(line) {
+    const item = { query: "", model: undefined, noKindle: false };
+    const tokens = line.trim().split(/\s+/);
+    while (tokens.length > 0 && tokens[0].startsWith("--")) {
+        const flag = tokens.shift();
+        if (flag === "--model" && tokens.length > 0) {
+            item.model = tokens.shift();
+        } else if (flag === "--no-kindle") {
+            item.noKindle = true;
+        } else {
+            throw new Error(`Opção não suportada na fila: ${flag}`);
+        }
+    }
+    item.query = tokens.join(" ");
+    return item;
+}
+
+function normalizeEntry(entry, position) {
+    if (typeof entry === "string") {
+        return { query: entry.trim(), model: undefined, noKindle: false };
+    }
+    if (!entry || typeof entry !== "object" || typeof entry.query !== "string") {
+        throw new Error(`Item ${position} da fila sem "query".`);
+    }
+    return {
+        query: entry.query.trim(),
+        model: entry.model === undefined ? undefined : String(entry.model),
+        noKindle: entry.noKindle === true,
+    };
+}
+
+/**
+ * Read a queue file.
+ *
+ * @param {string} file
+ * @returns {{ query: string, model?: string, noKindle: boolean }[]}
+ */
+export function loadQueue(file) {
+    const raw = readFileSync(file, "utf-8");
+    const ext = extname(file).toLowerCase();
+    let items;
+
+    if (ext === ".json" || ext === ".yaml" || ext === ".yml") {
+        const data = ext === ".json" ? JSON.parse(raw) : parseYaml(raw);
+        if (!Array.isArray(data)) {
+            throw new Error(`Fila ${file}: esperado uma lista de queries.`);
+        }
+        items = data.map((entry, i) => ({ ...normalizeEntry(entry, i + 1), where: `item ${i + 1}` }));
+    } else {
+        items = raw
+            .split(/\r?\n/)
+            .map((line, i) => ({ line, where: `linha ${i + 1}` }))
+            .filter(({ line }) => line.trim() && !line.trim().startsWith("#"))
+            .map(({ line, where }) => {
+                try {
+                    return { ...parseTextLine(line), where };
+                } catch (err) {
+                    throw new Error(`Fila ${file}, ${where}: ${err.message}`);
+                }
+            });
+    }
+
+    // Check every item up front: a bad one found mid-run would abort the batch
+    return items.map(({ where, ...item }) => {
+        if (!item.query) throw new Error(`Fila ${file}, ${where}: item vazio.`);
+        try {
+            resolveModel(item.model);
+        } catch (err) {
+            throw new Error(`Fila ${file}, ${where}: ${err.message}`);
+        }
+        return item;
+    });
+}
+
+// ─── State ─────────────────────────────────────────────────────────────────────
+
+export function queueStatePath(file) {
+    return `${file}.state.json`;
+}
+
+function itemKey(item) {
+    return JSON.stringify([item.query, item.model || null, item.noKindle]);
+}
+
+/**
+ * Build the run state for a queue. With `resume`, items already marked
+ * "done" in a previous run keep their result and are skipped; the others keep
+ * their `jobId` so their job picks up where it stopped.
+ */
+export function initQueueState(file, items, { resume = false } = {}) {
+    const previous = new Map();
+    const statePath = queueStatePath(file);
+    if (resume && existsSync(statePath)) {
+        const saved = JSON.parse(readFileSync(statePath, "utf-8"));
+        for (const entry of saved.items || []) previous.set(itemKey(entry), entry);
+    }
+
+    return {
+        file,
+        startedAt: new Date().toISOString(),
+        items: items.map((item) => {
+            const prev = previous.get(itemKey(item));
+            if (!prev) return { ...item, status: "pending" };
+            // Keep the previous result (and job id, so the job itself can resume)
+            return prev.status === "done" ? prev : { ...prev, status: "pending" };
+        }),
+    };
+}
+
+export function saveQueueState(state) {
+    writeFileSync(queueStatePath(state.file), JSON.stringify(state, null, 2));
+}
@@ -0,0 +1,119 @@
+/**
+ * Standalone HTML page for a report (see lib/document.mjs), in the template
+ * of legacy/DRK1/template.html. Also the source of the PDF (lib/render/pdf.mjs),
+ * with the e-ink stylesheet below added.
+ *
+ * Custom templates (`htmlTemplate` setting) are HTML files with the same
+ * placeholders: {{TITLE}}, {{DATE}} and {{CONTENT}} (plus {{QUERY}}).
+ */
+
+import { inlineText } from "../document.mjs";
+import { escapeXml, formatAccessed, renderBlocks } from "./xhtml.mjs";
+
+export const HTML_TEMPLATE = `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>{{TITLE}}</title>
+  <style>
+    body { font-family: Georgia, "Times New Roman", serif; line-height: 1.8; max-width: 800px; margin: 0 auto; padding: 24px; color: #1a1a1a; }
+    h1 { font-size: 1.8em; color: #2c3e50; border-bottom: 2px solid #3498db; padding-bottom: 8px; margin-top: 1.5em; }
+    h2 { font-size: 1.4em; color: #34495e; margin-top: 1.4em; }
+    h3 { font-size: 1.2em; color: #465a6e; margin-top: 1.2em; }
+    p { margin: 0.8em 0; text-align: justify; }
+    ul, ol { margin: 0.6em 0; padding-left: 1.8em; }
+    li { margin: 0.3em 0; }
+    blockquote { border-left: 4px solid #3498db; margin: 1em 0; padding: 0.5em 1em; background: #f8f9fa; color: #555; font-style: italic; }
+    pre { white-space: pre-wrap; word-wrap: break-word; background: #f4f4f4; padding: 12px; border-radius: 6px; border: 1px solid #ddd; font-size: 0.9em; }
+    code { background: #f0f0f0; padding: 2px 5px; border-radius: 3px; font-size: 0.9em; }
+    pre code { background: none; padding: 0; }
+    table { width: 100%; border-collapse: collapse; margin: 1em 0; }
+    th, td { border: 1px solid #ccc; padding: 8px 12px; text-align: left; }
+    th { background: #f0f4f8; font-weight: bold; }
+    tr:nth-child(even) { background: #fafafa; }
+    a { color: #2980b9; text-decoration: underline; }
+    hr { border: none; border-top: 1px solid #ddd; margin: 2em 0; }
+    sup { font-size: 0.75em; }
+    .drk-header { text-align: center; margin-bottom: 2em; padding-bottom: 1em; border-bottom: 3px solid #2c3e50; }
+    .drk-header h1 { border: none; color: #2c3e50; font-size: 2em; margin-bottom: 0.2em; }
+    .drk-header .subtitle { color: #7f8c8d; font-size: 0.9em; }
+    .sources li { margin: 0.6em 0; word-break: break-word; }
+    .source-domain { color: #7f8c8d; }
+  </style>
+</head>
+<body>
+  <div class="drk-header">
+    <h1>{{TITLE}}</h1>
+    <p class="subtitle">Gerado pelo Gemini Deep Research · {{DATE}}</p>
+  </div>
+  {{CONTENT}}
+</body>
+</html>
+`;
+
+// A 6" e-ink screen (Kindle, Kobo) is about 90 × 122 mm: one PDF page per
+// screen, black on white, text large enough not to need zooming.
+export const EINK_CSS = `
+@page { size: 90mm 122mm; margin: 5mm 4mm; }
+html, body { background: #fff; }
+body { max-width: none; margin: 0; padding: 0; font-size: 10pt; line-height: 1.45; color: #000; }
+h1, h2, h3, .drk-header h1 { color: #000; border-color: #000; break-after: avoid; }
+h1, .drk-header h1 { font-size: 1.5em; }
+h2 { font-size: 1.25em; }
+p { text-align: left; hyphens: auto; }
+a { color: #000; }
+blockquote, pre, code, th, tr:nth-child(even) { background: none; color: #000; }
+blockquote { border-color: #000; }
+table { font-size: 0.85em; }
+th, td { padding: 3px 4px; border-color: #000; }
+tr, pre, blockquote { break-inside: avoid; }
+.drk-header { border-color: #000; }
+.drk-header .subtitle, .source-domain { color: #333; }
+`;
+
+function renderSources(sources) {
+    const items = sources.map((s) => {
+        const accessed = s.accessed ? ` Acessado em ${escapeXml(formatAccessed(s.accessed))}.` : "";
+        return `<li id="source-${s.index}" value="${s.index}"><a href="${escapeXml(s.url)}">${escapeXml(s.title)}</a>. <span class="source-domain">${escapeXml(s.domain)}</span>.${accessed}</li>`;
+    });
+    return `<h2>Fontes</h2>\n<ol class="sources">\n${items.join("\n")}\n</ol>`;
+}
+
+function fill(template, values) {
+    return template.replace(/\{\{(TITLE|DATE|CONTENT|QUERY)\}\}/g, (_, name) => values[name]);
+}
+
+/**
+ * Render a whole report as an HTML page.
+ *
+ * @param {object} doc Document tree from `parseReport`.
+ * @param {{ title?: string, query?: string, date?: Date, template?: string, css?: string }} [options]
+ *        `css` is added after the template's own styles.
+ * @returns {string}
+ */
+export function renderHtml(doc, options = {}) {
+    const title = options.title || doc.title || "Research-Report";
+    const sourceIndexes = new Set(doc.sources.map((s) => s.index));
+    const ctx = {
+        citation: (index) => (sourceIndexes.has(index) ? `<sup><a href="#source-${index}">[${index}]</a></sup>` : null),
+    };
+
+    // The template already shows the title; skip the report's own title heading
+    let nodes = doc.children;
+    const [first] = nodes;
+    if (first?.type === "section" && inlineText(first.heading).trim() === title) {
+        nodes = [...first.children, ...nodes.slice(1)];
+    }
+    let content = renderBlocks(nodes, ctx);
+    if (doc.sources.length > 0) content += `\n${renderSources(doc.sources)}`;
+
+    const date = (options.date || new Date()).toLocaleDateString("pt-BR", { year: "numeric", month: "long", day: "numeric" });
+    const html = fill(options.template || HTML_TEMPLATE, {
+        TITLE: escapeXml(title),
+        DATE: escapeXml(date),
+        QUERY: escapeXml(options.query || ""),
+        CONTENT: content,
+    });
+    return options.css ? html.replace("</head>", `<style>${options.css}</style>\n</head>`) : html;
+}
@@ -0,0 +1,158 @@
+/**
+ * Markdown renderer for the report document model (see lib/document.mjs).
+ *
+ * Produces GitHub-flavored Markdown for notes vaults: YAML front matter with
+ * the report's metadata, pipe tables, and citations as footnotes (`[^3]`)
+ * whose definitions list the sources at the end.
+ */
+
+import { inlineText } from "../document.mjs";
+import { formatAccessed } from "./xhtml.mjs";
+
+// ─── Escaping ──────────────────────────────────────────────────────────────────
+
+function escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]<>|])/g, "\\$1");
+}
+
+// A paragraph that starts like a heading, list item or quote must not become one
+function escapeLineStart(text) {
+    return text
+        .replace(/^(\s*)([#>+-])(?=\s|$)/, "$1\\$2")
+        .replace(/^(\s*)(\d+)([.)])(?=\s|$)/, "$1$2\\$3");
+}
+
+function linkTarget(href) {
+    return href.replace(/[()\s]/g, encodeURIComponent);
+}
+
+function yamlString(text) {
+    return JSON.stringify(String(text));
+}
+
+// ─── Inlines ───────────────────────────────────────────────────────────────────
+
+export function renderInlines(inlines, ctx = {}) {
+    return inlines
+        .map((n) => {
+            switch (n.type) {
+                case "text":
+                    return escapeMarkdown(n.value);
+                case "strong":
+                    return `**${renderInlines(n.children, ctx)}**`;
+                case "emphasis":
+                    return `*${renderInlines(n.children, ctx)}*`;
+                case "code": {
+                    const fence = n.value.includes("`") ? "``" : "`";
+                    return `${fence}${n.value}${fence}`;
+                }
+                case "link":
+                    return `[${renderInlines(n.children, ctx)}](${linkTarget(n.href)})`;
+                case "citation":
+                    return ctx.sourceIndexes && ctx.sourceIndexes.has(n.index) ? `[^${n.index}]` : `[${n.index}]`;
+                case "break":
+                    return "  \n";
+                default:
+                    return "";
+            }
+        })
+        .join("");
+}
+
+// ─── Blocks ────────────────────────────────────────────────────────────────────
+
+function indent(text, prefix) {
+    return text.split("\n").map((line) => (line ? prefix + line : line)).join("\n");
+}
+
+function renderRow(row, ctx) {
+    const cells = row.cells.map((c) => renderInlines(c.children, ctx).replace(/\s*\n\s*/g, " "));
+    return `| ${cells.join(" | ")} |`;
+}
+
+function renderTable(node, ctx) {
+    const [head, ...rest] = node.header.length > 0 ? [...node.header, ...node.rows] : node.rows;
+    if (!head) return "";
+    const columns = Math.max(...[head, ...rest].map((r) => r.cells.length));
+    const pad = (row) => ({ cells: [...row.cells, ...Array(columns - row.cells.length).fill({ children: [] })] });
+    // Markdown tables need a header row; without one, the first row takes its place
+    return [
+        renderRow(pad(head), ctx),
+        `|${" --- |".repeat(columns)}`,
+        ...rest.map((row) => renderRow(pad(row), ctx)),
+    ].join("\n");
+}
+
+export function renderBlock(node, ctx = {}) {
+    switch (node.type) {
+        case "section": {
+            const heading = `${"#".repeat(Math.min(node.level, 6))} ${renderInlines(node.heading, ctx)}`;
+            return [heading, ...node.children.map((c) => renderBlock(c, ctx))].join("\n\n");
+        }
+        case "paragraph":
+            return escapeLineStart(renderInlines(node.children, ctx));
+        case "list":
+            return node.items
+                .map((item, i) => {
+                    const marker = node.ordered ? `${i + 1}.` : "-";
+                    const body = renderBlocks(item.children, ctx);
+                    return `${marker} ${indent(body, " ".repeat(marker.length + 1)).trimStart()}`;
+                })
+                .join("\n");
+        case "table":
+            return renderTable(node, ctx);
+        case "blockquote":
+            return indent(renderBlocks(node.children, ctx), "> ").replace(/^$/gm, ">");
+        case "code": {
+            const fence = node.value.includes("```") ? "````" : "```";
+            return `${fence}\n${node.value}\n${fence}`;
+        }
+        case "rule":
+            return "---";
+        default:
+            return "";
+    }
+}
+
+export function renderBlocks(nodes, ctx = {}) {
+    return nodes.map((n) => renderBlock(n, ctx)).filter(Boolean).join("\n\n");
+}
+
+// ─── Document ──────────────────────────────────────────────────────────────────
+
+function renderFootnotes(sources) {
+    return sources
+        .map((s) => {
+            const accessed = s.accessed ? ` Acessado em ${escapeMarkdown(formatAccessed(s.accessed))}.` : "";
+            return `[^${s.index}]: [${escapeMarkdown(s.title)}](${linkTarget(s.url)}). ${escapeMarkdown(s.domain)}.${accessed}`;
+        })
+        .join("\n");
+}
+
+/**
+ * Render a whole report as Markdown.
+ *
+ * @param {object} doc Document tree from `parseReport`.
+ * @param {{ title?: string, query?: string, url?: string, date?: Date }} [options]
+ *        Front matter fields; `url` is the Gemini conversation.
+ * @returns {string}
+ */
+export function renderMarkdown(doc, options = {}) {
+    const title = options.title || doc.title || "Research-Report";
+    const ctx = { sourceIndexes: new Set(doc.sources.map((s) => s.index)) };
+
+    const frontMatter = [
+        "---",
+        `title: ${yamlString(title)}`,
+        options.query ? `query: ${yamlString(options.query)}` : null,
+        options.url ? `source: ${yamlString(options.url)}` : null,
+        `date: ${(options.date || new Date(doc.extractedAt || Date.now())).toISOString().slice(0, 10)}`,
+        "---",
+    ].filter(Boolean).join("\n");
+
+    // The report usually opens with its own title as a heading
+    const opensWithTitle = doc.children[0]?.type === "section" && inlineText(doc.children[0].heading).trim() === title;
+    const parts = [frontMatter, opensWithTitle ? null : `# ${escapeMarkdown(title)}`, renderBlocks(doc.children, ctx)];
+    if (doc.sources.length > 0) parts.push(renderFootnotes(doc.sources));
+    return `${parts.filter(Boolean).join("\n\n")}\n`;
+}
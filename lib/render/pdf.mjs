@@ -0,0 +1,29 @@
+/**
+ * PDF output, printed by Chromium from the report's HTML page
+ * (lib/render/html.mjs) with the e-ink page size and stylesheet.
+ *
+ * Printing needs a headless browser, so a separate one is launched (without
+ * the profile) whether or not the main browser has a window.
+ */
+
+import { writeFileSync } from "fs";
+import { chromium } from "playwright";
+
+/**
+ * @param {string} path
+ * @param {string} html Complete page; its `@page` rule sets the paper size.
+ * @returns {Promise<string>} `path`
+ */
+export async function writePdf(path, html) {
+    const browser = await chromium.launch({ headless: true });
+    try {
+        const page = await browser.newPage();
+        // Nothing to fetch: the page is self-contained apart from links
+        await page.route("**/*", (route) => route.abort());
+        await page.setContent(html, { waitUntil: "load" });
+        writeFileSync(path, await page.pdf({ preferCSSPageSize: true, printBackground: true }));
+        return path;
+    } finally {
+        await browser.close();
+    }
+}
@@ -0,0 +1,190 @@
+/**
+ * XHTML renderer for the report document model (see lib/document.mjs).
+ *
+ * Produces well-formed XHTML fragments suitable for EPUB content documents.
+ * Render functions take an optional context whose `citation(index)` hook
+ * decides how citation markers are written (plain `[n]` by default).
+ */
+
+import { inlineText } from "../document.mjs";
+
+export const NOTES_CHAPTER_ID = "fontes";
+export const NOTES_TITLE = "Fontes";
+
+export function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+// ─── Inlines ───────────────────────────────────────────────────────────────────
+
+export function renderInlines(inlines, ctx = {}) {
+    return inlines
+        .map((n) => {
+            switch (n.type) {
+                case "text":
+                    return escapeXml(n.value);
+                case "strong":
+                    return `<strong>${renderInlines(n.children, ctx)}</strong>`;
+                case "emphasis":
+                    return `<em>${renderInlines(n.children, ctx)}</em>`;
+                case "code":
+                    return `<code>${escapeXml(n.value)}</code>`;
+                case "link":
+                    return `<a href="${escapeXml(n.href)}">${renderInlines(n.children, ctx)}</a>`;
+                case "citation":
+                    return (ctx.citation && ctx.citation(n.index)) || `<sup>[${n.index}]</sup>`;
+                case "break":
+                    return "<br/>";
+                default:
+                    return "";
+            }
+        })
+        .join("");
+}
+
+// ─── Blocks ────────────────────────────────────────────────────────────────────
+
+function renderCell(cell, ctx) {
+    const tag = cell.header ? "th" : "td";
+    const span = (cell.colspan > 1 ? ` colspan="${cell.colspan}"` : "") + (cell.rowspan > 1 ? ` rowspan="${cell.rowspan}"` : "");
+    return `<${tag}${span}>${renderInlines(cell.children, ctx)}</${tag}>`;
+}
+
+function renderRows(rows, ctx) {
+    return rows.map((r) => `<tr>${r.cells.map((c) => renderCell(c, ctx)).join("")}</tr>`).join("\n");
+}
+
+export function renderHeading(section, ctx = {}) {
+    const level = Math.min(section.level, 6);
+    return `<h${level}>${renderInlines(section.heading, ctx)}</h${level}>`;
+}
+
+export function renderBlock(node, ctx = {}) {
+    switch (node.type) {
+        case "section":
+            return [renderHeading(node, ctx), ...node.children.map((c) => renderBlock(c, ctx))].join("\n");
+        case "paragraph":
+            return `<p>${renderInlines(node.children, ctx)}</p>`;
+        case "list": {
+            const tag = node.ordered ? "ol" : "ul";
+            const items = node.items.map((item) => `<li>${renderBlocks(item.children, ctx)}</li>`).join("\n");
+            return `<${tag}>\n${items}\n</${tag}>`;
+        }
+        case "table": {
+            const head = node.header.length ? `<thead>\n${renderRows(node.header, ctx)}\n</thead>\n` : "";
+            return `<table>\n${head}<tbody>\n${renderRows(node.rows, ctx)}\n</tbody>\n</table>`;
+        }
+        case "blockquote":
+            return `<blockquote>\n${renderBlocks(node.children, ctx)}\n</blockquote>`;
+        case "code":
+            return `<pre><code>${escapeXml(node.value)}</code></pre>`;
+        case "rule":
+            return "<hr/>";
+        default:
+            return "";
+    }
+}
+
+export function renderBlocks(nodes, ctx = {}) {
+    return nodes.map((n) => renderBlock(n, ctx)).join("\n");
+}
+
+// ─── Sources ───────────────────────────────────────────────────────────────────
+
+export function formatAccessed(accessed) {
+    // ISO dates (our own extraction date) are shown in pt-BR; dates quoted
+    // from the report's bibliography are kept verbatim.
+    if (/^\d{4}-\d{2}-\d{2}/.test(accessed)) {
+        return new Date(`${accessed.slice(0, 10)}T12:00:00Z`).toLocaleDateString("pt-BR");
+    }
+    return accessed;
+}
+
+/**
+ * The "Fontes" endnotes chapter. `backlinks` maps a source index to the hrefs
+ * of every citation that points at it.
+ */
+export function renderSourcesChapter(sources, backlinks = new Map()) {
+    const items = sources.map((s) => {
+        const back = (backlinks.get(s.index) || [])
+            .map((href, i, all) => `<a class="backlink" href="${escapeXml(href)}">↩${all.length > 1 ? i + 1 : ""}</a>`)
+            .join(" ");
+        const accessed = s.accessed ? ` Acessado em ${escapeXml(formatAccessed(s.accessed))}.` : "";
+        return `<li id="source-${s.index}" value="${s.index}" epub:type="endnote">
+<p><a href="${escapeXml(s.url)}">${escapeXml(s.title)}</a>. <span class="source-domain">${escapeXml(s.domain)}</span>.${accessed}${back ? ` ${back}` : ""}</p>
+<p class="source-url">${escapeXml(s.url)}</p>
+</li>`;
+    });
+
+    return {
+        id: NOTES_CHAPTER_ID,
+        title: NOTES_TITLE,
+        epubType: "endnotes",
+        body: `<h1>${NOTES_TITLE}</h1>\n<ol class="sources">\n${items.join("\n")}\n</ol>`,
+    };
+}
+
+// ─── Chapters ──────────────────────────────────────────────────────────────────
+
+function chapterId(index) {
+    return `chapter-${String(index + 1).padStart(3, "0")}`;
+}
+
+/**
+ * Split a document into chapters at every H1/H2 section. Content before the
+ * first such section goes into an opening chapter named `introTitle`.
+ *
+ * When the document has sources, citations become noteref links into a final
+ * "Fontes" chapter whose entries link back to every citing spot.
+ *
+ * @param {object} doc Document tree from `parseReport`.
+ * @param {{ introTitle?: string, endnotes?: boolean }} [options]
+ * @returns {{ id: string, title: string, body: string, epubType?: string }[]}
+ */
+export function renderChapters(doc, options = {}) {
+    const introTitle = options.introTitle || doc.title;
+    const sourceIndexes = new Set(doc.sources.map((s) => s.index));
+    const useEndnotes = options.endnotes !== false && sourceIndexes.size > 0;
+    const backlinks = new Map();
+
+    const chapters = [];
+    let current = null;
+
+    const ctx = {
+        citation(index) {
+            if (!useEndnotes || !sourceIndexes.has(index)) return null;
+            const refs = backlinks.get(index) || [];
+            backlinks.set(index, refs);
+            const anchor = `cite-${index}-${refs.length + 1}`;
+            refs.push(`${current.id}.xhtml#${anchor}`);
+            return `<sup><a id="${anchor}" href="${NOTES_CHAPTER_ID}.xhtml#source-${index}" epub:type="noteref">[${index}]</a></sup>`;
+        },
+    };
+
+    const open = (title) => {
+        current = { id: chapterId(chapters.length), title: title.trim() || introTitle, parts: [] };
+        chapters.push(current);
+    };
+
+    const visit = (nodes) => {
+        for (const node of nodes) {
+            if (node.type === "section" && node.level <= 2) {
+                open(inlineText(node.heading));
+                current.parts.push(renderHeading(node, ctx));
+                visit(node.children);
+            } else {
+                if (!current) open(introTitle);
+                current.parts.push(renderBlock(node, ctx));
+            }
+        }
+    };
+    visit(doc.children);
+
+    const result = chapters.map((c) => ({ id: c.id, title: c.title, body: c.parts.join("\n") }));
+    if (useEndnotes) result.push(renderSourcesChapter(doc.sources, backlinks));
+    return result;
+}
@@ -0,0 +1,296 @@
+/**
+ * Recurring research schedules.
+ *
+ * A schedule is a named query with a cron expression, stored as
+ * `<name>.json` in the schedules directory. `drk run-due` (once) and
+ * `drk daemon` (every minute) turn each due schedule into a regular job, so a
+ * failed run is picked up with `drk resume` like any other.
+ *
+ * Cron expressions have the usual five fields, in local time:
+ *
+ *   minute hour day-of-month month day-of-week
+ *   0 7 * * mon          every Monday at 07:00
+ *   30 6 1,15 * *        the 1st and 15th at 06:30
+ *   0 8-18/2 * * 1-5     every two hours from 08:00 to 18:00 on weekdays
+ *
+ * Fields take `*`, numbers, ranges, lists and `/step`; months and weekdays
+ * also take names (jan, mon); Sunday is 0 or 7. As in cron, when both the
+ * day of the month and the day of the week are restricted, either matching is
+ * enough. `@hourly`, `@daily`, `@weekly`, `@monthly` and `@yearly` work too.
+ *
+ * Queries may use date placeholders, filled in when the job is created:
+ *
+ *   {{date}}         2026-10-19
+ *   {{week}}         2026-W43 (ISO week)
+ *   {{month}}        2026-10
+ *   {{year}}         2026
+ *   {{lastRunDate}}  date of the previous run (the schedule's creation date
+ *                    before the first one)
+ */
+
+import { mkdirSync, readFileSync, writeFileSync, readdirSync, existsSync, rmSync } from "fs";
+import { resolve } from "path";
+
+// ─── Cron ──────────────────────────────────────────────────────────────────────
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FIELDS = [
+    { name: "minuto", min: 0, max: 59 },
+    { name: "hora", min: 0, max: 23 },
+    { name: "dia do mês", min: 1, max: 31 },
+    { name: "mês", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+    { name: "dia da semana", min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+const MACROS = {
+    "@hourly": "0 * * * *",
+    "@daily": "0 0 * * *",
+    "@weekly": "0 0 * * 0",
+    "@monthly": "0 0 1 * *",
+    "@yearly": "0 0 1 1 *",
+    "@annually": "0 0 1 1 *",
+};
+
+function parseValue(text, field, expr) {
+    const named = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+    const value = named >= 0 ? named + field.offset : /^\d+$/.test(text) ? Number(text) : NaN;
+    if (!(value >= field.min && value <= field.max)) {
+        throw new Error(`Cron inválido: "${expr}" (${field.name} fora do intervalo: ${text}).`);
+    }
+    return value;
+}
+
+function parseField(text, field, expr) {
+    const values = new Set();
+    for (const part of text.split(",")) {
+        const [range, stepText] = part.split("/");
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Cron inválido: "${expr}" (passo inválido no ${field.name}: ${part}).`);
+        }
+        let from = field.min;
+        let to = field.max;
+        if (range !== "*") {
+            const [start, end] = range.split("-");
+            from = parseValue(start, field, expr);
+            to = end === undefined ? (stepText === undefined ? from : field.max) : parseValue(end, field, expr);
+        }
+        if (from > to) throw new Error(`Cron inválido: "${expr}" (intervalo invertido no ${field.name}: ${part}).`);
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * Parse a cron expression. Throws (in Portuguese, naming the bad field) when
+ * it is invalid.
+ *
+ * @returns {{ expr: string, minutes: Set<number>, hours: Set<number>, days: Set<number>,
+ *            months: Set<number>, weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean }}
+ */
+export function parseCron(expr) {
+    const source = MACROS[expr.trim().toLowerCase()] || expr.trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Cron inválido: "${expr}" (esperados 5 campos: minuto hora dia mês dia-da-semana).`);
+    }
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i], expr));
+    if (weekdays.delete(7)) weekdays.add(0);
+    return { expr, minutes, hours, days, months, weekdays, anyDay: parts[2] === "*", anyWeekday: parts[4] === "*" };
+}
+
+function matchesDay(cron, date) {
+    const day = cron.days.has(date.getDate());
+    const weekday = cron.weekdays.has(date.getDay());
+    if (cron.anyDay || cron.anyWeekday) return day && weekday;
+    return day || weekday;
+}
+
+/** Whether `date` (to the minute, local time) matches the cron expression. */
+export function cronMatches(expr, date) {
+    const cron = typeof expr === "string" ? parseCron(expr) : expr;
+    return cron.minutes.has(date.getMinutes())
+        && cron.hours.has(date.getHours())
+        && cron.months.has(date.getMonth() + 1)
+        && matchesDay(cron, date);
+}
+
+// Long enough for "29 feb" expressions; anything rarer is treated as never
+const SEARCH_DAYS = 5 * 366;
+
+/**
+ * Walk minute by minute from `start` in `direction` (1 or -1) to the first
+ * matching time, skipping whole days that cannot match.
+ */
+function findMatch(cron, start, direction) {
+    const date = new Date(start);
+    date.setSeconds(0, 0);
+    const limit = start.getTime() + direction * SEARCH_DAYS * 86_400_000;
+    while (direction > 0 ? date.getTime() <= limit : date.getTime() >= limit) {
+        if (!cron.months.has(date.getMonth() + 1) || !matchesDay(cron, date)) {
+            // Jump to the first (or last) minute of the next (or previous) day
+            if (direction > 0) date.setHours(24, 0, 0, 0);
+            else date.setHours(0, -1, 0, 0);
+            continue;
+        }
+        if (cron.hours.has(date.getHours()) && cron.minutes.has(date.getMinutes())) return date;
+        date.setMinutes(date.getMinutes() + direction);
+    }
+    return null;
+}
+
+/** First time strictly after `after` matching the expression, or null. */
+export function nextRun(expr, after = new Date()) {
+    const start = new Date(after);
+    start.setSeconds(0, 0);
+    start.setMinutes(start.getMinutes() + 1);
+    return findMatch(parseCron(expr), start, 1);
+}
+
+/** Last time at or before `at` matching the expression, or null. */
+export function previousRun(expr, at = new Date()) {
+    return findMatch(parseCron(expr), at, -1);
+}
+
+// ─── Query Templates ───────────────────────────────────────────────────────────
+
+const pad = (n) => String(n).padStart(2, "0");
+
+function isoDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** ISO 8601 week of `date`, e.g. "2026-W43". */
+export function isoWeek(date) {
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7));
+    const firstThursday = new Date(thursday.getFullYear(), 0, 4);
+    const week = 1 + Math.round((thursday - firstThursday) / 86_400_000 / 7 - (3 - ((firstThursday.getDay() + 6) % 7)) / 7);
+    return `${thursday.getFullYear()}-W${pad(week)}`;
+}
+
+/**
+ * Fill the `{{...}}` placeholders of a schedule's query for a run at `now`.
+ * Throws on unknown placeholders, so typos surface when the schedule is
+ * added rather than in the query sent to Gemini.
+ *
+ * @param {string} template
+ * @param {{ now?: Date, lastRunAt?: string | Date | null, createdAt?: string | Date | null }} [context]
+ *        `lastRunDate` is `lastRunAt`, else `createdAt` (the first run), else `now`.
+ */
+export function renderQuery(template, { now = new Date(), lastRunAt = null, createdAt = null } = {}) {
+    const since = lastRunAt || createdAt;
+    const values = {
+        date: isoDate(now),
+        week: isoWeek(now),
+        month: isoDate(now).slice(0, 7),
+        year: String(now.getFullYear()),
+        lastRunDate: since ? isoDate(new Date(since)) : isoDate(now),
+    };
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => {
+        if (!(name in values)) {
+            throw new Error(`Variável desconhecida na query: {{${name}}} (use ${Object.keys(values).map((v) => `{{${v}}}`).join(", ")}).`);
+        }
+        return values[name];
+    });
+}
+
+// ─── Store ─────────────────────────────────────────────────────────────────────
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+/**
+ * Whether `schedule` should run at `now`: its latest cron time has passed and
+ * it has not run since (a run missed while nothing was running happens once,
+ * at the next check).
+ */
+export function isDue(schedule, now = new Date()) {
+    const last = previousRun(schedule.cron, now);
+    if (!last) return false;
+    const since = new Date(schedule.lastRunAt || schedule.createdAt);
+    return last > since;
+}
+
+/**
+ * @param {string} dir Directory holding one `<name>.json` per schedule.
+ */
+export function createScheduleStore(dir) {
+    const pathOf = (name) => resolve(dir, `${name}.json`);
+
+    function save(schedule) {
+        mkdirSync(dir, { recursive: true });
+        schedule.updatedAt = new Date().toISOString();
+        writeFileSync(pathOf(schedule.name), JSON.stringify(schedule, null, 2));
+        return schedule;
+    }
+
+    return {
+        dir,
+
+        /**
+         * Validate and persist a new schedule. `fields` holds `cron`, `query`
+         * and the job settings (`model`, `epubEngine`, `skipKindle`,
+         * `delivery`, `destinations`).
+         */
+        add(name, fields) {
+            if (!NAME_PATTERN.test(name)) {
+                throw new Error(`Nome de agendamento inválido: "${name}" (use letras, números, - e _).`);
+            }
+            if (existsSync(pathOf(name))) {
+                throw new Error(`Já existe um agendamento "${name}" (remova com drk schedule remove ${name}).`);
+            }
+            parseCron(fields.cron);
+            renderQuery(fields.query);
+            const now = new Date().toISOString();
+            return save({
+                name,
+                createdAt: now,
+                updatedAt: now,
+                cron: fields.cron,
+                query: fields.query,
+                model: undefined,
+                epubEngine: undefined,
+                formats: undefined,
+                skipKindle: false,
+                delivery: undefined,
+                destinations: [],
+                lastRunAt: null,
+                lastJobId: null,
+                ...fields,
+            });
+        },
+
+        get(name) {
+            const file = pathOf(name);
+            if (!existsSync(file)) {
+                throw new Error(`Agendamento não encontrado: ${name} (${dir})`);
+            }
+            return JSON.parse(readFileSync(file, "utf-8"));
+        },
+
+        /** All schedules, by name. */
+        list() {
+            if (!existsSync(dir)) return [];
+            return readdirSync(dir)
+                .filter((f) => f.endsWith(".json"))
+                .sort()
+                .map((f) => JSON.parse(readFileSync(resolve(dir, f), "utf-8")));
+        },
+
+        remove(name) {
+            this.get(name);
+            rmSync(pathOf(name));
+        },
+
+        update(schedule, fields) {
+            Object.assign(schedule, fields);
+            return save(schedule);
+        },
+
+        /** Schedules due at `now`, by name. */
+        due(now = new Date()) {
+            return this.list().filter((schedule) => isDue(schedule, now));
+        },
+    };
+}
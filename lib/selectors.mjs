@@ -0,0 +1,334 @@
+/**
+ * Selector registry for the Gemini, Google Docs and Send to Kindle pages.
+ *
+ * Every UI element the flows touch is listed once, by page, with its
+ * Playwright selectors in order of preference: the first matches the UI as of
+ * SELECTORS_VERSION, the rest are older layouts. Each page is tried in its own
+ * interface language first, then in the other known languages. When
+ * Google or Amazon change a page, add the new selector at the front (keep the
+ * old one as a fallback) and bump SELECTORS_VERSION.
+ *
+ *   description  What the element is, for `drk doctor` and error messages
+ *   selectors    Candidates; `{label}` placeholders are filled from the UI
+ *                locale packs (lib/ui-locales.mjs), `{model.testId}` and
+ *                `{model.name}` from the model given as `vars.model`
+ *   probe        Page where `drk doctor` looks for it (gemini, conversation,
+ *                docs, kindle); absent when it only exists mid-run
+ *   opens        Element to click first (menus), for `drk doctor`
+ */
+
+import { UI_LOCALES, UI_LOCALE_CODES, localeOrder } from "./ui-locales.mjs";
+
+export const SELECTORS_VERSION = "2025-10";
+
+export const SELECTORS = {
+    gemini: {
+        modelMenu: {
+            description: "Menu de modelos",
+            selectors: ['mat-icon.dropdown-icon[fonticon="keyboard_arrow_down"]'],
+            probe: "gemini",
+        },
+        modelOption: {
+            description: "Opção do modelo no menu",
+            selectors: ['button[data-test-id="{model.testId}"]', "role=menuitem[name=/^{model.name}/i]"],
+            probe: "gemini",
+            opens: "gemini.modelMenu",
+        },
+        toolsButton: {
+            description: 'Botão "Ferramentas"',
+            selectors: ["role=button[name=/{tools}/i]"],
+            probe: "gemini",
+        },
+        deepResearchOption: {
+            description: "Opção Deep Research",
+            selectors: ["text=/{deepResearch}/i"],
+            probe: "gemini",
+            opens: "gemini.toolsButton",
+        },
+        promptInput: {
+            description: "Caixa de texto da query",
+            selectors: ['rich-textarea div[contenteditable="true"]', "textarea", 'div[role="textbox"]'],
+            probe: "gemini",
+        },
+        researchPlan: {
+            description: "Plano de pesquisa proposto (antes de iniciar)",
+            selectors: ["deep-research-confirmation-widget", '[data-test-id="research-plan"]'],
+        },
+        startResearchButton: {
+            description: 'Botão "Iniciar investigação" (confirma o plano)',
+            selectors: [
+                "role=button[name=/{startResearch}/i]",
+                'button:has-text("Iniciar"):has-text("investiga")',
+                'button:has-text("Iniciar"):has-text("pesquisa")',
+            ],
+        },
+        userQuery: {
+            description: "Mensagem do usuário na conversa",
+            selectors: ["user-query"],
+        },
+        modelResponse: {
+            description: "Resposta do Gemini na conversa",
+            selectors: ["model-response"],
+        },
+        statusChip: {
+            description: "Chip de status da pesquisa",
+            selectors: ["deep-research-entry-chip-content"],
+            probe: "conversation",
+        },
+        // Only a short status line in a response: the words alone also show
+        // up in plans, the user's queries and the report itself
+        activityIndicator: {
+            description: "Indicador de pesquisa em andamento",
+            selectors: [
+                'model-response [role="progressbar"]',
+                "model-response >> text=/^\\s*({researching})[^.!?\\n]{0,80}(\\.{3}|…)?\\s*$/i",
+            ],
+        },
+        quotaNotice: {
+            description: "Aviso de limite de uso do Deep Research atingido",
+            selectors: ["model-response >> text=/^\\s*({quotaExceeded})/i"],
+        },
+        errorNotice: {
+            description: "Aviso de falha da pesquisa",
+            selectors: ["model-response >> text=/^\\s*({researchFailed})/i"],
+        },
+        stopResponseButton: {
+            description: "Botão de parar a resposta (visível enquanto o Gemini responde)",
+            selectors: ["role=button[name=/{stopResponse}/i]"],
+        },
+        reportContainer: {
+            description: "Painel do relatório",
+            selectors: ['.container[scrollable="true"]'],
+            probe: "conversation",
+        },
+        exportMenuButton: {
+            description: 'Botão "Compartilhar e exportar"',
+            selectors: ['button[data-test-id="export-menu-button"]', "role=button[name=/{exportMenu}/i]"],
+            probe: "conversation",
+        },
+        exportToDocsButton: {
+            description: '"Exportar para o Google Docs"',
+            selectors: ['button[data-test-id="export-to-docs-button"]', "role=menuitem[name=/{exportToDocs}/i]"],
+            probe: "conversation",
+            opens: "gemini.exportMenuButton",
+        },
+        signInButton: {
+            description: "Botão de login (sessão expirada)",
+            selectors: [
+                'a[href*="accounts.google.com/ServiceLogin"]',
+                'a[href*="accounts.google.com/v3/signin"]',
+                "role=link[name=/^({signIn})$/i]",
+            ],
+        },
+        docsLink: {
+            description: "Link para o Google Doc exportado",
+            selectors: ['a[href*="docs.google.com/document"]'],
+        },
+        openDocButton: {
+            description: '"Abrir documento" no aviso de exportação',
+            selectors: ["text=/{openDoc}/i"],
+        },
+    },
+    docs: {
+        fileMenu: {
+            description: 'Menu "Arquivo"',
+            selectors: ["#docs-file-menu"],
+            probe: "docs",
+        },
+        downloadMenu: {
+            description: 'Submenu "Fazer download"',
+            selectors: ['[id*="download"]', '.goog-menuitem:has-text("download")', "text=/{download}/i"],
+            probe: "docs",
+            opens: "docs.fileMenu",
+        },
+        epubOption: {
+            description: "Opção EPUB",
+            selectors: ["text=/EPUB/i"],
+            probe: "docs",
+            opens: "docs.downloadMenu",
+        },
+    },
+    kindle: {
+        uploadButton: {
+            description: 'Botão "Selecionar arquivos"',
+            selectors: ["#s2k-dnd-add-your-files-button", 'button:text-matches("{upload}", "i")'],
+            probe: "kindle",
+        },
+        sendButton: {
+            description: 'Botão "Enviar"',
+            selectors: ["#s2k-r2s-send-button", 'button:text-matches("{send}", "i")'],
+        },
+        signInForm: {
+            description: "Formulário de login da Amazon (sessão expirada)",
+            selectors: ['form[name="signIn"]', "#ap_email"],
+        },
+        sentConfirmation: {
+            description: "Confirmação de envio",
+            selectors: ["text=/{sent}/i"],
+        },
+    },
+};
+
+// ─── Lookup ────────────────────────────────────────────────────────────────────
+
+function elementFor(key) {
+    const [group, name] = key.split(".");
+    const element = SELECTORS[group] && SELECTORS[group][name];
+    if (!element) throw new Error(`Seletor desconhecido: "${key}".`);
+    return element;
+}
+
+function fill(template, context) {
+    let complete = true;
+    const filled = template.replace(/\{([\w.]+)\}/g, (_, path) => {
+        const value = path.split(".").reduce((obj, part) => (obj == null ? undefined : obj[part]), context);
+        if (value === undefined) complete = false;
+        return String(value ?? "");
+    });
+    return complete ? filled : null;
+}
+
+/**
+ * Candidate selectors for `key` ("gemini.toolsButton"): every template filled
+ * in for each UI locale in `locales` (in that order), duplicates and
+ * templates with missing labels dropped.
+ *
+ * @param {string} key
+ * @param {{ model?: string }} [vars] `model` is a model id (lib/models.mjs).
+ * @param {string[]} [locales]
+ */
+export function selectorsFor(key, vars = {}, locales = UI_LOCALE_CODES) {
+    const { selectors } = elementFor(key);
+    const candidates = [];
+    for (const code of locales) {
+        const pack = UI_LOCALES[code];
+        const context = { ...pack.labels, ...vars, model: vars.model && pack.models[vars.model] };
+        for (const template of selectors) {
+            const selector = fill(template, context);
+            if (selector && !candidates.includes(selector)) candidates.push(selector);
+        }
+    }
+    return candidates;
+}
+
+async function candidatesOn(page, key, vars) {
+    return selectorsFor(key, vars, await localeOrder(page));
+}
+
+async function findVisible(page, key, vars) {
+    const candidates = await candidatesOn(page, key, vars);
+    for (let index = 0; index < candidates.length; index++) {
+        const locator = page.locator(candidates[index]).first();
+        if (await locator.isVisible().catch(() => false)) return { locator, index };
+    }
+    return null;
+}
+
+async function waitForVisible(page, key, vars, timeout) {
+    const deadline = Date.now() + timeout;
+    for (; ;) {
+        const found = await findVisible(page, key, vars);
+        if (found || Date.now() >= deadline) return found;
+        await page.waitForTimeout(250);
+    }
+}
+
+/**
+ * The first candidate of `key` visible in `page` right now, or null.
+ *
+ * @returns {Promise<import("playwright").Locator | null>}
+ */
+export async function visibleElement(page, key, vars = {}) {
+    const found = await findVisible(page, key, vars);
+    return found && found.locator;
+}
+
+/**
+ * Wait up to `timeout` ms for any candidate of `key` to be visible and return
+ * it. Throws naming the element and the selectors tried.
+ *
+ * @returns {Promise<import("playwright").Locator>}
+ */
+export async function waitForElement(page, key, { timeout = 10_000, vars = {} } = {}) {
+    const found = await waitForVisible(page, key, vars, timeout);
+    if (!found) {
+        const tried = await candidatesOn(page, key, vars);
+        throw new Error(`${elementFor(key).description} não encontrado (${key}; tentou ${tried.join(" | ")}).`);
+    }
+    return found.locator;
+}
+
+/**
+ * Trimmed text of the first candidate of `key` present in `page` (visible or
+ * not), or "" when none is.
+ */
+export async function elementText(page, key, vars = {}) {
+    for (const selector of await candidatesOn(page, key, vars)) {
+        const locator = page.locator(selector).first();
+        if (await locator.count().catch(() => 0) > 0) {
+            return (await locator.innerText({ timeout: 1_000 }).catch(() => "")).trim();
+        }
+    }
+    return "";
+}
+
+/**
+ * The last element matching the first candidate of `key` present in `page`
+ * (visible or not), or null. For elements that repeat down a conversation.
+ *
+ * @returns {Promise<import("playwright").Locator | null>}
+ */
+export async function lastElement(page, key, vars = {}) {
+    for (const selector of await candidatesOn(page, key, vars)) {
+        const locator = page.locator(selector);
+        if (await locator.count().catch(() => 0) > 0) return locator.last();
+    }
+    return null;
+}
+
+// ─── Health Check ──────────────────────────────────────────────────────────────
+
+/** Registry keys `drk doctor` checks on the given probe page, in order. */
+export function probeKeys(probe) {
+    return Object.entries(SELECTORS).flatMap(([group, elements]) =>
+        Object.entries(elements)
+            .filter(([, element]) => element.probe === probe)
+            .map(([name]) => `${group}.${name}`));
+}
+
+/**
+ * Click through the menus that lead to `key`; returns how many were opened.
+ */
+async function openMenusFor(page, key, vars) {
+    const { opens } = elementFor(key);
+    if (!opens) return 0;
+    const depth = await openMenusFor(page, opens, vars);
+    const opener = await waitForVisible(page, opens, vars, 3_000);
+    if (!opener) return depth;
+    await opener.locator.click().catch(() => { });
+    return depth + 1;
+}
+
+/**
+ * Check which candidate of each key resolves in `page`. Menus leading to an
+ * element are clicked open first and closed again with Escape.
+ *
+ * @returns {Promise<{ key: string, description: string, selector: string | null, index: number }[]>}
+ *          `index` is the position of the matching candidate (0 = current
+ *          UI, higher = fallback), -1 when none matched.
+ */
+export async function probeSelectors(page, keys, vars = {}) {
+    const results = [];
+    for (const key of keys) {
+        const opened = await openMenusFor(page, key, vars);
+        const found = await waitForVisible(page, key, vars, 5_000);
+        results.push({
+            key,
+            description: elementFor(key).description,
+            selector: found ? (await candidatesOn(page, key, vars))[found.index] : null,
+            index: found ? found.index : -1,
+        });
+        for (let i = 0; i < opened; i++) await page.keyboard.press("Escape").catch(() => { });
+    }
+    return results;
+}
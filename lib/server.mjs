@@ -0,0 +1,175 @@
+/**
+ * Local HTTP API and dashboard for `drk serve`.
+ *
+ * The server only routes requests and validates them; the work is done by the
+ * `api` object passed in (drk.mjs queues research and deliveries for its
+ * single browser):
+ *
+ *   GET  /                    dashboard (lib/dashboard.mjs)
+ *   GET  /api/jobs            jobs, newest first
+ *   POST /api/jobs            { query, model?, noKindle?, to? } → 202 and the job
+ *   GET  /api/jobs/:id        job, with live `progress` while queued or running
+ *   GET  /api/jobs/:id/epub   the job's EPUB
+ *   POST /api/jobs/:id/send   { to? } → 202 and the job (send to Kindle again)
+ *
+ * With a token, every /api request needs `Authorization: Bearer <token>` or
+ * `?token=<token>`. Errors are `{ error }` with a 4xx/5xx status.
+ *
+ * Without one, the browser is what keeps other websites out: requests must
+ * name the listen address in `Host` (no DNS rebinding), a cross-origin
+ * `Origin` is refused, and POSTs must be `application/json`, which a page can
+ * only send after a CORS preflight this server never grants.
+ */
+
+import { createServer } from "http";
+import { createReadStream, existsSync, statSync } from "fs";
+import { basename } from "path";
+import { timingSafeEqual } from "crypto";
+import { DASHBOARD_HTML } from "./dashboard.mjs";
+
+// Queries are short; anything bigger is not for us
+const MAX_BODY_BYTES = 64 * 1024;
+
+const LOOPBACK_HOSTS = ["127.0.0.1", "localhost", "::1"];
+const WILDCARD_HOSTS = ["0.0.0.0", "::"];
+
+/** An error that is sent back with `status` instead of 500. */
+export function httpError(status, message) {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+}
+
+function sendJson(res, status, body) {
+    const data = JSON.stringify(body);
+    res.writeHead(status, { "Content-Type": "application/json; charset=utf-8", "Content-Length": Buffer.byteLength(data) });
+    res.end(data);
+}
+
+async function readJson(req) {
+    const type = (req.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+    if (type !== "application/json") throw httpError(415, "Use Content-Type: application/json.");
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw httpError(413, "Requisição grande demais.");
+        chunks.push(chunk);
+    }
+    if (size === 0) return {};
+    try {
+        const body = JSON.parse(Buffer.concat(chunks).toString("utf-8"));
+        if (!body || typeof body !== "object" || Array.isArray(body)) throw new Error();
+        return body;
+    } catch {
+        throw httpError(400, "Corpo da requisição deve ser um objeto JSON.");
+    }
+}
+
+function authorized(req, url, token) {
+    if (!token) return true;
+    const header = req.headers.authorization || "";
+    const given = header.startsWith("Bearer ") ? header.slice(7) : url.searchParams.get("token") || "";
+    const a = Buffer.from(given);
+    const b = Buffer.from(token);
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Names a request may use in `Host` to reach a server listening on `host`:
+ * the loopback names for a loopback address, any name for a wildcard one
+ * (null), else the address itself.
+ */
+function allowedHostsFor(host) {
+    if (!host || WILDCARD_HOSTS.includes(host)) return null;
+    return LOOPBACK_HOSTS.includes(host) ? LOOPBACK_HOSTS : [host.toLowerCase()];
+}
+
+function hostnameOf(value) {
+    try {
+        return new URL(`http://${value}`).hostname.replace(/^\[(.*)\]$/, "$1");
+    } catch {
+        return null;
+    }
+}
+
+function checkCaller(req, allowedHosts) {
+    const host = req.headers.host || "";
+    if (allowedHosts && !allowedHosts.includes(hostnameOf(host))) {
+        throw httpError(403, `Host não permitido: ${host || "(vazio)"}`);
+    }
+    const origin = req.headers.origin;
+    if (origin !== undefined) {
+        let originHost = null;
+        try {
+            originHost = new URL(origin).host;
+        } catch {
+            // "null" and other opaque origins
+        }
+        if (originHost !== host) throw httpError(403, "Requisição de outra origem recusada.");
+    }
+}
+
+function sendEpub(res, file) {
+    if (!file || !existsSync(file)) throw httpError(404, "Este job ainda não tem EPUB.");
+    res.writeHead(200, {
+        "Content-Type": "application/epub+zip",
+        "Content-Length": statSync(file).size,
+        "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(basename(file))}`,
+    });
+    createReadStream(file).pipe(res);
+}
+
+/**
+ * @param {object} api
+ * @param {() => object[]} api.listJobs
+ * @param {(id: string) => object | null} api.getJob
+ * @param {(request: { query: string, model?: string, noKindle?: boolean, to?: string[] }) => object} api.submit
+ *        Creates and queues a job; throws `httpError(400, ...)` on invalid input.
+ * @param {(id: string, request: { to?: string[] }) => object} api.resend
+ * @param {{ token?: string | null, host?: string }} [options]
+ *        `host` is the listen address, checked against each request's `Host`.
+ * @returns {import("http").Server} Not listening yet.
+ */
+export function createApiServer(api, { token = null, host = "127.0.0.1" } = {}) {
+    const allowedHosts = allowedHostsFor(host);
+
+    async function route(req, res, url) {
+        const parts = url.pathname.split("/").filter(Boolean);
+        checkCaller(req, allowedHosts);
+
+        if (req.method === "GET" && parts.length === 0) {
+            res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+            res.end(DASHBOARD_HTML);
+            return;
+        }
+        if (parts[0] !== "api" || parts[1] !== "jobs" || parts.length > 4) {
+            throw httpError(404, "Rota não encontrada.");
+        }
+        if (!authorized(req, url, token)) throw httpError(401, "Token inválido ou ausente.");
+
+        if (parts.length === 2) {
+            if (req.method === "GET") return sendJson(res, 200, api.listJobs());
+            if (req.method === "POST") return sendJson(res, 202, api.submit(await readJson(req)));
+            throw httpError(405, "Método não permitido.");
+        }
+
+        const id = decodeURIComponent(parts[2]);
+        // Ids name files in the jobs directory; nothing else gets through
+        const job = /^[\w-]+$/.test(id) ? api.getJob(id) : null;
+        if (!job) throw httpError(404, `Job não encontrado: ${parts[2]}`);
+
+        if (parts.length === 3 && req.method === "GET") return sendJson(res, 200, job);
+        if (parts[3] === "epub" && req.method === "GET") return sendEpub(res, job.epubPath);
+        if (parts[3] === "send" && req.method === "POST") return sendJson(res, 202, api.resend(job.id, await readJson(req)));
+        throw httpError(404, "Rota não encontrada.");
+    }
+
+    return createServer((req, res) => {
+        const url = new URL(req.url, "http://localhost");
+        route(req, res, url).catch((err) => {
+            if (!res.headersSent) sendJson(res, err.status || 500, { error: err.message });
+            else res.destroy(err);
+        });
+    });
+}
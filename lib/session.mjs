@@ -0,0 +1,55 @@
+/**
+ * Login wall detection.
+ *
+ * A profile's Google or Amazon session eventually expires. Instead of waiting
+ * for selectors that will never appear (and timing out minutes later), the
+ * flows check right after loading a page whether it is a sign-in page and
+ * fail with a "login required" error that callers can recognize.
+ */
+
+import { visibleElement } from "./selectors.mjs";
+
+export const LOGIN_REQUIRED = "LOGIN_REQUIRED";
+
+// Where the sites send signed-out users
+const LOGIN_URLS = [
+    { site: "Google", pattern: /^https:\/\/accounts\.google\.com\// },
+    { site: "Amazon", pattern: /^https:\/\/www\.amazon\.[a-z.]+\/ap\/(signin|mfa|cvf)/ },
+];
+
+// Elements only shown to signed-out users, from the selector registry
+const LOGIN_ELEMENTS = [
+    { site: "Google", key: "gemini.signInButton" },
+    { site: "Amazon", key: "kindle.signInForm" },
+];
+
+export function loginRequiredError(site) {
+    const err = new Error(`Login necessário: a sessão ${site} deste perfil expirou. Rode "drk login" e tente de novo.`);
+    err.code = LOGIN_REQUIRED;
+    err.site = site;
+    return err;
+}
+
+export function isLoginRequired(err) {
+    return Boolean(err) && err.code === LOGIN_REQUIRED;
+}
+
+/**
+ * The site ("Google", "Amazon") whose sign-in wall `page` shows, or null.
+ */
+export async function detectLoginWall(page) {
+    const url = page.url();
+    for (const { site, pattern } of LOGIN_URLS) {
+        if (pattern.test(url)) return site;
+    }
+    for (const { site, key } of LOGIN_ELEMENTS) {
+        if (await visibleElement(page, key)) return site;
+    }
+    return null;
+}
+
+/** Throw a login-required error when `page` shows a sign-in wall. */
+export async function assertLoggedIn(page) {
+    const site = await detectLoginWall(page);
+    if (site) throw loginRequiredError(site);
+}
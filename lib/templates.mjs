@@ -0,0 +1,130 @@
+/**
+ * Prompt templates: named research queries with variables, so the usual
+ * boilerplate (answer language, depth, sections, sources) is written once.
+ *
+ * A template is a string, or `{ prompt, description? }`, with `{{name}}`
+ * placeholders; `{{name=value}}` gives a variable a default. Besides the
+ * built-in PRESETS below, templates come from the `templates` setting:
+ *
+ *   "templates": {
+ *     "briefing": {
+ *       "description": "Resumo para reunião",
+ *       "prompt": "Faça um resumo executivo sobre {{topic}} em {{language=português do Brasil}}."
+ *     }
+ *   }
+ *
+ * A configured template with a preset's name replaces the preset.
+ */
+
+const LANGUAGE = "{{language=português do Brasil}}";
+
+export const PRESETS = {
+    "literature-review": {
+        description: "Revisão da literatura acadêmica sobre um tema",
+        prompt: `Faça uma revisão de literatura sobre {{topic}}. Responda em ${LANGUAGE}.
+Inclua: contexto e definições; principais linhas de pesquisa e autores; resultados mais citados e em que evidências se apoiam; controvérsias e lacunas em aberto; direções futuras.
+Priorize artigos revisados por pares, revisões sistemáticas e fontes de {{since=2015}} em diante, citando cada afirmação.`,
+    },
+    "market-analysis": {
+        description: "Análise de mercado de um setor ou produto",
+        prompt: `Faça uma análise de mercado sobre {{topic}}, com foco em {{region=Brasil}}. Responda em ${LANGUAGE}.
+Inclua: tamanho e crescimento do mercado com números e datas; principais empresas e participação; modelos de negócio; regulação; tendências e riscos para os próximos anos.
+Priorize dados oficiais, relatórios do setor e imprensa especializada, e diga a data de cada número.`,
+    },
+    explainer: {
+        description: "Explicação de um tema para quem não é da área",
+        prompt: `Explique {{topic}} para quem não é da área, em ${LANGUAGE}.
+Comece pelo essencial e aprofunde aos poucos: o que é, por que importa, como funciona, exemplos concretos, equívocos comuns e onde aprender mais.
+Defina todo termo técnico na primeira vez que aparecer e prefira fontes didáticas e confiáveis.`,
+    },
+    comparison: {
+        description: "Comparação entre alternativas, com recomendação",
+        prompt: `Compare {{topic}}. Responda em ${LANGUAGE}.
+Inclua: os critérios da comparação e por que importam; uma tabela com cada alternativa em cada critério; vantagens, desvantagens e custos; para que caso cada uma é a melhor escolha; uma recomendação final justificada.
+Use fontes independentes além das dos próprios fabricantes ou autores.`,
+    },
+    "news-briefing": {
+        description: "Panorama das notícias recentes sobre um tema",
+        prompt: `Faça um panorama das notícias sobre {{topic}} nos últimos {{period=30 dias}}. Responda em ${LANGUAGE}.
+Organize por assunto, do mais ao menos importante, com a data de cada acontecimento; separe fatos de análises e opiniões; termine com o que acompanhar a seguir.
+Use veículos de imprensa variados e cite cada notícia.`,
+    },
+};
+
+// {{name}} or {{name=default}}
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][\w-]*)\s*(?:=([^}]*))?\}\}/g;
+
+/** Built-in presets with the configured templates over them, by name. */
+export function allTemplates(configured = {}) {
+    const templates = {};
+    for (const [name, template] of Object.entries({ ...PRESETS, ...configured })) {
+        templates[name] = typeof template === "string" ? { description: "", prompt: template } : { description: "", ...template };
+    }
+    return templates;
+}
+
+/** Reason `template` (a config value) is not a valid template, or null. */
+export function templateError(template) {
+    if (typeof template === "string") return template.trim() ? null : "texto vazio";
+    if (!template || typeof template !== "object" || Array.isArray(template)) return "esperado texto ou { prompt, description }";
+    if (typeof template.prompt !== "string" || !template.prompt.trim()) return "falta \"prompt\"";
+    return null;
+}
+
+/**
+ * The variables a template's text uses, in order of appearance, each with
+ * its default (null when it has none).
+ *
+ * @returns {{ name: string, default: string | null }[]}
+ */
+export function templateVariables(prompt) {
+    const vars = new Map();
+    for (const [, name, value] of prompt.matchAll(PLACEHOLDER)) {
+        if (!vars.has(name) || vars.get(name) === null) vars.set(name, value === undefined ? null : value.trim());
+    }
+    return [...vars].map(([name, value]) => ({ name, default: value }));
+}
+
+/**
+ * Parse `--var name=value` arguments into an object.
+ *
+ * @param {string[]} list
+ * @returns {{ [name: string]: string }}
+ */
+export function parseVars(list = []) {
+    const vars = {};
+    for (const item of list) {
+        const match = item.match(/^([A-Za-z_][\w-]*)=(.*)$/s);
+        if (!match) throw new Error(`--var inválido: "${item}" (use nome=valor).`);
+        vars[match[1]] = match[2];
+    }
+    return vars;
+}
+
+/**
+ * Fill in a named template.
+ *
+ * @param {string} name Template (preset or configured) name.
+ * @param {{ [name: string]: string }} vars Values for its variables.
+ * @param {object} [templates] The `templates` setting.
+ * @returns {string} The query to send to Gemini.
+ */
+export function expandTemplate(name, vars = {}, templates = {}) {
+    const available = allTemplates(templates);
+    const template = available[name];
+    if (!template) {
+        throw new Error(`Template desconhecido: "${name}" (use ${Object.keys(available).join(", ")}).`);
+    }
+    const known = templateVariables(template.prompt);
+    const unknown = Object.keys(vars).filter((v) => !known.some((k) => k.name === v));
+    if (unknown.length > 0) {
+        throw new Error(`O template "${name}" não usa ${unknown.join(", ")} (variáveis: ${known.map((k) => k.name).join(", ") || "nenhuma"}).`);
+    }
+    const missing = known.filter((k) => k.default === null && !vars[k.name]?.trim());
+    if (missing.length > 0) {
+        throw new Error(`Faltam variáveis para o template "${name}": ${missing.map((k) => `--var ${k.name}=...`).join(" ")}`);
+    }
+    return template.prompt
+        .replace(PLACEHOLDER, (_, varName) => vars[varName]?.trim() || known.find((k) => k.name === varName).default)
+        .trim();
+}
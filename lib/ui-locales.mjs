@@ -0,0 +1,163 @@
+/**
+ * UI locale packs: the labels Gemini, Google Docs and Amazon show in each
+ * interface language, and Gemini's model menu test IDs (which are localized
+ * too, e.g. `bard-mode-option-raciocínio`).
+ *
+ * Labels are regular expression sources, matched case-insensitively. The
+ * registry in lib/selectors.mjs refers to them as `{tools}`, `{model.testId}`
+ * and so on; each page is tried with its own language first (from `--ui-locale`
+ * or the page's `<html lang>`) and then with the other packs.
+ *
+ * The Portuguese pack follows the live UI; the others are best effort —
+ * check them with `drk doctor --ui-locale <code>` and fix here.
+ */
+
+export const UI_LOCALES = {
+    pt: {
+        name: "Português",
+        labels: {
+            tools: "Ferramentas",
+            deepResearch: "Deep Research",
+            startResearch: "Iniciar investigação|Iniciar pesquisa|Confirmar",
+            researching: "Pesquisando|Analisando",
+            writing: "Escrevendo|Criando (o )?relatório|Gerando (o )?relatório",
+            completed: "Conclu[íi]do",
+            researchFailed: "Falha na pesquisa|Não foi possível concluir|Algo deu errado",
+            quotaExceeded: "Você atingiu o limite|Você chegou ao limite|Limite de pesquisas atingido",
+            stopResponse: "Parar resposta|Interromper resposta",
+            exportMenu: "Compartilhar e exportar",
+            exportToDocs: "Exportar para o (Google )?Docs",
+            openDoc: "Abrir documento|Abrir no Docs",
+            download: "Fazer download|Baixar",
+            upload: "Selecionar arquivos",
+            send: "Enviar",
+            sent: "enviado|sucesso|entregue",
+            signIn: "Fazer login",
+        },
+        models: {
+            flash: { name: "Rápido", testId: "bard-mode-option-rápido" },
+            thinking: { name: "Raciocínio", testId: "bard-mode-option-raciocínio" },
+            pro: { name: "Pro", testId: "bard-mode-option-pro" },
+        },
+    },
+    en: {
+        name: "English",
+        labels: {
+            tools: "Tools",
+            deepResearch: "Deep Research",
+            startResearch: "Start research|Start investigation|Looks good",
+            researching: "Researching|Analyzing",
+            writing: "Writing|Creating (the )?report|Generating (the )?report",
+            completed: "Completed",
+            researchFailed: "Research failed|Couldn't complete|Something went wrong",
+            quotaExceeded: "You've reached your( Deep Research)? limit|Research limit reached",
+            stopResponse: "Stop response|Stop generating",
+            exportMenu: "Share (&|and) export",
+            exportToDocs: "Export to (Google )?Docs",
+            openDoc: "Open document|Open in Docs",
+            download: "Download",
+            upload: "Select files",
+            send: "Send",
+            sent: "sent|success|delivered",
+            signIn: "Sign in",
+        },
+        models: {
+            flash: { name: "Fast", testId: "bard-mode-option-fast" },
+            thinking: { name: "Thinking", testId: "bard-mode-option-thinking" },
+            pro: { name: "Pro", testId: "bard-mode-option-pro" },
+        },
+    },
+    es: {
+        name: "Español",
+        labels: {
+            tools: "Herramientas",
+            deepResearch: "Deep Research",
+            startResearch: "Iniciar investigación|Empezar investigación",
+            researching: "Investigando|Analizando",
+            writing: "Escribiendo|Creando (el )?informe|Generando (el )?informe",
+            completed: "Completado|Finalizado",
+            researchFailed: "Error en la investigación|No se pudo completar|Algo salió mal",
+            quotaExceeded: "(Has alcanzado|Alcanzaste) (el|tu) límite|Límite de investigaciones alcanzado",
+            stopResponse: "Detener respuesta|Detener la respuesta",
+            exportMenu: "Compartir y exportar",
+            exportToDocs: "Exportar a (Google )?Docs",
+            openDoc: "Abrir documento|Abrir en Docs",
+            download: "Descargar",
+            upload: "Seleccionar archivos",
+            send: "Enviar",
+            sent: "enviado|éxito|entregado",
+            signIn: "Iniciar sesión",
+        },
+        models: {
+            flash: { name: "Rápido", testId: "bard-mode-option-rápido" },
+            thinking: { name: "Razonamiento", testId: "bard-mode-option-razonamiento" },
+            pro: { name: "Pro", testId: "bard-mode-option-pro" },
+        },
+    },
+    de: {
+        name: "Deutsch",
+        labels: {
+            tools: "Tools|Werkzeuge",
+            deepResearch: "Deep Research",
+            startResearch: "Recherche starten|Untersuchung starten",
+            researching: "Recherchiert|Analysiert",
+            writing: "Schreibt|Bericht wird erstellt",
+            completed: "Abgeschlossen|Fertig",
+            researchFailed: "Recherche fehlgeschlagen|Konnte nicht abgeschlossen werden|Etwas ist schiefgelaufen",
+            quotaExceeded: "Du hast (dein|das) Limit erreicht|Recherchelimit erreicht",
+            stopResponse: "Antwort stoppen|Antwort anhalten",
+            exportMenu: "Teilen (&|und) exportieren",
+            exportToDocs: "(In|Nach) (Google )?Docs exportieren",
+            openDoc: "Dokument öffnen|In Docs öffnen",
+            download: "Herunterladen",
+            upload: "Dateien auswählen",
+            send: "Senden",
+            sent: "gesendet|erfolgreich|zugestellt",
+            signIn: "Anmelden",
+        },
+        models: {
+            flash: { name: "Schnell", testId: "bard-mode-option-schnell" },
+            thinking: { name: "Nachdenken", testId: "bard-mode-option-nachdenken" },
+            pro: { name: "Pro", testId: "bard-mode-option-pro" },
+        },
+    },
+};
+
+export const UI_LOCALE_CODES = Object.keys(UI_LOCALES);
+
+let forcedLocale = null;
+
+/**
+ * Use `code` for every page instead of detecting it (null = detect).
+ */
+export function setUiLocale(code) {
+    if (code && !UI_LOCALES[code]) {
+        throw new Error(`Idioma de interface desconhecido: "${code}" (use ${UI_LOCALE_CODES.join(", ")}).`);
+    }
+    forcedLocale = code || null;
+}
+
+/** Pack code for an `<html lang>` value ("pt-BR" → "pt"), or null. */
+export function localeFromLang(lang) {
+    const code = (lang || "").toLowerCase().split(/[-_]/)[0];
+    return UI_LOCALES[code] ? code : null;
+}
+
+/**
+ * Locale codes to try on `page`, best guess first: the forced locale, else
+ * the page's `<html lang>`, then the remaining packs in declaration order.
+ */
+export async function localeOrder(page) {
+    const first = forcedLocale
+        || localeFromLang(await page.evaluate(() => document.documentElement.lang).catch(() => ""));
+    return first ? [first, ...UI_LOCALE_CODES.filter((c) => c !== first)] : UI_LOCALE_CODES;
+}
+
+/**
+ * One regular expression matching `label` in any pack (for text read off the
+ * page rather than located, e.g. the status chip).
+ */
+export function labelPattern(label) {
+    const sources = UI_LOCALE_CODES.map((code) => UI_LOCALES[code].labels[label]);
+    return new RegExp(sources.join("|"), "i");
+}
@@ -0,0 +1,138 @@
+/**
+ * Minimal ZIP reader and writer (PKZIP 2.0, no ZIP64).
+ *
+ * Enough for EPUB containers: the first entry can be stored uncompressed
+ * (required for `mimetype`) and the rest are deflated with zlib. The reader
+ * is for rewriting EPUBs made elsewhere (Google Docs).
+ */
+
+import { deflateRawSync, inflateRawSync } from "zlib";
+
+// ─── CRC-32 ────────────────────────────────────────────────────────────────────
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(buf) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < buf.length; i++) {
+        crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// ─── Writer ────────────────────────────────────────────────────────────────────
+
+function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+}
+
+/**
+ * Build a ZIP archive in memory.
+ *
+ * @param {{ name: string, data: Buffer|string, store?: boolean }[]} entries
+ * @param {Date} [date] Modification time written to every entry.
+ * @returns {Buffer}
+ */
+export function createZip(entries, date = new Date()) {
+    const { time, day } = dosDateTime(date);
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, "utf-8");
+        const raw = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(entry.data, "utf-8");
+        const method = entry.store ? 0 : 8;
+        const body = entry.store ? raw : deflateRawSync(raw);
+        const crc = crc32(raw);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);           // version needed
+        local.writeUInt16LE(0x0800, 6);       // UTF-8 file names
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(day, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);           // extra field length
+        localParts.push(local, name, body);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);         // version made by
+        central.writeUInt16LE(20, 6);         // version needed
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(day, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(body.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);    // local header offset
+        centralParts.push(central, name);
+
+        offset += local.length + name.length + body.length;
+    }
+
+    const centralSize = centralParts.reduce((sum, b) => sum + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+// ─── Reader ────────────────────────────────────────────────────────────────────
+
+/**
+ * Read every entry of a ZIP archive, in archive order.
+ *
+ * Sizes come from the central directory, so entries whose local header
+ * defers them to a data descriptor are read too.
+ *
+ * @param {Buffer} zip
+ * @returns {{ name: string, data: Buffer }[]}
+ */
+export function readZip(zip) {
+    let end = zip.length - 22;
+    while (end >= 0 && zip.readUInt32LE(end) !== 0x06054b50) end--;
+    if (end < 0) throw new Error("Arquivo ZIP inválido: diretório central não encontrado.");
+
+    const count = zip.readUInt16LE(end + 10);
+    const entries = [];
+    for (let at = zip.readUInt32LE(end + 16), i = 0; i < count; i++) {
+        if (zip.readUInt32LE(at) !== 0x02014b50) throw new Error("Arquivo ZIP inválido: diretório central corrompido.");
+        const method = zip.readUInt16LE(at + 10);
+        const size = zip.readUInt32LE(at + 20);
+        const nameLength = zip.readUInt16LE(at + 28);
+        const offset = zip.readUInt32LE(at + 42);
+        const name = zip.toString("utf-8", at + 46, at + 46 + nameLength);
+
+        const start = offset + 30 + zip.readUInt16LE(offset + 26) + zip.readUInt16LE(offset + 28);
+        const body = zip.subarray(start, start + size);
+        if (method !== 0 && method !== 8) throw new Error(`Arquivo ZIP com compressão não suportada em ${name}.`);
+        entries.push({ name, data: method === 8 ? inflateRawSync(body) : Buffer.from(body) });
+
+        at += 46 + nameLength + zip.readUInt16LE(at + 30) + zip.readUInt16LE(at + 32);
+    }
+    return entries;
+}
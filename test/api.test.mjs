@@ -0,0 +1,108 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createServer } from "net";
+import { mkdtempSync, writeFileSync, existsSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { runResearch, exportConversation, deliver } from "../lib/api.mjs";
+
+/** SMTP server that accepts everything and keeps the messages. */
+function startSmtpSink() {
+    const messages = [];
+    const server = createServer((socket) => {
+        let buffer = "";
+        let data = null;
+        socket.write("220 sink\r\n");
+        socket.on("data", (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf("\r\n")) >= 0) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (data) {
+                    if (line === ".") {
+                        messages.push(data.join("\n"));
+                        data = null;
+                        socket.write("250 queued\r\n");
+                    } else {
+                        data.push(line);
+                    }
+                } else if (/^DATA/i.test(line)) {
+                    data = [];
+                    socket.write("354 go on\r\n");
+                } else if (/^QUIT/i.test(line)) {
+                    socket.end("221 bye\r\n");
+                } else {
+                    socket.write("250 ok\r\n");
+                }
+            }
+        });
+    });
+    return new Promise((done) => server.listen(0, "127.0.0.1", () => done({ server, messages, port: server.address().port })));
+}
+
+describe("programmatic API", () => {
+    let dir;
+    let file;
+    let sink;
+    let config;
+
+    before(async () => {
+        dir = mkdtempSync(join(tmpdir(), "drk-api-"));
+        file = join(dir, "Relatorio.epub");
+        writeFileSync(file, "epub");
+        sink = await startSmtpSink();
+        config = { dataDir: join(dir, "data"), "smtp.host": "127.0.0.1", "smtp.port": sink.port, "smtp.from": "me@example.com" };
+    });
+
+    after(() => {
+        sink.server.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("deliver sends to an inline destination and reports each one", async () => {
+        const events = [];
+        const lines = [];
+        const result = await deliver(file, { name: "ana", delivery: "smtp", kindleEmail: "ana@kindle.com" }, {
+            config,
+            onEvent: (event) => events.push(event),
+            log: (line) => lines.push(line),
+        });
+
+        assert.deepEqual(result, { ok: true, epubPath: file, deliveries: { ana: "sent" } });
+        assert.equal(sink.messages.length, 1);
+        assert.match(sink.messages[0], /Subject: Relatorio/);
+        assert.deepEqual(events.map((e) => e.type), ["delivery", "result"]);
+        assert.ok(lines.some((line) => line.includes("ana@kindle.com")));
+    });
+
+    test("deliver resolves, rather than rejects, when a destination fails", async () => {
+        const result = await deliver(file, { delivery: "smtp", kindleEmail: "ana@kindle.com" }, {
+            config: { ...config, "smtp.port": 1 },
+        });
+        assert.deepEqual(result.deliveries, { api: "failed" });
+        assert.equal(result.ok, false);
+    });
+
+    test("deliver rejects missing files and unknown destinations", async () => {
+        await assert.rejects(deliver(join(dir, "nada.epub"), "ana", { config }), /Arquivo não encontrado/);
+        await assert.rejects(deliver(file, "ninguem", { config }), /Destino desconhecido: "ninguem"/);
+    });
+
+    test("settings are validated like the CLI flags", async () => {
+        await assert.rejects(runResearch({ query: "x", model: "gpt", config }), /"model" = "gpt"/);
+        await assert.rejects(runResearch({ query: " ", config }), /Informe a query/);
+        await assert.rejects(runResearch({ template: "literature-review", config }), /Faltam variáveis .*--var topic=/);
+        await assert.rejects(exportConversation("https://example.com/app/1", { config }), /URL de uma pesquisa Gemini/);
+    });
+
+    test("an aborted signal rejects with its reason before doing anything", async () => {
+        const controller = new AbortController();
+        const reason = new Error("cancelado");
+        controller.abort(reason);
+
+        await assert.rejects(runResearch({ query: "x", send: false, signal: controller.signal, config }), (err) => err === reason);
+        await assert.rejects(deliver(file, "ana", { signal: controller.signal, config }), (err) => err === reason);
+        assert.equal(existsSync(join(dir, "data", "jobs")), false);
+    });
+});
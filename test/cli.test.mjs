@@ -0,0 +1,120 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "child_process";
+import { parseCommandLine, formatHelp, completionScript } from "../lib/cli.mjs";
+
+const PROGRAM = { name: "drk", title: "DRK" };
+
+const COMMANDS = {
+    research: {
+        summary: "Pesquisar",
+        args: [{ name: "query", variadic: true }],
+        options: {
+            model: { type: "string", value: "<nome>", description: "Modelo", choices: ["flash", "thinking", "pro"] },
+            "no-kindle": { type: "boolean", description: "Sem Kindle" },
+            to: { type: "string", value: "<destino>", description: "Destino", multiple: true },
+            output: { type: "string", value: "<dir>", description: "Pasta", complete: "dir" },
+        },
+        examples: ["research \"café\""],
+    },
+    library: {
+        summary: "Biblioteca",
+        defaultSubcommand: "list",
+        subcommands: {
+            list: { summary: "Listar" },
+            show: { summary: "Mostrar", args: [{ name: "id" }] },
+        },
+    },
+    completion: {
+        summary: "Completar",
+        args: [{ name: "shell", choices: ["bash", "zsh"] }],
+    },
+    secret: { summary: "Interno", hidden: true },
+};
+
+const parse = (argv) => parseCommandLine(COMMANDS, argv, { defaultCommand: "research" });
+
+describe("parseCommandLine", () => {
+    test("binds arguments and options of a command", () => {
+        const parsed = parse(["research", "--model", "pro", "--to", "casa", "--to", "ana", "café", "no", "Brasil"]);
+        assert.deepEqual(parsed.path, ["research"]);
+        assert.deepEqual(parsed.args, { query: ["café", "no", "Brasil"] });
+        assert.deepEqual({ ...parsed.options }, { model: "pro", to: ["casa", "ana"] });
+        assert.equal(parsed.help, false);
+    });
+
+    test("sends input that is not a command to the default command", () => {
+        assert.deepEqual(parse(["Café no Brasil"]).path, ["research"]);
+        assert.deepEqual({ ...parse(["--no-kindle", "café"]).options }, { "no-kindle": true });
+        assert.throws(() => parse(["reserch"]), /Comando desconhecido: "reserch"/);
+    });
+
+    test("rejects unknown flags, missing values, bad choices and extra arguments", () => {
+        assert.throws(() => parse(["research", "--modle", "pro", "café"]), /Opção desconhecida para "research": --modle/);
+        assert.throws(() => parse(["research", "café", "--model"]), /Valor inválido para --model em "research" \(esperado um valor\)/);
+        assert.throws(() => parse(["research", "--model", "gpt", "café"]), /--model inválido: "gpt" \(use flash, thinking, pro\)/);
+        assert.throws(() => parse(["research"]), /Faltou <query> para "research"/);
+        assert.throws(() => parse(["library", "show", "a", "b"]), /Argumento inesperado para "library show": b/);
+        assert.throws(() => parse(["completion", "fish"]), /<shell> inválido: "fish"/);
+    });
+
+    test("takes everything after -- as arguments", () => {
+        const parsed = parse(["research", "--no-kindle", "--", "--model", "-x"]);
+        assert.deepEqual(parsed.args, { query: ["--model", "-x"] });
+        assert.deepEqual({ ...parsed.options }, { "no-kindle": true });
+    });
+
+    test("resolves subcommands, their default and help requests", () => {
+        assert.deepEqual(parse(["library"]).path, ["library", "list"]);
+        assert.deepEqual(parse(["library", "show", "abc"]).args, { id: "abc" });
+        assert.throws(() => parse(["library", "delete"]), /Subcomando desconhecido: library delete \(use list, show\)/);
+        assert.equal(parse([]).help, true);
+        assert.equal(parse(["library", "--help"]).help, true);
+        assert.equal(parse(["research", "-h"]).help, true);
+    });
+});
+
+describe("formatHelp", () => {
+    test("lists visible commands at the top level", () => {
+        const help = formatHelp(PROGRAM, COMMANDS);
+        assert.match(help, /^ {2}research <query\.\.\.> +Pesquisar$/m);
+        assert.match(help, /^ {2}library <list\|show> +Biblioteca$/m);
+        assert.doesNotMatch(help, /secret/);
+    });
+
+    test("shows a command's options and examples", () => {
+        const help = formatHelp(PROGRAM, COMMANDS, ["research"]);
+        assert.match(help, /^Uso: drk research \[opções\] <query\.\.\.>$/m);
+        assert.match(help, /--to <destino> +Destino \(pode repetir\)/);
+        assert.match(help, /-h, --help +Mostrar esta ajuda/);
+        assert.match(help, /^ {2}drk research "café"$/m);
+    });
+});
+
+describe("completionScript", () => {
+    test("bash: commands, subcommands, flags and option values", () => {
+        const script = completionScript("bash", PROGRAM, COMMANDS);
+        assert.match(script, /compgen -W "research library completion" -- "\$cur"/);
+        assert.match(script, /compgen -W "list show" -- "\$cur"/);
+        assert.match(script, /--model\) COMPREPLY=\(\$\(compgen -W "flash thinking pro" -- "\$cur"\)\); return ;;/);
+        assert.match(script, /--output\) COMPREPLY=\(\$\(compgen -d -- "\$cur"\)\); return ;;/);
+        assert.match(script, /"research"\)\n.*compgen -W "--model --no-kindle --to --output --help"/);
+        assert.match(script, /complete -o default -F _drk drk/);
+        assert.doesNotMatch(script, /secret/);
+        assert.equal(spawnSync("bash", ["-n"], { input: script }).status, 0);
+    });
+
+    test("zsh: _arguments specs per command", () => {
+        const script = completionScript("zsh", PROGRAM, COMMANDS);
+        assert.match(script, /^#compdef drk$/m);
+        assert.match(script, /'--model=\[Modelo\]:<nome>:\(flash thinking pro\)'/);
+        assert.match(script, /'\*--to=\[Destino\]:<destino>: '/);
+        assert.match(script, /'--output=\[Pasta\]:<dir>:_directories'/);
+        assert.match(script, /'\*:query: '/);
+        assert.match(script, /items=\('list:Listar' 'show:Mostrar'\)/);
+    });
+
+    test("rejects other shells", () => {
+        assert.throws(() => completionScript("fish", PROGRAM, COMMANDS), /Shell sem suporte: "fish"/);
+    });
+});
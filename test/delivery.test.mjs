@@ -0,0 +1,152 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { launchFixtureBrowser, fixtureEvents, fixturePath, SKIP_BROWSER } from "./support/fixtures.mjs";
+import { startSmtpSink } from "./support/smtp.mjs";
+import { createPipeline } from "../lib/pipeline.mjs";
+import { loadConfig } from "../lib/config.mjs";
+import {
+    webBackend,
+    smtpBackend,
+    sendToKindleUrl,
+    resolveDestinations,
+    createDeliveryBackend,
+} from "../lib/delivery.mjs";
+
+describe("web backend", { skip: SKIP_BROWSER }, () => {
+    let browser;
+    let page;
+
+    before(async () => {
+        ({ browser, page } = await launchFixtureBrowser());
+    });
+
+    after(async () => {
+        await browser?.close();
+    });
+
+    test("uploads the file and sends it to the chosen device", async () => {
+        const backend = webBackend({ url: sendToKindleUrl("com.br"), device: "Kindle Paperwhite" });
+        await backend.deliver(fixturePath("docs.html"), { page, title: "Café" });
+        assert.deepEqual(await fixtureEvents(page), ["file:docs.html", "send:paperwhite"]);
+        assert.equal(await page.locator("#result").isVisible(), true);
+    });
+
+    test("fails when the device is not listed", async () => {
+        const backend = webBackend({ url: sendToKindleUrl("com"), device: "Kindle Scribe" });
+        await assert.rejects(backend.deliver(fixturePath("docs.html"), { page }), /Dispositivo "Kindle Scribe" não encontrado/);
+    });
+});
+
+describe("smtp backend", () => {
+    const smtp = { host: "smtp.example.com", user: "me@example.com", pass: "secret" };
+
+    test("rejects addresses that are not Kindle addresses", () => {
+        assert.throws(() => smtpBackend({ kindleEmail: "me@gmail.com", smtp }), /kindleEmail inválido/);
+        assert.doesNotThrow(() => smtpBackend({ kindleEmail: "me@free.kindle.com", smtp }));
+    });
+
+    test("requires a host and a sender", () => {
+        assert.throws(() => smtpBackend({ kindleEmail: "me@kindle.com", smtp: {} }), /sem "host"/);
+        assert.throws(() => smtpBackend({ kindleEmail: "me@kindle.com", smtp: { host: "localhost" } }), /sem remetente/);
+    });
+
+    describe("against a local SMTP sink", () => {
+        const dir = mkdtempSync(join(tmpdir(), "drk-smtp-"));
+        const epub = join(dir, "Café no Brasil.epub");
+
+        before(() => writeFileSync(epub, "PK fake epub"));
+        after(() => rmSync(dir, { recursive: true, force: true }));
+
+        test("e-mails the EPUB to the Kindle address", async (t) => {
+            t.mock.method(console, "log", () => { });
+            const sink = await startSmtpSink();
+            try {
+                const backend = smtpBackend({ kindleEmail: "me@kindle.com", smtp: { host: "127.0.0.1", port: sink.port, from: "me@example.com" } });
+                await backend.deliver(epub, { title: "Café no Brasil" });
+
+                assert.equal(sink.messages.length, 1);
+                const [message] = sink.messages;
+                assert.equal(message.from, "me@example.com");
+                assert.deepEqual(message.to, ["me@kindle.com"]);
+                assert.match(message.data, /^Subject: =\?UTF-8\?Q\?Caf=C3=A9_no_Brasil\?=$/m);
+                assert.match(message.data, /^Content-Type: application\/epub\+zip;/m);
+                assert.match(message.data, /^Content-Disposition: attachment;\r\n filename\*0\*=utf-8''Caf%C3%A9%20no%20Brasil\.epub$/m);
+                assert.match(message.data, new RegExp(Buffer.from("PK fake epub").toString("base64")));
+            } finally {
+                await sink.close();
+            }
+        });
+
+        test("marks the destination failed when the server refuses the recipient", async (t) => {
+            t.mock.method(console, "log", () => { });
+            const sink = await startSmtpSink({ rejectRecipients: true });
+            try {
+                const pipeline = createPipeline({ dataDir: dir });
+                const destination = {
+                    name: "casa",
+                    delivery: "smtp",
+                    kindleEmail: "me@kindle.com",
+                    smtp: { host: "127.0.0.1", port: sink.port, from: "me@example.com" },
+                };
+                const deliveries = await pipeline.deliverToDestinations(null, epub, { title: "Café", destinations: [destination] });
+                assert.deepEqual(deliveries, { casa: "failed" });
+                assert.equal(sink.messages.length, 0);
+            } finally {
+                await sink.close();
+            }
+        });
+    });
+});
+
+describe("destinations", () => {
+    const config = {
+        delivery: "web",
+        region: "com.br",
+        kindleEmail: "me@kindle.com",
+        smtp: { host: "smtp.example.com", user: "me@example.com" },
+        destinations: {
+            ana: { region: "com", profile: "~/.drk-profile-ana", device: "Kindle da Ana" },
+            bob: { delivery: "smtp", kindleEmail: "bob@kindle.com", smtp: { from: "bob@example.com" } },
+        },
+        defaultDestinations: [],
+    };
+
+    test("falls back to an implicit default destination", () => {
+        const [dest] = resolveDestinations(config, [], { delivery: "smtp" });
+        assert.equal(dest.name, "default");
+        assert.equal(dest.delivery, "smtp");
+        assert.equal(createDeliveryBackend(dest).label, "e-mail (me@kindle.com)");
+    });
+
+    test("resolves named destinations over the top-level settings", () => {
+        const [ana, bob] = resolveDestinations(config, ["ana", "bob"]);
+        assert.equal(createDeliveryBackend(ana).label, "Send to Kindle (amazon.com, Kindle da Ana)");
+        assert.doesNotMatch(ana.profile, /^~/);
+        assert.deepEqual(bob.smtp, { host: "smtp.example.com", user: "me@example.com", from: "bob@example.com" });
+    });
+
+    test("reads a relative profile path from the config file's directory", () => {
+        const dir = mkdtempSync(join(tmpdir(), "drk-config-"));
+        try {
+            const sub = join(dir, "notas", "semana");
+            mkdirSync(sub, { recursive: true });
+            writeFileSync(join(dir, ".drkrc"), "destinations:\n  ana:\n    profile: profiles/kindle2\n");
+            const { config: loaded } = loadConfig({ userPath: join(dir, "none.json"), cwd: sub, env: {} });
+            const [ana] = resolveDestinations(loaded, ["ana"]);
+            assert.equal(ana.profile, join(dir, "profiles", "kindle2"));
+
+            writeFileSync(join(dir, ".drkrc"), "destinations:\n  ana:\n    profile: 42\n");
+            assert.throws(() => loadConfig({ userPath: join(dir, "none.json"), cwd: sub, env: {} }), /destino "ana": "profile" deve ser um caminho/);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test("rejects unknown destinations and regions", () => {
+        assert.throws(() => resolveDestinations(config, ["carla"]), /Destino desconhecido: "carla" \(definidos: ana, bob\)/);
+        assert.throws(() => sendToKindleUrl("com.ar"), /Região Amazon desconhecida/);
+    });
+});
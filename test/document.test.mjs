@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync } from "fs";
+import { fixturePath } from "./support/fixtures.mjs";
+import { parseReport, blocksText, appendFollowups } from "../lib/document.mjs";
+import { renderChapters } from "../lib/render/xhtml.mjs";
+import { buildEpub } from "../lib/epub.mjs";
+
+// Regenerate with UPDATE_SNAPSHOTS=1 npm test after an intended parser change
+const SNAPSHOT = fixturePath("gemini-report.json");
+
+function parseFixture() {
+    return parseReport(readFileSync(fixturePath("gemini.html"), "utf-8"), { extractedAt: new Date("2025-10-03T12:00:00Z") });
+}
+
+test("parses the fixture report into the document model", () => {
+    const doc = parseFixture();
+    if (process.env.UPDATE_SNAPSHOTS) writeFileSync(SNAPSHOT, `${JSON.stringify(doc, null, 2)}\n`);
+    assert.deepEqual(doc, JSON.parse(readFileSync(SNAPSHOT, "utf-8")));
+});
+
+test("moves the works cited section into sources", () => {
+    const doc = parseFixture();
+    assert.doesNotMatch(blocksText(doc.children), /acessado em/);
+    assert.deepEqual(doc.sources[0], {
+        index: 1,
+        title: "História do café no Brasil",
+        url: "https://www.example.org/historia-do-cafe",
+        domain: "example.org",
+        accessed: "outubro 1, 2025",
+    });
+});
+
+test("renders one chapter per section plus the sources", () => {
+    const chapters = renderChapters(parseFixture());
+    assert.deepEqual(chapters.map((c) => c.title), [
+        "Café no Brasil: história e economia",
+        "Ciclo do café",
+        "Economia atual",
+        "Fontes",
+    ]);
+    assert.match(chapters[0].body, /href="fontes\.xhtml#source-1"/);
+
+    const epub = buildEpub({ title: "Café", chapters });
+    assert.equal(epub.subarray(0, 2).toString(), "PK");
+    assert.equal(epub.subarray(30, 38).toString(), "mimetype");
+});
+
+test("appends follow-up answers as chapters with their sources numbered after the report's", () => {
+    const answer = parseReport(`<message-content>
+        <h2>Vale do Paraíba</h2>
+        <p>Primeiro polo cafeeiro.<sup data-turn-source-index="1">1</sup></p>
+        <h3>Declínio</h3>
+        <p>O solo se esgotou.</p>
+        <h2>Fontes</h2>
+        <ol><li>O café no Vale do Paraíba, acessado em outubro 3, 2025, https://www.example.org/vale-do-paraiba</li></ol>
+    </message-content>`);
+    const doc = appendFollowups(parseFixture(), [{ question: "E o Vale do Paraíba?", answer }]);
+
+    const followup = doc.children.at(-1);
+    assert.equal(followup.level, 1);
+    assert.deepEqual(followup.heading, [{ type: "text", value: "E o Vale do Paraíba?" }]);
+    assert.deepEqual(followup.children.map((n) => n.level), [3]);
+    assert.equal(followup.children[0].children[1].level, 4);
+    assert.match(JSON.stringify(followup), /"type":"citation","index":3/);
+    assert.deepEqual(doc.sources.map((s) => s.index), [1, 2, 3]);
+    assert.equal(doc.sources[2].url, "https://www.example.org/vale-do-paraiba");
+
+    const chapters = renderChapters(doc);
+    assert.deepEqual(chapters.map((c) => c.title).slice(-2), ["E o Vale do Paraíba?", "Fontes"]);
+});
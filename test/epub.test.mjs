@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { SKIP_BROWSER } from "./support/fixtures.mjs";
+import { createZip, readZip } from "../lib/zip.mjs";
+import { buildEpub, epubHeadline, rewriteEpubMetadata } from "../lib/epub.mjs";
+import { coverSvg, renderCover, wrapText } from "../lib/cover.mjs";
+
+function entryText(epub, name) {
+    return readZip(epub).find((e) => e.name === name)?.data.toString("utf-8");
+}
+
+// Laid out like the Google Docs export: EPUB 2, package at the root
+function docsEpub() {
+    return createZip([
+        { name: "mimetype", data: "application/epub+zip", store: true },
+        { name: "META-INF/container.xml", data: '<container><rootfiles><rootfile full-path="content.opf" media-type="application/oebps-package+xml"/></rootfiles></container>' },
+        {
+            name: "content.opf",
+            data: `<package xmlns="http://www.idpf.org/2007/opf" version="2.0" unique-identifier="uid">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
+    <dc:identifier id="uid">docs-123</dc:identifier>
+    <dc:title>Untitled document</dc:title>
+    <dc:language>en</dc:language>
+  </metadata>
+  <manifest>
+    <item href="toc.ncx" id="ncx" media-type="application/x-dtbncx+xml"/>
+    <item href="GoogleDoc/Cafe.xhtml" id="doc" media-type="application/xhtml+xml"/>
+  </manifest>
+  <spine toc="ncx"><itemref idref="doc"/></spine>
+</package>`,
+        },
+        { name: "GoogleDoc/Cafe.xhtml", data: "<html><body><p class=\"c1\">Relatório</p><h1>Café  no <span>Brasil</span></h1></body></html>" },
+    ]);
+}
+
+test("readZip reads back what createZip wrote", () => {
+    const entries = readZip(createZip([
+        { name: "mimetype", data: "application/epub+zip", store: true },
+        { name: "a/b.txt", data: "olá ".repeat(100) },
+    ]));
+    assert.deepEqual(entries.map((e) => e.name), ["mimetype", "a/b.txt"]);
+    assert.equal(entries[1].data.toString("utf-8"), "olá ".repeat(100));
+});
+
+test("native EPUBs carry the series and the cover", () => {
+    const epub = buildEpub({
+        title: "Café",
+        series: "Gemini Deep Research",
+        cover: { data: Buffer.from([0xff, 0xd8, 0xff]), mediaType: "image/jpeg" },
+        chapters: [{ title: "Café", body: "<h1>Café</h1>" }],
+    });
+    const opf = entryText(epub, "OEBPS/content.opf");
+    assert.match(opf, /<item id="cover-image" href="cover\.jpg" media-type="image\/jpeg" properties="cover-image"\/>/);
+    assert.match(opf, /<meta name="cover" content="cover-image"\/>/);
+    assert.match(opf, /<meta property="belongs-to-collection" id="collection">Gemini Deep Research<\/meta>/);
+    assert.match(opf, /<meta name="calibre:series" content="Gemini Deep Research"\/>/);
+    assert.ok(readZip(epub).some((e) => e.name === "OEBPS/cover.jpg"));
+});
+
+test("epubHeadline takes the first h1 in reading order", () => {
+    assert.equal(epubHeadline(docsEpub()), "Café no Brasil");
+});
+
+test("rewriteEpubMetadata replaces the metadata and keeps the identifier", () => {
+    const epub = rewriteEpubMetadata(docsEpub(), {
+        title: "Café no Brasil",
+        description: "café & economia",
+        language: "pt-BR",
+        date: new Date("2025-10-03T12:00:00Z"),
+        series: "Gemini Deep Research",
+        cover: { data: "<svg/>", mediaType: "image/svg+xml" },
+    });
+    const entries = readZip(epub);
+    assert.equal(entries[0].name, "mimetype");
+
+    const opf = entryText(epub, "content.opf");
+    assert.match(opf, /<dc:identifier id="uid">docs-123<\/dc:identifier>/);
+    assert.match(opf, /<dc:title>Café no Brasil<\/dc:title>/);
+    assert.doesNotMatch(opf, /Untitled document|<dc:language>en</);
+    assert.match(opf, /<dc:creator>Gemini Deep Research<\/dc:creator>/);
+    assert.match(opf, /<dc:description>café &amp; economia<\/dc:description>/);
+    assert.match(opf, /<dc:date>2025-10-03T12:00:00Z<\/dc:date>/);
+    // EPUB 2: no property metas
+    assert.doesNotMatch(opf, /property=/);
+    assert.match(opf, /<meta name="calibre:series" content="Gemini Deep Research"\/>/);
+    assert.match(opf, /<item id="drk-cover" href="drk-cover\.svg" media-type="image\/svg\+xml"\/>\n {2}<\/manifest>/);
+    assert.equal(entryText(epub, "drk-cover.svg"), "<svg/>");
+
+    // Rewriting again replaces the cover instead of adding another
+    const again = rewriteEpubMetadata(epub, { title: "Café", cover: { data: Buffer.from([0xff]), mediaType: "image/jpeg" } });
+    const names = readZip(again).map((e) => e.name);
+    assert.deepEqual(names.filter((n) => n.startsWith("drk-cover")), ["drk-cover.jpg"]);
+    assert.equal(entryText(again, "content.opf").match(/id="drk-cover"/g).length, 1);
+});
+
+test("wrapText breaks at spaces and shortens what does not fit", () => {
+    assert.deepEqual(wrapText("Café no Brasil: história e economia", 15), ["Café no Brasil:", "história e", "economia"]);
+    assert.deepEqual(wrapText("um dois três quatro", 8, 2), ["um dois", "três…"]);
+});
+
+test("the cover shows the title, the model and the series", () => {
+    const svg = coverSvg({ title: "Café & <economia>", model: "Raciocínio (Thinking)", date: new Date("2025-10-03T12:00:00Z") });
+    assert.match(svg, /<tspan x="130" y="760">Café &amp;<\/tspan><tspan x="130" y="949">&lt;economia&gt;<\/tspan>/);
+    assert.match(svg, />Gemini · Raciocínio \(Thinking\)</);
+    assert.match(svg, />3 de outubro de 2025</);
+    assert.match(svg, />GEMINI DEEP RESEARCH</);
+});
+
+test("the cover of an exported conversation leaves the model out", () => {
+    const svg = coverSvg({ title: "Café no Brasil", model: null, date: new Date("2025-10-03T12:00:00Z") });
+    assert.doesNotMatch(svg, /Gemini ·/);
+    assert.match(svg, />3 de outubro de 2025</);
+});
+
+test("renders the cover as a JPEG", { skip: SKIP_BROWSER }, async () => {
+    const { data, mediaType } = await renderCover({ title: "Café no Brasil" });
+    assert.equal(mediaType, "image/jpeg");
+    assert.deepEqual([...data.subarray(0, 2)], [0xff, 0xd8]);
+});
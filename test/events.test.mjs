@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Writable } from "stream";
+import { setTimeout as delay } from "timers/promises";
+import { onEvent, emit, setEventContext, withEventContext, ndjsonWriter } from "../lib/events.mjs";
+import { logStep, withLogLabel } from "../lib/log.mjs";
+
+test("listeners get typed events with the current context", () => {
+    const events = [];
+    const stop = onEvent((event) => events.push(event));
+    setEventContext({ jobId: "job-1" });
+    emit("poll", { elapsedSec: 30, chipStatus: "Pesquisando..." });
+    setEventContext();
+    emit("artifact", { kind: "epub", path: "/tmp/a.epub" });
+    stop();
+    emit("poll", { elapsedSec: 60, chipStatus: "" });
+
+    assert.equal(events.length, 2);
+    assert.deepEqual({ ...events[0], at: undefined }, { type: "poll", at: undefined, jobId: "job-1", elapsedSec: 30, chipStatus: "Pesquisando..." });
+    assert.equal(events[1].jobId, undefined);
+    assert.ok(!Number.isNaN(Date.parse(events[1].at)));
+});
+
+test("concurrent jobs keep their own context", async () => {
+    const events = [];
+    const stop = onEvent((event) => events.push(event));
+    const job = (jobId, wait) => withEventContext({ jobId }, async () => {
+        await delay(wait);
+        emit("poll", { elapsedSec: wait });
+    });
+    await Promise.all([job("job-1", 20), job("job-2", 5)]);
+    emit("result", {});
+    stop();
+
+    assert.deepEqual(events.map((e) => [e.type, e.jobId]), [["poll", "job-2"], ["poll", "job-1"], ["result", undefined]]);
+});
+
+test("log lines carry the label of their tab", (t) => {
+    const lines = [];
+    t.mock.method(console, "log", (line) => lines.push(line));
+    withLogLabel("aba 2", () => logStep(4, "Enviando query"));
+    logStep(5, "Exportando");
+    assert.match(lines[0], /^\[DRK [^\]]+\] \[aba 2\] \[4\/7\] Enviando query$/);
+    assert.match(lines[1], /^\[DRK [^\]]+\] \[5\/7\] Exportando$/);
+});
+
+test("logStep emits step-started", (t) => {
+    t.mock.method(console, "log", () => { });
+    const events = [];
+    const stop = onEvent((event) => events.push(event));
+    logStep(4, "Enviando query");
+    stop();
+    assert.deepEqual(events.map(({ type, step, total, name }) => ({ type, step, total, name })), [
+        { type: "step-started", step: 4, total: 7, name: "research" },
+    ]);
+});
+
+test("ndjsonWriter writes one JSON object per line", () => {
+    let output = "";
+    const stream = new Writable({ write(chunk, _, done) { output += chunk; done(); } });
+    const stop = onEvent(ndjsonWriter(stream));
+    emit("step-finished", { step: 1, total: 7, name: "browser" });
+    emit("result", { ok: true, epubPath: "/tmp/Café.epub" });
+    stop();
+
+    const lines = output.trimEnd().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(lines.map((e) => e.type), ["step-finished", "result"]);
+    assert.equal(lines[1].epubPath, "/tmp/Café.epub");
+});
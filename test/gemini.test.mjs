@@ -0,0 +1,203 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { launchFixtureBrowser, fixtureEvents, SKIP_BROWSER } from "./support/fixtures.mjs";
+import {
+    navigateToGemini,
+    openConversation,
+    selectModel,
+    enableDeepResearch,
+    submitQuery,
+    confirmResearchStart,
+    readResearchPlan,
+    refineResearchPlan,
+    waitForResearch,
+    researchStateOf,
+    advanceResearchState,
+    RESEARCH_ERRORS,
+    extractReport,
+    submitFollowup,
+    waitForFollowupAnswer,
+    extractFollowups,
+} from "../lib/gemini.mjs";
+import { exportToGoogleDocs, downloadEpubFromDocs } from "../lib/docs.mjs";
+import { MODELS } from "../lib/models.mjs";
+import { onEvent } from "../lib/events.mjs";
+
+const GEMINI_URL = "https://gemini.google.com/app";
+const QUERY = "História e economia do café no Brasil";
+
+test("reads the research state off the page signals", () => {
+    assert.equal(researchStateOf({}), "planning");
+    assert.equal(researchStateOf({ needsConfirmation: true }), "needs-input");
+    assert.equal(researchStateOf({ activity: true }), "researching");
+    assert.equal(researchStateOf({ chip: "Pesquisando..." }), "researching");
+    assert.equal(researchStateOf({ chip: "Criando relatório" }), "writing");
+    assert.equal(researchStateOf({ chip: "Completed" }), "completed");
+    assert.equal(researchStateOf({ chip: "Falha na pesquisa" }), "failed");
+    assert.equal(researchStateOf({ chip: "Pesquisando...", errorNotice: true }), "failed");
+    assert.equal(researchStateOf({ quotaNotice: true }), "quota-exceeded");
+    // A finished conversation without a chip: `report` is only set for a long, exportable one
+    assert.equal(researchStateOf({ report: true }), "completed");
+    assert.equal(researchStateOf({ report: true, activity: true }), "researching");
+});
+
+test("research states only move forward and stop at a final one", () => {
+    assert.equal(advanceResearchState("planning", "researching"), "researching");
+    assert.equal(advanceResearchState("writing", "researching"), "writing");
+    assert.equal(advanceResearchState("researching", "planning"), "researching");
+    assert.equal(advanceResearchState("writing", "quota-exceeded"), "quota-exceeded");
+    assert.equal(advanceResearchState("needs-input", "researching"), "needs-input");
+    assert.equal(advanceResearchState("completed", "failed"), "completed");
+});
+
+describe("Gemini flow", { skip: SKIP_BROWSER }, () => {
+    let browser;
+    let page;
+
+    before(async () => {
+        ({ browser, page } = await launchFixtureBrowser());
+    });
+
+    after(async () => {
+        await browser?.close();
+    });
+
+    test("runs a Deep Research query from the home page to the report", async () => {
+        await navigateToGemini(page, GEMINI_URL);
+        await selectModel(page, MODELS[2]);
+        await enableDeepResearch(page);
+        await submitQuery(page, QUERY);
+        await confirmResearchStart(page);
+
+        const polls = [];
+        const stop = onEvent((event) => event.type === "poll" && polls.push(event));
+        await waitForResearch(page, { pollIntervalMs: 1_000, maxPollTimeMs: 30_000 });
+        stop();
+        assert.equal(polls[0].state, "researching");
+        assert.equal(polls.at(-1).state, "completed");
+        assert.match(polls.at(-1).chipStatus, /Concluído/);
+        assert.deepEqual(await fixtureEvents(page), ["model:Pro", "deep-research", `query:${QUERY}`, "start"]);
+        assert.match(page.url(), /\/app\/fixture-conversation$/);
+
+        const doc = await extractReport(page);
+        assert.equal(doc.title, "Café no Brasil: história e economia");
+        assert.deepEqual(doc.sources.map((s) => s.domain), ["example.org", "example.com"]);
+    });
+
+    test("waitForResearch gives up when the run never finishes", async () => {
+        await page.evaluate(() => {
+            document.getElementById("chip").textContent = "Pesquisando...";
+        });
+        await assert.rejects(
+            waitForResearch(page, { pollIntervalMs: 1_000, maxPollTimeMs: 300 }),
+            (err) => err.code === RESEARCH_ERRORS.timeout && err.state === "researching",
+        );
+    });
+
+    for (const [outcome, state] of [["failed", "failed"], ["quota", "quota-exceeded"]]) {
+        test(`stops at a research that ends as ${state}`, async () => {
+            await navigateToGemini(page, `${GEMINI_URL}?outcome=${outcome}`);
+            await enableDeepResearch(page);
+            await submitQuery(page, QUERY);
+            await confirmResearchStart(page);
+            await assert.rejects(
+                waitForResearch(page, { pollIntervalMs: 1_000, maxPollTimeMs: 30_000 }),
+                (err) => err.code === RESEARCH_ERRORS[state] && err.state === state,
+            );
+        });
+    }
+
+    test("does not take a report still being written for a finished one", async () => {
+        await navigateToGemini(page, `${GEMINI_URL}?outcome=partial`);
+        await enableDeepResearch(page);
+        await submitQuery(page, QUERY);
+        await confirmResearchStart(page);
+        await assert.rejects(
+            waitForResearch(page, { pollIntervalMs: 500, maxPollTimeMs: 2_000, minReportWaitMs: 0 }),
+            (err) => err.code === RESEARCH_ERRORS.timeout,
+        );
+    });
+
+    test("finishes without the chip once the report is exportable, despite activity words in it", async () => {
+        await navigateToGemini(page, `${GEMINI_URL}?outcome=chipless`);
+        await enableDeepResearch(page);
+        await submitQuery(page, QUERY);
+        await confirmResearchStart(page);
+        const polls = [];
+        const stop = onEvent((event) => event.type === "poll" && polls.push(event));
+        await waitForResearch(page, { pollIntervalMs: 500, maxPollTimeMs: 10_000, minReportWaitMs: 1_000 });
+        stop();
+        assert.equal(polls.at(-1).state, "completed");
+        assert.equal(polls.at(-1).chipStatus, "");
+        // The report was there well before the minimum wait
+        assert.ok(polls.at(-1).elapsedSec >= 1);
+    });
+
+    test("reopens an existing conversation already finished", async () => {
+        const url = "https://gemini.google.com/app/abc123";
+        await openConversation(page, url);
+        assert.equal(page.url(), url);
+        await waitForResearch(page, { pollIntervalMs: 1_000, maxPollTimeMs: 5_000 });
+    });
+
+    test("exports to Google Docs and downloads the EPUB", async () => {
+        const outDir = mkdtempSync(join(tmpdir(), "drk-test-"));
+        try {
+            await openConversation(page, "https://gemini.google.com/app/abc123");
+            const docsPage = await exportToGoogleDocs(page);
+            assert.match(docsPage.url(), /docs\.google\.com\/document\/d\/fixture-doc/);
+
+            const file = await downloadEpubFromDocs(docsPage, outDir);
+            assert.equal(file, join(outDir, "Cafe no Brasil.epub"));
+            assert.equal(readFileSync(file, "utf-8"), "fixture epub");
+            assert.deepEqual(await fixtureEvents(docsPage), ["download:epub"]);
+        } finally {
+            rmSync(outDir, { recursive: true, force: true });
+        }
+    });
+
+    test("reads the research plan and sends a change before starting", async () => {
+        await navigateToGemini(page, GEMINI_URL);
+        await enableDeepResearch(page);
+        await submitQuery(page, QUERY);
+
+        const plan = await readResearchPlan(page, { timeout: 5_000 });
+        assert.deepEqual(plan.steps, [
+            "Pesquisar sites sobre a chegada do café ao Brasil",
+            "Analisar o ciclo do café no século XIX",
+            "Comparar a produção atual por estado",
+        ]);
+
+        const revised = await refineResearchPlan(page, "Inclua fontes em inglês", { timeout: 5_000 });
+        assert.equal(revised.steps.length, 4);
+        assert.equal(revised.steps[3], "Considerar: Inclua fontes em inglês");
+
+        await confirmResearchStart(page);
+        assert.deepEqual(await fixtureEvents(page), ["deep-research", `query:${QUERY}`, "refine:Inclua fontes em inglês", "start"]);
+    });
+
+    test("asks a follow-up in a finished conversation and reads the answer", async () => {
+        const question = "Aprofunde o ciclo do café no Vale do Paraíba";
+        await openConversation(page, "https://gemini.google.com/app/abc123");
+        await submitFollowup(page, question);
+        await waitForFollowupAnswer(page, question, { maxPollTimeMs: 10_000, quietMs: 1_000 });
+
+        const [followup] = await extractFollowups(page, [question]);
+        assert.equal(followup.question, question);
+        assert.equal(followup.answer.title, "Ciclo do café no Vale do Paraíba");
+        assert.equal(followup.answer.sources[0].url, "https://www.example.org/vale-do-paraiba");
+        assert.deepEqual(await fixtureEvents(page), [`followup:${question}`]);
+        assert.deepEqual(await extractFollowups(page, ["Outra pergunta"]), []);
+    });
+
+    test("gives up on a follow-up answer that does not come", async () => {
+        await openConversation(page, "https://gemini.google.com/app/abc123");
+        await assert.rejects(
+            waitForFollowupAnswer(page, "Pergunta nunca enviada", { maxPollTimeMs: 500, pollIntervalMs: 100 }),
+            (err) => err.code === RESEARCH_ERRORS.timeout && /acompanhamento/.test(err.message),
+        );
+    });
+});
@@ -0,0 +1,48 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { t, setLanguage, detectLanguage, LANGUAGES } from "../lib/i18n.mjs";
+import { MESSAGES as pt } from "../lib/locales/pt.mjs";
+import { MESSAGES as en } from "../lib/locales/en.mjs";
+import { UI_LOCALES, UI_LOCALE_CODES, localeFromLang, labelPattern, setUiLocale } from "../lib/ui-locales.mjs";
+
+afterEach(() => setLanguage("pt"));
+
+test("fills placeholders in the current language", () => {
+    assert.equal(t("job.howToResume", { id: "abc" }), "Para retomar: drk resume abc");
+    setLanguage("en");
+    assert.equal(t("job.howToResume", { id: "abc" }), "To resume: drk resume abc");
+    assert.equal(t("no.such.key"), "no.such.key");
+});
+
+test("every catalog has the reference keys and placeholders", () => {
+    const placeholders = (text) => (text.match(/\{\w+\}/g) || []).sort();
+    for (const [key, text] of Object.entries(pt)) {
+        assert.ok(key in en, `en: falta ${key}`);
+        assert.deepEqual(placeholders(en[key]), placeholders(text), key);
+    }
+    assert.deepEqual(LANGUAGES, ["pt", "en"]);
+});
+
+test("detects the language from the POSIX locale", () => {
+    assert.equal(detectLanguage({ LANG: "en_US.UTF-8" }), "en");
+    assert.equal(detectLanguage({ LANG: "en_US.UTF-8", LC_ALL: "pt_BR.UTF-8" }), "pt");
+    assert.equal(detectLanguage({ LANG: "fr_FR.UTF-8" }), "pt");
+    assert.equal(detectLanguage({}), "pt");
+});
+
+test("every UI locale pack defines the same labels and models", () => {
+    const [reference, ...others] = UI_LOCALE_CODES.map((code) => UI_LOCALES[code]);
+    for (const pack of others) {
+        assert.deepEqual(Object.keys(pack.labels), Object.keys(reference.labels), pack.name);
+        assert.deepEqual(Object.keys(pack.models), Object.keys(reference.models), pack.name);
+    }
+});
+
+test("maps <html lang> to a pack and matches labels in any language", () => {
+    assert.equal(localeFromLang("pt-BR"), "pt");
+    assert.equal(localeFromLang("de"), "de");
+    assert.equal(localeFromLang("ja"), null);
+    assert.match("Concluído", labelPattern("completed"));
+    assert.match("Abgeschlossen", labelPattern("completed"));
+    assert.throws(() => setUiLocale("ja"), /Idioma de interface desconhecido/);
+});
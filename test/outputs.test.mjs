@@ -0,0 +1,102 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { fixturePath, SKIP_BROWSER } from "./support/fixtures.mjs";
+import { parseReport } from "../lib/document.mjs";
+import { renderMarkdown } from "../lib/render/markdown.mjs";
+import { renderHtml, EINK_CSS } from "../lib/render/html.mjs";
+import { extraFormats, writeOutputs } from "../lib/outputs.mjs";
+import { readZip } from "../lib/zip.mjs";
+
+function parseFixture() {
+    return parseReport(readFileSync(fixturePath("gemini.html"), "utf-8"), { extractedAt: new Date("2025-10-03T12:00:00Z") });
+}
+
+test("markdown has front matter, the report and footnotes for its sources", () => {
+    const md = renderMarkdown(parseFixture(), { query: "café no Brasil", url: "https://gemini.google.com/app/abc" });
+
+    assert.match(md, /^---\ntitle: "Café no Brasil: história e economia"\nquery: "café no Brasil"\nsource: "https:\/\/gemini\.google\.com\/app\/abc"\ndate: 2025-10-03\n---\n/);
+    assert.equal(md.match(/^# Café no Brasil/gm).length, 1);
+    assert.match(md, /^## Ciclo do café$/m);
+    assert.match(md, /principal produto de exportação do país\.\[\^1\]/);
+    assert.match(md, /^- Vale do Paraíba \(1830–1880\)$/m);
+    assert.match(md, /^\| Estado \| Participação \|\n\| --- \| --- \|\n\| Minas Gerais \| ~50% \|$/m);
+    assert.match(md, /^\[\^1\]: \[História do café no Brasil\]\(https:\/\/www\.example\.org\/historia-do-cafe\)\. example\.org\. Acessado em outubro 1, 2025\.$/m);
+});
+
+test("markdown escapes text that would read as markup", () => {
+    const doc = {
+        title: "T",
+        sources: [],
+        children: [
+            { type: "paragraph", children: [{ type: "text", value: "1. não é lista *nem* [link]" }] },
+        ],
+    };
+    assert.match(renderMarkdown(doc), /^1\\\. não é lista \\\*nem\\\* \\\[link\\\]$/m);
+});
+
+test("html fills the template once with the title and links citations to the sources", () => {
+    const html = renderHtml(parseFixture(), { date: new Date("2025-10-03T12:00:00Z") });
+
+    assert.equal(html.match(/Café no Brasil: história e economia/g).length, 2); // <title> and header
+    assert.match(html, /<p class="subtitle">Gerado pelo Gemini Deep Research · 3 de outubro de 2025<\/p>/);
+    assert.match(html, /<sup><a href="#source-1">\[1\]<\/a><\/sup>/);
+    assert.match(html, /<li id="source-1" value="1">/);
+    assert.doesNotMatch(html, /\{\{/);
+});
+
+test("html takes a custom template and extra css", () => {
+    const template = "<html><head></head><body><h1>{{TITLE}}</h1><p>{{QUERY}}</p>{{CONTENT}}</body></html>";
+    const html = renderHtml(parseFixture(), { template, query: "a < b", css: EINK_CSS });
+    assert.match(html, /^<html><head><style>\n@page \{ size: 90mm 122mm;/);
+    assert.match(html, /<p>a &lt; b<\/p>/);
+});
+
+test("extraFormats keeps the known formats other than epub", () => {
+    assert.deepEqual(extraFormats(["pdf", "epub", "md"]), ["md", "pdf"]);
+    assert.deepEqual(extraFormats(undefined), []);
+});
+
+describe("writeOutputs", () => {
+    let dir;
+
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), "drk-outputs-"));
+    });
+
+    after(() => rmSync(dir, { recursive: true, force: true }));
+
+    test("writes each format next to the others", async () => {
+        const written = [];
+        const template = join(dir, "template.html");
+        writeFileSync(template, "<html><head></head><body>{{CONTENT}}</body></html>");
+
+        const outputs = await writeOutputs(parseFixture(), {
+            formats: ["epub", "md", "html", "azw3-ready"],
+            outDir: dir,
+            name: "Cafe",
+            title: "Café no Brasil: história e economia",
+            htmlTemplate: template,
+            onWrite: (format) => written.push(format),
+        });
+
+        assert.deepEqual(outputs, { md: join(dir, "Cafe.md"), html: join(dir, "Cafe.html"), "azw3-ready": join(dir, "Cafe-kindle.epub") });
+        assert.deepEqual(written, ["md", "html", "azw3-ready"]);
+        assert.match(readFileSync(outputs.html, "utf-8"), /^<html><head><\/head><body><p>O café chegou/);
+
+        const opf = readZip(readFileSync(outputs["azw3-ready"])).find((e) => e.name === "OEBPS/content.opf").data.toString("utf-8");
+        assert.match(opf, /<spine toc="ncx">\n {4}<itemref idref="nav"\/>/);
+        assert.match(opf, /<reference type="toc" title="Sumário" href="nav\.xhtml"\/>/);
+        assert.match(opf, /<reference type="text" title="Café no Brasil: história e economia" href="chapter-001\.xhtml"\/>/);
+    });
+
+    test("prints the pdf for e-ink screens", { skip: SKIP_BROWSER }, async () => {
+        const { pdf } = await writeOutputs(parseFixture(), { formats: ["pdf"], outDir: dir, name: "Cafe", title: "Café" });
+        const data = readFileSync(pdf);
+        assert.equal(data.subarray(0, 5).toString(), "%PDF-");
+        // 90 × 122 mm in points
+        assert.match(data.toString("latin1"), /\/MediaBox \[0 0 255(\.\d+)? 34[56](\.\d+)?\]/);
+    });
+});
@@ -0,0 +1,101 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { setTimeout as delay } from "timers/promises";
+import { createPipeline, coverOptions } from "../lib/pipeline.mjs";
+import { coverSvg } from "../lib/cover.mjs";
+import { startSmtpSink } from "./support/smtp.mjs";
+
+let dataDir;
+
+before(() => {
+    dataDir = mkdtempSync(join(tmpdir(), "drk-pipeline-"));
+});
+
+after(() => rmSync(dataDir, { recursive: true, force: true }));
+
+/** Stand-in for a launched browser that counts the tabs it opens and closes. */
+function fakeBrowser() {
+    const browser = { opened: 0, closed: 0, page: { name: "main" } };
+    browser.context = {
+        newPage: async () => {
+            browser.opened++;
+            return { name: `tab-${browser.opened}`, close: async () => { browser.closed++; } };
+        },
+    };
+    return browser;
+}
+
+test("runInTabs runs up to `concurrency` items at once, one per tab", async (t) => {
+    t.mock.method(console, "log", () => { });
+    const pipeline = createPipeline({ dataDir, concurrency: 2 });
+    const browser = fakeBrowser();
+    let running = 0;
+    let peak = 0;
+    const pages = new Map();
+
+    await pipeline.runInTabs(browser, [1, 2, 3, 4, 5], async (item, page) => {
+        running++;
+        peak = Math.max(peak, running);
+        pages.set(item, page.name);
+        await delay(5);
+        running--;
+    });
+
+    assert.equal(peak, 2);
+    assert.deepEqual([...pages.keys()].sort(), [1, 2, 3, 4, 5]);
+    assert.deepEqual(new Set(pages.values()), new Set(["main", "tab-1"]));
+    assert.deepEqual([browser.opened, browser.closed], [1, 1]);
+});
+
+test("runInTabs starts no item after stop()", async (t) => {
+    t.mock.method(console, "log", () => { });
+    const pipeline = createPipeline({ dataDir, concurrency: 1 });
+    const ran = [];
+    await pipeline.runInTabs(fakeBrowser(), ["a", "b", "c"], async (item, _page, stop) => {
+        ran.push(item);
+        if (item === "b") stop();
+    });
+    assert.deepEqual(ran, ["a", "b"]);
+});
+
+test("covers name the job's model, and none for an exported conversation", () => {
+    const date = new Date("2025-10-03T12:00:00Z");
+    const researched = coverOptions({ query: "Café", model: "3" }, "Café no Brasil", { series: "Pesquisas" }, date);
+    assert.deepEqual(researched, { title: "Café no Brasil", model: "Pro", date, series: "Pesquisas" });
+    assert.match(coverSvg(researched), />Gemini · Pro</);
+
+    // lib/api.mjs exportConversation and `drk export` create jobs without a model
+    const exported = coverOptions({ query: "", model: undefined }, "Café no Brasil", { series: "Pesquisas" }, date);
+    assert.equal(exported.model, null);
+    assert.doesNotMatch(coverSvg(exported), /Gemini ·/);
+});
+
+test("sendToKindle tries no further destination once the job is aborted", async (t) => {
+    t.mock.method(console, "log", () => { });
+    const controller = new AbortController();
+    const first = await startSmtpSink({ onMessage: () => controller.abort() });
+    const second = await startSmtpSink();
+    try {
+        const smtp = { host: "127.0.0.1", from: "me@example.com" };
+        const pipeline = createPipeline({
+            dataDir,
+            destinations: {
+                casa: { delivery: "smtp", kindleEmail: "casa@kindle.com", smtp: { ...smtp, port: first.port } },
+                ana: { delivery: "smtp", kindleEmail: "ana@kindle.com", smtp: { ...smtp, port: second.port } },
+            },
+        });
+        const epubPath = join(dataDir, "Café.epub");
+        writeFileSync(epubPath, "PK fake epub");
+        const job = pipeline.jobs.create({ query: "Café", epubPath, destinations: ["casa", "ana"] });
+
+        await assert.rejects(pipeline.sendToKindle(null, job, controller.signal), { name: "AbortError" });
+        assert.equal(first.messages.length, 1);
+        assert.equal(second.messages.length, 0);
+        assert.deepEqual(job.deliveries, { casa: "sent" });
+    } finally {
+        await Promise.all([first.close(), second.close()]);
+    }
+});
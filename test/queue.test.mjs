@@ -0,0 +1,43 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadQueue } from "../lib/queue.mjs";
+
+function withQueue(name, content, fn) {
+    const dir = mkdtempSync(join(tmpdir(), "drk-queue-"));
+    try {
+        const file = join(dir, name);
+        writeFileSync(file, content);
+        return fn(file);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+describe("loadQueue", () => {
+    test("reads text lines with leading flags, skipping comments", () => {
+        const items = withQueue("fila.txt", "# comentário\nCRISPR\n\n--model pro --no-kindle Arquitetura medieval\n", loadQueue);
+        assert.deepEqual(items, [
+            { query: "CRISPR", model: undefined, noKindle: false },
+            { query: "Arquitetura medieval", model: "pro", noKindle: true },
+        ]);
+    });
+
+    test("rejects an unknown model before running anything, with its line", () => {
+        assert.throws(
+            () => withQueue("fila.txt", "# comentário\nCRISPR\n--model prp Arquitetura medieval\n", loadQueue),
+            /linha 3: Modelo desconhecido: "prp"/,
+        );
+        assert.throws(
+            () => withQueue("fila.json", JSON.stringify(["CRISPR", { query: "Arquitetura", model: "prp" }]), loadQueue),
+            /item 2: Modelo desconhecido: "prp"/,
+        );
+    });
+
+    test("reports the line of an unsupported flag or an empty item", () => {
+        assert.throws(() => withQueue("fila.txt", "CRISPR\n--foo Arquitetura\n", loadQueue), /linha 2: Opção não suportada na fila: --foo/);
+        assert.throws(() => withQueue("fila.txt", "CRISPR\n--no-kindle\n", loadQueue), /linha 2: item vazio/);
+    });
+});
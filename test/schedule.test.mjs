@@ -0,0 +1,99 @@
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { parseCron, cronMatches, nextRun, previousRun, isoWeek, renderQuery, isDue, createScheduleStore } from "../lib/schedule.mjs";
+
+// Local time, like the schedules: Sunday 18 Oct 2026, 10:00
+const SUNDAY = new Date(2026, 9, 18, 10, 0);
+
+describe("cron", () => {
+    test("parses fields, names, ranges, steps and macros", () => {
+        const cron = parseCron("0 8-18/2 * * mon-fri");
+        assert.deepEqual([...cron.hours], [8, 10, 12, 14, 16, 18]);
+        assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+        assert.deepEqual([...parseCron("0 0 * * 7").weekdays], [0]);
+        assert.deepEqual([...parseCron("@monthly").days], [1]);
+    });
+
+    test("rejects malformed expressions", () => {
+        assert.throws(() => parseCron("0 7 * *"), /esperados 5 campos/);
+        assert.throws(() => parseCron("61 * * * *"), /minuto fora do intervalo/);
+        assert.throws(() => parseCron("0 7 * * fun"), /dia da semana fora do intervalo/);
+        assert.throws(() => parseCron("*/0 * * * *"), /passo inválido/);
+    });
+
+    test("day of month and day of week match either when both are set", () => {
+        const cron = parseCron("0 0 13 * fri");
+        assert.equal(cronMatches(cron, new Date(2026, 9, 13, 0, 0)), true); // Tuesday the 13th
+        assert.equal(cronMatches(cron, new Date(2026, 9, 16, 0, 0)), true); // Friday the 16th
+        assert.equal(cronMatches(cron, new Date(2026, 9, 14, 0, 0)), false);
+    });
+
+    test("finds the next and previous run", () => {
+        assert.deepEqual(nextRun("0 7 * * mon", SUNDAY), new Date(2026, 9, 19, 7, 0));
+        assert.deepEqual(previousRun("0 7 * * mon", SUNDAY), new Date(2026, 9, 12, 7, 0));
+        assert.deepEqual(nextRun("*/15 * * * *", SUNDAY), new Date(2026, 9, 18, 10, 15));
+        assert.deepEqual(nextRun("0 0 29 2 *", SUNDAY), new Date(2028, 1, 29, 0, 0));
+        assert.equal(nextRun("0 0 30 2 *", SUNDAY), null);
+    });
+});
+
+describe("query templates", () => {
+    test("ISO weeks straddle the year boundary", () => {
+        assert.equal(isoWeek(new Date(2026, 9, 19)), "2026-W43");
+        assert.equal(isoWeek(new Date(2021, 0, 3)), "2020-W53");
+        assert.equal(isoWeek(new Date(2024, 11, 30)), "2025-W01");
+    });
+
+    test("fills the date placeholders", () => {
+        const query = renderQuery("IA {{week}} ({{ month }}, {{year}}) desde {{lastRunDate}} até {{date}}", {
+            now: SUNDAY,
+            lastRunAt: new Date(2026, 9, 11, 7, 0),
+        });
+        assert.equal(query, "IA 2026-W42 (2026-10, 2026) desde 2026-10-11 até 2026-10-18");
+    });
+
+    test("the first run counts from the schedule's creation", () => {
+        const createdAt = new Date(2026, 9, 2, 9, 30).toISOString();
+        assert.equal(renderQuery("desde {{lastRunDate}}", { now: SUNDAY, lastRunAt: null, createdAt }), "desde 2026-10-02");
+        assert.equal(renderQuery("desde {{lastRunDate}}", { now: SUNDAY, lastRunAt: new Date(2026, 9, 11, 7, 0), createdAt }), "desde 2026-10-11");
+    });
+
+    test("rejects unknown placeholders", () => {
+        assert.throws(() => renderQuery("{{wek}}"), /Variável desconhecida na query: \{\{wek\}\}/);
+    });
+});
+
+describe("schedule store", () => {
+    test("a schedule is due once per cron time, missed runs included", () => {
+        const schedule = { cron: "0 7 * * mon", createdAt: new Date(2026, 9, 1).toISOString(), lastRunAt: null };
+        assert.equal(isDue(schedule, SUNDAY), true);
+        schedule.lastRunAt = new Date(2026, 9, 12, 7, 0, 5).toISOString();
+        assert.equal(isDue(schedule, SUNDAY), false);
+        assert.equal(isDue(schedule, new Date(2026, 9, 19, 7, 0)), true);
+    });
+
+    test("adds, lists, finds due and removes schedules", () => {
+        const dir = mkdtempSync(join(tmpdir(), "drk-schedules-"));
+        try {
+            const store = createScheduleStore(dir);
+            const tomorrow = new Date(Date.now() + 86_400_000);
+            const daily = store.add("diario", { cron: "@daily", query: "Notícias de {{date}}" });
+            store.add("anual", { cron: "@yearly", query: "Retrospectiva {{year}}", lastRunAt: tomorrow.toISOString() });
+            assert.deepEqual(store.list().map((s) => s.name), ["anual", "diario"]);
+            assert.throws(() => store.add("diario", { cron: "@daily", query: "x" }), /Já existe/);
+            assert.throws(() => store.add("com espaço", { cron: "@daily", query: "x" }), /Nome de agendamento inválido/);
+
+            assert.deepEqual(store.due(tomorrow).map((s) => s.name), ["diario"]);
+            store.update(daily, { lastRunAt: tomorrow.toISOString() });
+            assert.deepEqual(store.due(tomorrow), []);
+
+            store.remove("anual");
+            assert.throws(() => store.get("anual"), /Agendamento não encontrado/);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
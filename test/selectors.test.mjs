@@ -0,0 +1,85 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { launchFixtureBrowser, SKIP_BROWSER } from "./support/fixtures.mjs";
+import { SELECTORS, selectorsFor, probeKeys, probeSelectors, waitForElement } from "../lib/selectors.mjs";
+import { sendToKindleUrl } from "../lib/delivery.mjs";
+import { MODELS } from "../lib/models.mjs";
+
+test("every registry entry has a description and at least one selector", () => {
+    for (const [group, elements] of Object.entries(SELECTORS)) {
+        for (const [name, element] of Object.entries(elements)) {
+            assert.ok(element.description, `${group}.${name}`);
+            assert.ok(element.selectors.length > 0, `${group}.${name}`);
+            if (element.opens) assert.doesNotThrow(() => selectorsFor(element.opens), `${group}.${name}`);
+        }
+    }
+});
+
+test("fills labels and model test IDs from the UI locale packs", () => {
+    assert.deepEqual(selectorsFor("gemini.modelOption", { model: MODELS[1].id }, ["pt", "en"]), [
+        'button[data-test-id="bard-mode-option-raciocínio"]',
+        "role=menuitem[name=/^Raciocínio/i]",
+        'button[data-test-id="bard-mode-option-thinking"]',
+        "role=menuitem[name=/^Thinking/i]",
+    ]);
+    // Locale-independent selectors are not repeated
+    assert.deepEqual(selectorsFor("docs.fileMenu"), ["#docs-file-menu"]);
+    assert.throws(() => selectorsFor("gemini.nope"), /Seletor desconhecido: "gemini.nope"/);
+});
+
+test("lists the elements doctor checks on each page", () => {
+    assert.deepEqual(probeKeys("docs"), ["docs.fileMenu", "docs.downloadMenu", "docs.epubOption"]);
+    assert.ok(!probeKeys("gemini").includes("gemini.startResearchButton"));
+});
+
+describe("probe against the fixture pages", { skip: SKIP_BROWSER }, () => {
+    let browser;
+    let page;
+
+    before(async () => {
+        ({ browser, page } = await launchFixtureBrowser());
+    });
+
+    after(async () => {
+        await browser?.close();
+    });
+
+    const PAGES = {
+        gemini: "https://gemini.google.com/app",
+        conversation: "https://gemini.google.com/app/abc123",
+        docs: "https://docs.google.com/document/d/fixture-doc/edit",
+        kindle: sendToKindleUrl("com.br"),
+    };
+
+    for (const [probe, url] of Object.entries(PAGES)) {
+        test(`finds every ${probe} element with its current selector`, async () => {
+            await page.goto(url);
+            const results = await probeSelectors(page, probeKeys(probe), { model: MODELS[1].id });
+            assert.deepEqual(results.filter((r) => r.index !== 0), []);
+        });
+    }
+
+    test("falls back to older selectors and reports which one matched", async () => {
+        await page.goto(PAGES.kindle);
+        await page.evaluate(() => document.getElementById("s2k-dnd-add-your-files-button").removeAttribute("id"));
+        const [result] = await probeSelectors(page, ["kindle.uploadButton"]);
+        assert.equal(result.index, 1);
+        assert.equal(result.selector, 'button:text-matches("Selecionar arquivos", "i")');
+        await waitForElement(page, "kindle.uploadButton", { timeout: 1_000 });
+    });
+
+    test("tries the page's own language first", async () => {
+        await page.goto(PAGES.gemini);
+        await page.evaluate(() => {
+            document.documentElement.lang = "en-US";
+            document.getElementById("tools").textContent = "Tools";
+        });
+        const [result] = await probeSelectors(page, ["gemini.toolsButton"]);
+        assert.deepEqual([result.index, result.selector], [0, "role=button[name=/Tools/i]"]);
+    });
+
+    test("names the element when nothing matches", async () => {
+        await page.goto(PAGES.kindle);
+        await assert.rejects(waitForElement(page, "kindle.sendButton", { timeout: 300 }), /Botão "Enviar" não encontrado \(kindle.sendButton;/);
+    });
+});
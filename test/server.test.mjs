@@ -0,0 +1,147 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { request } from "http";
+import { mkdtempSync, writeFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { createApiServer, httpError } from "../lib/server.mjs";
+
+describe("HTTP API", () => {
+    const dir = mkdtempSync(join(tmpdir(), "drk-server-"));
+    const epubPath = join(dir, "Café.epub");
+    const jobs = new Map([
+        ["done-1", { id: "done-1", status: "done", epubPath }],
+        ["running-2", { id: "running-2", status: "running", epubPath: null, progress: { state: "running", currentStep: 4, chipStatus: "Pesquisando..." } }],
+    ]);
+    const calls = [];
+    let server;
+    let base;
+
+    const api = {
+        listJobs: () => [...jobs.values()],
+        getJob: (id) => jobs.get(id) || null,
+        submit: (request) => {
+            if (!request.query) throw httpError(400, "Informe a \"query\".");
+            calls.push(["submit", request]);
+            return { id: "new-3", status: "running", query: request.query };
+        },
+        resend: (id, request) => {
+            calls.push(["resend", id, request]);
+            return jobs.get(id);
+        },
+    };
+
+    const call = (path, { method = "GET", body, token = "s3cret", headers = {} } = {}) => fetch(`${base}${path}`, {
+        method,
+        headers: {
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+            ...headers,
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    // fetch() will not send a forged Host header
+    const callWithHost = (path, host) => new Promise((resolve, reject) => {
+        const req = request(`${base}${path}`, { headers: { Host: host, Authorization: "Bearer s3cret" } }, (res) => {
+            res.resume();
+            resolve(res.statusCode);
+        });
+        req.on("error", reject);
+        req.end();
+    });
+
+    before(async () => {
+        writeFileSync(epubPath, "PK fake epub");
+        server = createApiServer(api, { token: "s3cret" });
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        base = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("serves the dashboard without a token", async () => {
+        const res = await call("/", { token: null });
+        assert.equal(res.status, 200);
+        assert.match(await res.text(), /<form id="new-job">/);
+    });
+
+    test("requires the token for the API", async () => {
+        assert.equal((await call("/api/jobs", { token: null })).status, 401);
+        assert.equal((await call("/api/jobs", { token: "wrong" })).status, 401);
+        assert.equal((await fetch(`${base}/api/jobs?token=s3cret`)).status, 200);
+    });
+
+    test("lists jobs and shows one with its progress", async () => {
+        assert.deepEqual((await (await call("/api/jobs")).json()).map((job) => job.id), ["done-1", "running-2"]);
+        const job = await (await call("/api/jobs/running-2")).json();
+        assert.equal(job.progress.chipStatus, "Pesquisando...");
+        assert.equal((await call("/api/jobs/nope")).status, 404);
+        assert.equal((await call("/api/jobs/..%2Fsecrets")).status, 404);
+    });
+
+    test("queues research and reports invalid requests", async () => {
+        const res = await call("/api/jobs", { method: "POST", body: { query: "Café no Brasil", model: "pro" } });
+        assert.equal(res.status, 202);
+        assert.equal((await res.json()).id, "new-3");
+        assert.deepEqual(calls.at(-1), ["submit", { query: "Café no Brasil", model: "pro" }]);
+
+        const empty = await call("/api/jobs", { method: "POST", body: {} });
+        assert.equal(empty.status, 400);
+        assert.deepEqual(await empty.json(), { error: "Informe a \"query\"." });
+        assert.equal((await call("/api/jobs", { method: "POST", body: ["not", "an", "object"] })).status, 400);
+        assert.equal((await call("/api/jobs", { method: "DELETE" })).status, 405);
+    });
+
+    test("downloads the EPUB and queues a re-send", async () => {
+        const res = await call("/api/jobs/done-1/epub");
+        assert.equal(res.status, 200);
+        assert.equal(res.headers.get("content-type"), "application/epub+zip");
+        assert.match(res.headers.get("content-disposition"), /Caf%C3%A9\.epub/);
+        assert.equal(await res.text(), "PK fake epub");
+        assert.equal((await call("/api/jobs/running-2/epub")).status, 404);
+
+        assert.equal((await call("/api/jobs/done-1/send", { method: "POST", body: { to: ["casa"] } })).status, 202);
+        assert.deepEqual(calls.at(-1), ["resend", "done-1", { to: ["casa"] }]);
+    });
+
+    test("refuses cross-origin and non-JSON posts", async () => {
+        const before = calls.length;
+        const crossOrigin = await call("/api/jobs", { method: "POST", body: { query: "x" }, headers: { Origin: "https://evil.example" } });
+        assert.equal(crossOrigin.status, 403);
+        assert.equal((await call("/api/jobs", { method: "POST", body: { query: "x" }, headers: { Origin: "null" } })).status, 403);
+        // What a no-cors form or fetch from another page can send without a preflight
+        const plain = await call("/api/jobs/done-1/send", { method: "POST", body: {}, headers: { "Content-Type": "text/plain" } });
+        assert.equal(plain.status, 415);
+        assert.equal(calls.length, before);
+
+        assert.equal((await call("/api/jobs", { method: "POST", body: { query: "x" }, headers: { Origin: base } })).status, 202);
+    });
+
+    test("only answers to the listen address in Host", async () => {
+        const port = server.address().port;
+        assert.equal(await callWithHost("/api/jobs", `localhost:${port}`), 200);
+        assert.equal(await callWithHost("/api/jobs", `attacker.example:${port}`), 403);
+        assert.equal(await callWithHost("/", `attacker.example:${port}`), 403);
+    });
+
+    test("applies the same checks without a token", async () => {
+        const open = createApiServer(api);
+        await new Promise((resolve) => open.listen(0, "127.0.0.1", resolve));
+        const openBase = `http://127.0.0.1:${open.address().port}`;
+        try {
+            const res = await fetch(`${openBase}/api/jobs`, {
+                method: "POST",
+                headers: { "Content-Type": "text/plain", Origin: "https://evil.example" },
+                body: JSON.stringify({ query: "x" }),
+            });
+            assert.equal(res.status, 403);
+            assert.equal((await fetch(`${openBase}/api/jobs`)).status, 200);
+        } finally {
+            open.close();
+        }
+    });
+});
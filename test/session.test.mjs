@@ -0,0 +1,58 @@
+import { test, describe, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { launchFixtureBrowser, fixturePath, SKIP_BROWSER } from "./support/fixtures.mjs";
+import { LOGIN_REQUIRED, loginRequiredError, isLoginRequired, detectLoginWall } from "../lib/session.mjs";
+import { navigateToGemini } from "../lib/gemini.mjs";
+import { webBackend, sendToKindleUrl } from "../lib/delivery.mjs";
+
+test("login-required errors carry their code and site", () => {
+    const err = loginRequiredError("Google");
+    assert.equal(err.code, LOGIN_REQUIRED);
+    assert.equal(err.site, "Google");
+    assert.match(err.message, /drk login/);
+    assert.equal(isLoginRequired(err), true);
+    assert.equal(isLoginRequired(new Error("Timeout")), false);
+    assert.equal(isLoginRequired(undefined), false);
+});
+
+describe("login walls", { skip: SKIP_BROWSER }, () => {
+    let browser;
+    let context;
+    let page;
+
+    before(async () => {
+        ({ browser, context, page } = await launchFixtureBrowser());
+    });
+
+    after(async () => {
+        await browser?.close();
+    });
+
+    test("a signed-in Gemini page is not a wall", async () => {
+        await page.goto("https://gemini.google.com/app");
+        assert.equal(await detectLoginWall(page), null);
+    });
+
+    test("detects the Gemini landing page of an expired session", async () => {
+        await page.goto("https://gemini.google.com/app?signedOut");
+        assert.equal(await detectLoginWall(page), "Google");
+        await assert.rejects(navigateToGemini(page, "https://gemini.google.com/app?signedOut"), (err) =>
+            isLoginRequired(err) && err.site === "Google");
+    });
+
+    test("detects Google's sign-in page by its URL", async () => {
+        await page.goto("https://accounts.google.com/v3/signin/identifier");
+        assert.equal(await detectLoginWall(page), "Google");
+    });
+
+    test("fails a web delivery redirected to Amazon's sign-in", async () => {
+        await context.route(/\/sendtokindle/, (route) => route.fulfill({
+            status: 302,
+            headers: { location: "https://www.amazon.com/ap/signin?openid.return_to=sendtokindle" },
+        }));
+        const backend = webBackend({ url: sendToKindleUrl("com") });
+        await assert.rejects(backend.deliver(fixturePath("docs.html"), { page }), (err) =>
+            isLoginRequired(err) && err.site === "Amazon");
+        await context.unroute(/\/sendtokindle/);
+    });
+});
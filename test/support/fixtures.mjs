@@ -0,0 +1,56 @@
+/**
+ * Shared setup for the browser tests: a headless Chromium whose requests to
+ * Gemini, Google Docs and Amazon are answered with the pages in
+ * test/fixtures/, so the real flows in lib/ run unchanged without accounts or
+ * network. Anything else is aborted.
+ */
+
+import { existsSync } from "fs";
+import { fileURLToPath } from "url";
+import { chromium } from "playwright";
+import { setTimeScale } from "../../lib/browser.mjs";
+
+export const FIXTURES_DIR = fileURLToPath(new URL("../fixtures/", import.meta.url));
+
+export function fixturePath(name) {
+    return `${FIXTURES_DIR}${name}`;
+}
+
+// Passed as `skip` to browser tests: false, or why they cannot run here
+export const SKIP_BROWSER = existsSync(chromium.executablePath())
+    ? false
+    : "Chromium não instalado (npx playwright install chromium)";
+
+// The flows wait seconds between clicks for the real pages; fixtures are instant
+const TIME_SCALE = 0.01;
+
+const FIXTURE_ROUTES = [
+    [/^https:\/\/gemini\.google\.com\/app/, "gemini.html"],
+    [/^https:\/\/docs\.google\.com\/document\//, "docs.html"],
+    [/^https:\/\/www\.amazon\.[a-z.]+\/sendtokindle/, "sendtokindle.html"],
+    [/^https:\/\/accounts\.google\.com\//, "signin.html"],
+    [/^https:\/\/www\.amazon\.[a-z.]+\/ap\/signin/, "signin.html"],
+];
+
+/**
+ * @returns {Promise<{ browser: import("playwright").Browser, context: import("playwright").BrowserContext, page: import("playwright").Page }>}
+ */
+export async function launchFixtureBrowser() {
+    setTimeScale(TIME_SCALE);
+    const browser = await chromium.launch({ headless: true });
+    const context = await browser.newContext({ acceptDownloads: true });
+
+    // Routes registered later take precedence, so the catch-all goes first
+    await context.route("**/*", (route) => route.abort());
+    for (const [pattern, file] of FIXTURE_ROUTES) {
+        await context.route(pattern, (route) => route.fulfill({ path: fixturePath(file), contentType: "text/html; charset=utf-8" }));
+    }
+
+    const page = await context.newPage();
+    return { browser, context, page };
+}
+
+/** Events recorded by a fixture page in `window.__drk`. */
+export function fixtureEvents(page) {
+    return page.evaluate(() => window.__drk);
+}
@@ -0,0 +1,83 @@
+/**
+ * A minimal SMTP server for the e-mail delivery tests: it speaks just enough
+ * of the protocol for nodemailer (no TLS, no auth) and keeps every message it
+ * accepts. With `rejectRecipients`, every RCPT TO gets a 550; `onMessage` is
+ * called with each accepted message.
+ */
+
+import { createServer } from "net";
+
+/**
+ * @param {{ rejectRecipients?: boolean, onMessage?: (message: object) => void }} [options]
+ * @returns {Promise<{ port: number, messages: { from: string, to: string[], data: string }[], close: () => Promise<void> }>}
+ */
+export async function startSmtpSink({ rejectRecipients = false, onMessage = () => { } } = {}) {
+    const messages = [];
+    const sockets = new Set();
+
+    const server = createServer((socket) => {
+        sockets.add(socket);
+        socket.on("close", () => sockets.delete(socket));
+        let buffer = "";
+        let message = { from: "", to: [], data: "" };
+        let inData = false;
+        const reply = (line) => socket.write(`${line}\r\n`);
+
+        socket.setEncoding("utf-8");
+        reply("220 sink ESMTP");
+        socket.on("data", (chunk) => {
+            buffer += chunk;
+            for (; ;) {
+                if (inData) {
+                    const end = buffer.indexOf("\r\n.\r\n");
+                    if (end === -1) return;
+                    message.data = buffer.slice(0, end).replace(/^\.\./gm, ".");
+                    buffer = buffer.slice(end + 5);
+                    inData = false;
+                    messages.push(message);
+                    onMessage(message);
+                    message = { from: "", to: [], data: "" };
+                    reply(`250 OK queued as ${messages.length}`);
+                    continue;
+                }
+                const newline = buffer.indexOf("\r\n");
+                if (newline === -1) return;
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 2);
+                const command = line.slice(0, 4).toUpperCase();
+
+                if (command === "EHLO" || command === "HELO") reply("250 sink");
+                else if (command === "MAIL") {
+                    message.from = line.match(/<(.*)>/)?.[1] || "";
+                    reply("250 OK");
+                } else if (command === "RCPT") {
+                    if (rejectRecipients) reply("550 5.1.1 Mailbox unavailable");
+                    else {
+                        message.to.push(line.match(/<(.*)>/)?.[1] || "");
+                        reply("250 OK");
+                    }
+                } else if (command === "DATA") {
+                    inData = true;
+                    reply("354 End data with <CR><LF>.<CR><LF>");
+                } else if (command === "RSET") {
+                    message = { from: "", to: [], data: "" };
+                    reply("250 OK");
+                } else if (command === "QUIT") {
+                    reply("221 Bye");
+                    socket.end();
+                } else reply("502 Command not implemented");
+            }
+        });
+        socket.on("error", () => { });
+    });
+
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    return {
+        port: server.address().port,
+        messages,
+        close: () => new Promise((resolve) => {
+            server.close(() => resolve());
+            for (const socket of sockets) socket.destroy();
+        }),
+    };
+}
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tmpdir } from "os";
+import { join } from "path";
+import { PRESETS, allTemplates, expandTemplate, parseVars, templateVariables } from "../lib/templates.mjs";
+import { loadConfig } from "../lib/config.mjs";
+
+const TEMPLATES = {
+    briefing: "Resumo sobre {{topic}} para {{audience=a diretoria}}, em {{ language = português }}.",
+    "literature-review": { description: "Minha revisão", prompt: "Revisão sobre {{topic}}." },
+};
+
+test("lists a template's variables with their defaults", () => {
+    assert.deepEqual(templateVariables(TEMPLATES.briefing), [
+        { name: "topic", default: null },
+        { name: "audience", default: "a diretoria" },
+        { name: "language", default: "português" },
+    ]);
+});
+
+test("expands a template with the given variables and the defaults", () => {
+    assert.equal(
+        expandTemplate("briefing", { topic: "baterias de sódio", language: "inglês" }, TEMPLATES),
+        "Resumo sobre baterias de sódio para a diretoria, em inglês.",
+    );
+    // A value may hold schedule placeholders, filled in at each run
+    assert.equal(expandTemplate("briefing", { topic: "IA na semana {{week}}" }, TEMPLATES), "Resumo sobre IA na semana {{week}} para a diretoria, em português.");
+});
+
+test("configured templates replace presets of the same name", () => {
+    assert.equal(expandTemplate("literature-review", { topic: "CRISPR" }, TEMPLATES), "Revisão sobre CRISPR.");
+    assert.match(expandTemplate("literature-review", { topic: "CRISPR base editing" }), /^Faça uma revisão de literatura sobre CRISPR base editing\. Responda em português do Brasil\./);
+    assert.deepEqual(Object.keys(allTemplates(TEMPLATES)), [...Object.keys(PRESETS), "briefing"]);
+});
+
+test("every preset needs only a topic", () => {
+    for (const [name, preset] of Object.entries(PRESETS)) {
+        const required = templateVariables(preset.prompt).filter((v) => v.default === null).map((v) => v.name);
+        assert.deepEqual(required, ["topic"], name);
+        assert.doesNotMatch(expandTemplate(name, { topic: "café" }), /\{\{/, name);
+    }
+});
+
+test("rejects unknown templates, unknown variables and missing ones", () => {
+    assert.throws(() => expandTemplate("nada"), /Template desconhecido: "nada" \(use literature-review, /);
+    assert.throws(() => expandTemplate("briefing", { topic: "x", tema: "y" }, TEMPLATES), /O template "briefing" não usa tema \(variáveis: topic, audience, language\)/);
+    assert.throws(() => expandTemplate("briefing", { topic: " " }, TEMPLATES), /Faltam variáveis para o template "briefing": --var topic=\.\.\./);
+});
+
+test("parses --var name=value", () => {
+    assert.deepEqual(parseVars(["topic=CRISPR base editing", "period=7 dias=uma semana"]), { topic: "CRISPR base editing", period: "7 dias=uma semana" });
+    assert.throws(() => parseVars(["topic"]), /--var inválido: "topic" \(use nome=valor\)/);
+});
+
+test("the config checks templates and the default template", () => {
+    const load = (flags) => loadConfig({ userPath: join(tmpdir(), "drk-sem-config.json"), cwd: tmpdir(), env: {}, flags });
+    assert.equal(load({ template: { value: "explainer", flag: "--template" } }).config.template, "explainer");
+    assert.throws(() => load({ template: { value: "nada", flag: "--template" } }), /--template: template "nada" não existe/);
+    assert.throws(() => load({ templates: { value: { vazio: { description: "x" } }, flag: "api" } }), /template "vazio": falta "prompt"/);
+});